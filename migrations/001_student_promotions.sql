@@ -0,0 +1,46 @@
+-- Year-end student promotion
+-- Students flagged to repeat the year, and an undo log of every promotion run.
+
+CREATE TABLE IF NOT EXISTS branch.promotion_holds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  student_id UUID NOT NULL REFERENCES branch.students(id) ON DELETE CASCADE,
+  academic_year VARCHAR(50) NOT NULL,
+  reason TEXT,
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (student_id, academic_year)
+);
+
+CREATE TABLE IF NOT EXISTS branch.promotion_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  source_academic_year VARCHAR(50) NOT NULL,
+  target_academic_year VARCHAR(50) NOT NULL,
+  standard_order JSONB NOT NULL,
+  summary JSONB,
+  status VARCHAR(20) NOT NULL DEFAULT 'completed', -- completed | rolled_back
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT NOW(),
+  rolled_back_by UUID,
+  rolled_back_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS branch.promotion_run_students (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  run_id UUID NOT NULL REFERENCES branch.promotion_runs(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES branch.students(id) ON DELETE CASCADE,
+  action VARCHAR(20) NOT NULL, -- promoted | held_back | graduated
+  from_class_id UUID,
+  to_class_id UUID,
+  previous_academic_year VARCHAR(50),
+  previous_status VARCHAR(20)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_runs_branch ON branch.promotion_runs (branch_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_promotion_run_students_run ON branch.promotion_run_students (run_id);
+
+-- One live (completed) run per source → target year; a double submit fails here instead of moving students twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promotion_runs_completed
+  ON branch.promotion_runs (branch_id, source_academic_year, target_academic_year)
+  WHERE status = 'completed';
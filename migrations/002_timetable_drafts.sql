@@ -0,0 +1,21 @@
+-- Generated timetable drafts
+-- Solver output kept for admin review before it is published to branch.timetables_master.
+
+CREATE TABLE IF NOT EXISTS branch.timetable_drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  academic_year VARCHAR(50) NOT NULL,
+  name VARCHAR(255),
+  time_slots JSONB NOT NULL,
+  days JSONB NOT NULL,
+  input JSONB NOT NULL,
+  grids JSONB NOT NULL, -- [{ class_id, class_name, timetable_data }]
+  unsatisfied JSONB NOT NULL DEFAULT '[]',
+  status VARCHAR(20) NOT NULL DEFAULT 'draft', -- draft | published | discarded
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT NOW(),
+  published_by UUID,
+  published_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_timetable_drafts_branch ON branch.timetable_drafts (branch_id, created_at DESC);
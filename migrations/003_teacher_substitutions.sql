@@ -0,0 +1,23 @@
+-- Substitute teachers
+-- Date-specific overrides of a timetables_master period while its teacher is absent.
+
+CREATE TABLE IF NOT EXISTS branch.teacher_substitutions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  substitution_date DATE NOT NULL,
+  timetable_id UUID NOT NULL REFERENCES branch.timetables_master(id) ON DELETE CASCADE,
+  class_id UUID,
+  day VARCHAR(20) NOT NULL,
+  time_slot VARCHAR(50) NOT NULL,
+  subject_id UUID,
+  absent_teacher_id UUID NOT NULL,
+  substitute_teacher_id UUID NOT NULL,
+  notes TEXT,
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (timetable_id, substitution_date, time_slot)
+);
+
+CREATE INDEX IF NOT EXISTS idx_teacher_substitutions_date ON branch.teacher_substitutions (branch_id, substitution_date);
+CREATE INDEX IF NOT EXISTS idx_teacher_substitutions_substitute ON branch.teacher_substitutions (substitute_teacher_id, substitution_date);
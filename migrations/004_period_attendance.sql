@@ -0,0 +1,33 @@
+-- Period-wise attendance
+-- One session per class per timetable slot per date; daily attendance stays in branch.attendance.
+
+CREATE TABLE IF NOT EXISTS branch.attendance_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  class_id UUID NOT NULL REFERENCES branch.classes(id) ON DELETE CASCADE,
+  timetable_id UUID REFERENCES branch.timetables_master(id) ON DELETE SET NULL,
+  session_date DATE NOT NULL,
+  day VARCHAR(20) NOT NULL,
+  time_slot VARCHAR(50) NOT NULL,
+  subject_id UUID,
+  faculty_id UUID,
+  marked_by UUID,
+  academic_year VARCHAR(50),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (class_id, session_date, time_slot)
+);
+
+CREATE TABLE IF NOT EXISTS branch.period_attendance (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES branch.attendance_sessions(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES branch.students(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL,
+  remarks TEXT,
+  marked_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (session_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_sessions_class_date ON branch.attendance_sessions (class_id, session_date);
+CREATE INDEX IF NOT EXISTS idx_period_attendance_student ON branch.period_attendance (student_id);
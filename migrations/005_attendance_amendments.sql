@@ -0,0 +1,32 @@
+-- Attendance lock window and amendment requests
+-- Once a day's attendance is older than the branch lock window, changes go through review.
+
+CREATE TABLE IF NOT EXISTS branch.attendance_settings (
+  branch_id UUID PRIMARY KEY,
+  lock_window_hours INTEGER, -- NULL keeps attendance editable indefinitely
+  updated_by UUID,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS branch.attendance_amendments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  attendance_id UUID REFERENCES branch.attendance(id) ON DELETE CASCADE, -- NULL when the request adds a missing record
+  class_id UUID NOT NULL,
+  student_id UUID NOT NULL,
+  attendance_date DATE NOT NULL,
+  requested_status VARCHAR(20) NOT NULL,
+  requested_remarks TEXT,
+  previous_status VARCHAR(20),
+  previous_remarks TEXT,
+  reason TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | approved | rejected
+  requested_by UUID NOT NULL,
+  reviewed_by UUID,
+  review_comment TEXT,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_amendments_branch_status ON branch.attendance_amendments (branch_id, status);
+CREATE INDEX IF NOT EXISTS idx_attendance_amendments_class ON branch.attendance_amendments (class_id);
@@ -0,0 +1,30 @@
+-- Attendance audit trail
+-- Append-only log of every insert and update to branch.attendance made through the API.
+
+CREATE TABLE IF NOT EXISTS branch.attendance_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  attendance_id UUID NOT NULL, -- no FK so history outlives the record
+  branch_id UUID NOT NULL,
+  class_id UUID,
+  student_id UUID NOT NULL,
+  attendance_date DATE NOT NULL,
+  action VARCHAR(20) NOT NULL, -- insert | update
+  old_status VARCHAR(20),
+  new_status VARCHAR(20),
+  old_remarks TEXT,
+  new_remarks TEXT,
+  actor_id UUID,
+  actor_role VARCHAR(50),
+  source VARCHAR(100) NOT NULL, -- endpoint that made the change, e.g. 'PUT /attendance/:id'
+  amendment_id UUID,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_history_attendance ON branch.attendance_history (attendance_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_attendance_history_student ON branch.attendance_history (student_id, attendance_date);
+
+-- History rows are never rewritten or removed
+CREATE OR REPLACE RULE attendance_history_no_update AS
+  ON UPDATE TO branch.attendance_history DO INSTEAD NOTHING;
+CREATE OR REPLACE RULE attendance_history_no_delete AS
+  ON DELETE TO branch.attendance_history DO INSTEAD NOTHING;
@@ -0,0 +1,24 @@
+-- Absence and late alerts to students and linked parents
+-- Alerts are sent as notices when a record is marked; a correction inside the grace period withdraws them.
+
+ALTER TABLE branch.attendance_settings
+  ADD COLUMN IF NOT EXISTS absence_alerts_enabled BOOLEAN,
+  ADD COLUMN IF NOT EXISTS absence_alert_statuses JSONB,
+  ADD COLUMN IF NOT EXISTS absence_alert_template TEXT,
+  ADD COLUMN IF NOT EXISTS absence_alert_grace_minutes INTEGER;
+
+CREATE TABLE IF NOT EXISTS branch.attendance_alerts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  attendance_id UUID NOT NULL,
+  student_id UUID NOT NULL,
+  attendance_date DATE NOT NULL,
+  alerted_status VARCHAR(20) NOT NULL,
+  notice_id TEXT, -- notices.id
+  recipient_user_ids JSONB NOT NULL DEFAULT '[]',
+  state VARCHAR(20) NOT NULL DEFAULT 'sent', -- sent | withdrawn
+  created_at TIMESTAMP DEFAULT NOW(),
+  withdrawn_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_alerts_attendance ON branch.attendance_alerts (attendance_id, state);
@@ -0,0 +1,21 @@
+-- Chronic absenteeism threshold and flags
+-- A flag stays open while a student is below the threshold so class teachers are told only once.
+
+ALTER TABLE branch.attendance_settings
+  ADD COLUMN IF NOT EXISTS absenteeism_threshold NUMERIC(5,2),
+  ADD COLUMN IF NOT EXISTS absenteeism_window_days INTEGER,
+  ADD COLUMN IF NOT EXISTS absenteeism_alerts_enabled BOOLEAN;
+
+CREATE TABLE IF NOT EXISTS branch.absenteeism_flags (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  student_id UUID NOT NULL REFERENCES branch.students(id) ON DELETE CASCADE,
+  class_id UUID,
+  attendance_percentage NUMERIC(5,2) NOT NULL,
+  threshold NUMERIC(5,2) NOT NULL,
+  notice_id TEXT, -- notices.id sent to the class teacher
+  flagged_at TIMESTAMP DEFAULT NOW(),
+  cleared_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_absenteeism_flags_open ON branch.absenteeism_flags (student_id) WHERE cleared_at IS NULL;
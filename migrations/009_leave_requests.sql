@@ -0,0 +1,31 @@
+-- Student leave requests and the Excused attendance status
+-- Approved leave turns the student's Absent entries in the range into Excused, and days marked
+-- later are excused as the register is taken. Excused days are left out of the attendance
+-- percentage rather than counted as absences.
+
+CREATE TABLE IF NOT EXISTS branch.leave_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  student_id UUID NOT NULL REFERENCES branch.students(id) ON DELETE CASCADE,
+  class_id UUID NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | approved | rejected | cancelled
+  requested_by UUID NOT NULL, -- the student's or parent's users.id
+  requested_by_role VARCHAR(20) NOT NULL,
+  reviewed_by UUID,
+  review_comment TEXT,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_branch_status ON branch.leave_requests (branch_id, status);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_student_dates ON branch.leave_requests (student_id, start_date, end_date);
+
+-- Allow the new status wherever a status check was defined on the register
+ALTER TABLE branch.attendance DROP CONSTRAINT IF EXISTS attendance_status_check;
+ALTER TABLE branch.attendance ADD CONSTRAINT attendance_status_check
+  CHECK (status IN ('Present', 'Absent', 'Late', 'Excused')) NOT VALID;
@@ -0,0 +1,25 @@
+-- Offline attendance sync
+-- Every mutation a device sends is logged once per (user, client_mutation_id), so replays
+-- return the original outcome instead of being applied again.
+
+CREATE TABLE IF NOT EXISTS branch.attendance_sync_mutations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  user_id UUID NOT NULL,
+  device_id VARCHAR(100),
+  client_mutation_id VARCHAR(100) NOT NULL,
+  client_timestamp TIMESTAMPTZ NOT NULL, -- when the teacher made the change on the device (clamped to receipt time)
+  class_id UUID,
+  student_id UUID,
+  attendance_date DATE,
+  status VARCHAR(20),
+  remarks TEXT,
+  result VARCHAR(20) NOT NULL, -- applied | skipped | conflict
+  reason VARCHAR(50), -- why a mutation was skipped or conflicted
+  attendance_id UUID,
+  server_status VARCHAR(20), -- the record's status after processing
+  processed_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, client_mutation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_sync_mutations_attendance ON branch.attendance_sync_mutations (attendance_id, processed_at);
@@ -0,0 +1,17 @@
+-- Missing-attendance reminders
+-- Class teachers are reminded once per class per day when the register is still empty at the cut-off.
+
+ALTER TABLE branch.attendance_settings
+  ADD COLUMN IF NOT EXISTS attendance_reminders_enabled BOOLEAN,
+  ADD COLUMN IF NOT EXISTS attendance_reminder_cutoff VARCHAR(5); -- 'HH:MM', branch timezone (server local time when none is set)
+
+CREATE TABLE IF NOT EXISTS branch.attendance_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  class_id UUID NOT NULL REFERENCES branch.classes(id) ON DELETE CASCADE,
+  reminder_date DATE NOT NULL,
+  teacher_id UUID NOT NULL,
+  notice_id TEXT, -- notices.id sent to the class teacher
+  sent_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (class_id, reminder_date)
+);
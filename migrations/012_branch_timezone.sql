@@ -0,0 +1,6 @@
+-- Branch timezone
+-- Decides what "today" is for the attendance summaries, reports and reminder cut-off.
+-- NULL keeps the server's local time.
+
+ALTER TABLE branch.attendance_settings
+  ADD COLUMN IF NOT EXISTS timezone VARCHAR(64); -- IANA name, e.g. 'Asia/Kolkata'
@@ -0,0 +1,8 @@
+-- Arrival time and minutes late on daily attendance
+-- minutes_late is measured from the start of the class's first period (timetables_master.time_slots).
+
+ALTER TABLE branch.attendance
+  ADD COLUMN IF NOT EXISTS arrival_time TIME,
+  ADD COLUMN IF NOT EXISTS minutes_late INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_late ON branch.attendance (class_id, attendance_date) WHERE status = 'Late';
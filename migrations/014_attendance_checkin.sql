@@ -0,0 +1,34 @@
+-- Student self check-in
+-- A teacher opens a session for their class; students enter the rotating code it shows within
+-- the session window and are marked Present. Everyone else is marked Absent when it closes.
+
+CREATE TABLE IF NOT EXISTS branch.attendance_checkin_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  class_id UUID NOT NULL REFERENCES branch.classes(id) ON DELETE CASCADE,
+  attendance_date DATE NOT NULL,
+  secret VARCHAR(64) NOT NULL, -- seeds the rotating code; never returned to clients
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- open | closed
+  opened_by UUID NOT NULL,
+  opened_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  closed_by UUID, -- NULL when the session was closed on expiry
+  closed_at TIMESTAMP,
+  absent_marked INTEGER
+);
+
+-- At most one open session per class
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_checkin_sessions_open
+  ON branch.attendance_checkin_sessions (class_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_attendance_checkin_sessions_expiry
+  ON branch.attendance_checkin_sessions (expires_at) WHERE status = 'open';
+
+CREATE TABLE IF NOT EXISTS branch.attendance_checkins (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES branch.attendance_checkin_sessions(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  checked_in_at TIMESTAMP, -- NULL until a correct code is entered
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (session_id, student_id)
+);
@@ -0,0 +1,23 @@
+-- Employee attendance marking
+-- branch.employee_attendance was previously filled by a separate manual process; this adds the
+-- columns the attendance endpoints write and one record per employee per day.
+-- Remove any duplicate (employee_id, date) rows before applying the unique index.
+
+CREATE TABLE IF NOT EXISTS branch.employee_attendance (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  employee_id UUID NOT NULL, -- public.users.id of a teacher or staff member
+  date DATE NOT NULL,
+  status VARCHAR(20) NOT NULL -- Present | Absent | Late | On Leave
+);
+
+ALTER TABLE branch.employee_attendance
+  ADD COLUMN IF NOT EXISTS check_in_time TIME,
+  ADD COLUMN IF NOT EXISTS check_out_time TIME,
+  ADD COLUMN IF NOT EXISTS remarks TEXT,
+  ADD COLUMN IF NOT EXISTS marked_by UUID,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_employee_attendance_employee_date ON branch.employee_attendance (employee_id, date);
+CREATE INDEX IF NOT EXISTS idx_employee_attendance_branch_date ON branch.employee_attendance (branch_id, date);
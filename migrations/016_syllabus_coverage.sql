@@ -0,0 +1,16 @@
+-- Syllabus coverage
+-- Teachers mark subtopics as taught (date, period and notes); chapter coverage and
+-- planned-vs-actual dates are derived from these rows.
+
+CREATE TABLE IF NOT EXISTS branch.syllabus_coverage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subtopic_id UUID NOT NULL UNIQUE REFERENCES branch.syllabus_subtopics(id) ON DELETE CASCADE,
+  taught_on DATE NOT NULL,
+  time_slot VARCHAR(20), -- timetable period, e.g. '09:00-09:45'
+  notes TEXT,
+  taught_by UUID NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_syllabus_coverage_taught_on ON branch.syllabus_coverage (taught_on);
@@ -0,0 +1,21 @@
+-- Syllabus lag digest
+-- Chapters past their planned end date with subtopics still untaught are summarised once a day
+-- for each department incharge and class teacher (branches opt in through the syllabus settings).
+
+CREATE TABLE IF NOT EXISTS branch.syllabus_settings (
+  branch_id UUID PRIMARY KEY,
+  lag_digest_enabled BOOLEAN,
+  updated_by UUID, -- public.users.id
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS branch.syllabus_lag_digests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  recipient_id UUID NOT NULL, -- public.users.id of the incharge or class teacher
+  digest_date DATE NOT NULL,
+  lagging_chapters INTEGER NOT NULL,
+  notice_id TEXT, -- notices.id sent to the recipient
+  sent_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (recipient_id, digest_date)
+);
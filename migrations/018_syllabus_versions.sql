@@ -0,0 +1,43 @@
+-- Syllabus versions
+-- Every save of a syllabus stores an immutable snapshot of its chapters and subtopics.
+-- Versions are kept when a syllabus is deleted, so there is no foreign key to branch.syllabi.
+
+CREATE TABLE IF NOT EXISTS branch.syllabus_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  syllabus_id UUID NOT NULL,
+  class_id UUID NOT NULL,
+  subject_id UUID NOT NULL,
+  version_number INTEGER NOT NULL,
+  chapters JSONB NOT NULL, -- [{ chapter, startDate, endDate, subtopics: [name, ...] }]
+  change_type VARCHAR(20) NOT NULL, -- baseline | create | update | restore
+  restored_from_version INTEGER,
+  created_by UUID, -- NULL for baseline versions taken by this migration
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (syllabus_id, version_number)
+);
+
+-- Baseline: the current plan of every existing syllabus becomes version 1
+INSERT INTO branch.syllabus_versions (syllabus_id, class_id, subject_id, version_number, chapters, change_type, created_at)
+SELECT
+  s.id,
+  s.class_id,
+  s.subject_id,
+  1,
+  COALESCE((
+    SELECT jsonb_agg(jsonb_build_object(
+      'chapter', ch.chapter_name,
+      'startDate', to_char(ch.start_date, 'YYYY-MM-DD'),
+      'endDate', to_char(ch.end_date, 'YYYY-MM-DD'),
+      'subtopics', COALESCE((
+        SELECT jsonb_agg(st.subtopic_name ORDER BY st.subtopic_name)
+        FROM branch.syllabus_subtopics st
+        WHERE st.chapter_id = ch.id
+      ), '[]'::jsonb)
+    ) ORDER BY ch.start_date, ch.chapter_name)
+    FROM branch.syllabus_chapters ch
+    WHERE ch.syllabus_id = s.id
+  ), '[]'::jsonb),
+  'baseline',
+  COALESCE(s.updated_at, s.created_at, NOW())
+FROM branch.syllabi s
+WHERE NOT EXISTS (SELECT 1 FROM branch.syllabus_versions v WHERE v.syllabus_id = s.id);
@@ -0,0 +1,25 @@
+-- Syllabus templates
+-- A branch-level plan per standard and subject that can be applied to every section of the
+-- standard. Syllabi created from a template can stay linked so template edits are copied to
+-- them, with per-class chapter date overrides kept across those copies.
+-- Versions written when a template is applied or propagated use change_type 'template'.
+
+CREATE TABLE IF NOT EXISTS branch.syllabus_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  standard VARCHAR(20) NOT NULL,
+  subject_id UUID NOT NULL REFERENCES branch.subjects(id) ON DELETE CASCADE,
+  chapters JSONB NOT NULL, -- [{ chapter, startDate, endDate, subtopics: [name, ...] }]
+  created_by UUID NOT NULL,
+  updated_by UUID,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (branch_id, standard, subject_id)
+);
+
+ALTER TABLE branch.syllabi
+  ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES branch.syllabus_templates(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS template_linked BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS date_overrides JSONB; -- { "<chapter name>": { startDate, endDate } }
+
+CREATE INDEX IF NOT EXISTS idx_syllabi_template ON branch.syllabi (template_id) WHERE template_linked = true;
@@ -0,0 +1,45 @@
+-- Syllabus approval workflow
+-- Subject teachers' changes to a syllabus are saved as drafts, submitted to the department
+-- incharge for the subject, and only written to the syllabus tables once approved. Students
+-- read those tables, so they only ever see approved plans.
+
+CREATE TABLE IF NOT EXISTS branch.syllabus_drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  branch_id UUID NOT NULL,
+  draft_type VARCHAR(10) NOT NULL, -- create | update
+  syllabus_id UUID REFERENCES branch.syllabi(id) ON DELETE SET NULL, -- NULL until a create draft is approved
+  class_id UUID NOT NULL REFERENCES branch.classes(id) ON DELETE CASCADE,
+  subject_id UUID NOT NULL REFERENCES branch.subjects(id) ON DELETE CASCADE,
+  chapters JSONB NOT NULL, -- same shape as syllabus_versions.chapters
+  base_version INTEGER, -- live version the draft was written against
+  status VARCHAR(20) NOT NULL DEFAULT 'draft', -- draft | submitted | approved | rejected
+  created_by UUID NOT NULL,
+  submitted_at TIMESTAMP,
+  reviewed_by UUID,
+  reviewed_at TIMESTAMP,
+  review_comment TEXT,
+  applied_version INTEGER, -- version the approval created
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- At most one open draft per class and subject
+CREATE UNIQUE INDEX IF NOT EXISTS idx_syllabus_drafts_open
+  ON branch.syllabus_drafts (class_id, subject_id) WHERE status IN ('draft', 'submitted');
+CREATE INDEX IF NOT EXISTS idx_syllabus_drafts_review
+  ON branch.syllabus_drafts (branch_id, subject_id) WHERE status = 'submitted';
+
+CREATE TABLE IF NOT EXISTS branch.syllabus_draft_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  draft_id UUID NOT NULL REFERENCES branch.syllabus_drafts(id) ON DELETE CASCADE,
+  author_id UUID NOT NULL,
+  comment TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_syllabus_draft_comments_draft
+  ON branch.syllabus_draft_comments (draft_id, created_at);
+
+-- Versions written by an approval point back to the draft and the reviewer
+ALTER TABLE branch.syllabus_versions ADD COLUMN IF NOT EXISTS draft_id UUID;
+ALTER TABLE branch.syllabus_versions ADD COLUMN IF NOT EXISTS approved_by UUID;
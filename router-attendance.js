@@ -0,0 +1,2819 @@
+// Attendance endpoints beyond the daily class register (period sessions, ...)
+const express = require('express');
+const pool = require('./config/database');
+const jwt = require('jsonwebtoken');
+const { getClassSlotsForDate } = require('./utils/timetable');
+const {
+  LOCK_EXEMPT_ROLES,
+  EMPLOYEE_ATTENDANCE_STATUSES,
+  getWritableAttendanceStatuses,
+  ARRIVAL_TIME_PATTERN,
+  calculateAttendancePercentage,
+  getAttendanceSettings,
+  recordAttendanceHistory,
+  canViewStudentAttendance,
+  toDateString,
+  isValidDateString,
+  isValidTimezone,
+  getBranchClock,
+  getWindowStart,
+  findUnmarkedClasses,
+  upsertClassAttendance
+} = require('./utils/attendance');
+const { processAttendanceAlerts } = require('./utils/attendanceAlerts');
+const { publishAttendanceEvents } = require('./utils/attendanceEvents');
+const { findAtRiskStudents } = require('./utils/absenteeism');
+const { getApprovedLeaveStudentIds, applyApprovedLeave } = require('./utils/leaveRequests');
+const { applySyncMutation, findLoggedMutation } = require('./utils/attendanceSync');
+const {
+  MAX_FAILED_CHECKIN_ATTEMPTS,
+  generateCheckinSecret,
+  getCheckinCode,
+  verifyCheckinCode,
+  toSessionResponse,
+  findCheckinSession,
+  canManageCheckinSession,
+  closeCheckinSession
+} = require('./utils/attendanceCheckin');
+
+const router = express.Router();
+
+// JWT verification middleware
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access token required'
+    });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (err) {
+      console.error('JWT verification error:', err);
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+    req.user = user;
+    next();
+  });
+};
+
+// Role-based authorization middleware
+const requireRole = (...allowedRoles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied. Required roles: ${allowedRoles.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ========== PERIOD-WISE ATTENDANCE SESSIONS ==========
+
+// GET /api/classes/attendance/sessions/slots?class_id=&date= - A class's periods for a date and their marking state
+router.get('/attendance/sessions/slots', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 GET /api/classes/attendance/sessions/slots - Incoming request:', {
+    query: req.query,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { class_id, date } = req.query;
+
+    if (!class_id || !isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'class_id and date (YYYY-MM-DD) are required'
+      });
+    }
+
+    const schedule = await getClassSlotsForDate(pool, {
+      branchId: req.user.branchId,
+      classId: class_id,
+      date
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Timetable not created for this class'
+      });
+    }
+
+    const sessionsResult = await pool.query(
+      `SELECT s.id, s.time_slot, s.marked_by, s.updated_at, COUNT(pa.id) AS marked_students
+       FROM branch.attendance_sessions s
+       LEFT JOIN branch.period_attendance pa ON pa.session_id = s.id
+       WHERE s.class_id = $1 AND s.session_date = $2
+       GROUP BY s.id`,
+      [class_id, date]
+    );
+
+    const sessionsBySlot = new Map(sessionsResult.rows.map(s => [s.time_slot, s]));
+
+    const subjectIds = schedule.slots.map(s => s.subject_id).filter(Boolean);
+    const subjectsResult = await pool.query(
+      'SELECT id, name FROM branch.subjects WHERE id = ANY($1::uuid[])',
+      [subjectIds]
+    );
+    const subjectNames = new Map(subjectsResult.rows.map(s => [s.id, s.name]));
+
+    res.json({
+      success: true,
+      data: {
+        class_id,
+        date,
+        day: schedule.dayKey,
+        slots: schedule.slots.map(slot => {
+          const session = sessionsBySlot.get(slot.time_slot);
+          return {
+            time_slot: slot.time_slot,
+            subject_id: slot.subject_id,
+            subject_name: subjectNames.get(slot.subject_id) || null,
+            faculty_id: slot.faculty_id,
+            is_substitution: !!slot.substitution,
+            can_mark: req.user.role !== 'teacher' || slot.faculty_id === req.user.userId,
+            session: session
+              ? {
+                  id: session.id,
+                  marked_students: parseInt(session.marked_students),
+                  marked_by: session.marked_by,
+                  updated_at: session.updated_at
+                }
+              : null
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/sessions/slots - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch timetable slots'
+    });
+  }
+});
+
+// POST /api/classes/attendance/sessions - Mark attendance for one timetable period
+router.post('/attendance/sessions', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 POST /api/classes/attendance/sessions - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { class_id, date, time_slot, students } = req.body;
+    const branchId = req.user.branchId;
+
+    if (!class_id || !date || !time_slot) {
+      return res.status(400).json({
+        success: false,
+        error: 'class_id, date and time_slot are required'
+      });
+    }
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format. Use YYYY-MM-DD'
+      });
+    }
+
+    if (!students || !Array.isArray(students) || students.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Students array is required'
+      });
+    }
+
+    const statuses = getWritableAttendanceStatuses(req.user.role);
+    for (const student of students) {
+      if (!student.student_id || !statuses.includes(student.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid student data or status for student ${student.student_id}`
+        });
+      }
+    }
+
+    // 1️⃣ Class and the timetable slot being marked
+    const classCheck = await pool.query(
+      'SELECT id, class_name, academic_year FROM branch.classes WHERE id = $1 AND branch_id = $2::uuid',
+      [class_id, branchId]
+    );
+
+    if (classCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    const classData = classCheck.rows[0];
+    const schedule = await getClassSlotsForDate(pool, { branchId, classId: class_id, date });
+    const slot = schedule && schedule.slots.find(s => s.time_slot === time_slot);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        error: `No timetable period at ${time_slot} for this class on ${date}`
+      });
+    }
+
+    // 2️⃣ Only the teacher assigned to the slot (or its substitute) marks it
+    if (req.user.role === 'teacher' && slot.faculty_id !== req.user.userId) {
+      console.log('⚠️ POST /api/classes/attendance/sessions - Access denied for teacher:', {
+        teacherId: req.user.userid,
+        slotFacultyId: slot.faculty_id
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You are not assigned to this period.'
+      });
+    }
+
+    // 3️⃣ Students must be active members of the class
+    const studentIds = students.map(s => s.student_id);
+    const studentsCheck = await pool.query(
+      `SELECT id FROM branch.students
+       WHERE id = ANY($1::uuid[]) AND class_id = $2 AND status = 'Active'`,
+      [studentIds, class_id]
+    );
+    const validIds = new Set(studentsCheck.rows.map(r => r.id));
+    const invalidIds = studentIds.filter(id => !validIds.has(id));
+
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some students are not active in this class',
+        invalid_student_ids: invalidIds
+      });
+    }
+
+    // Students on approved leave that day are Excused rather than Absent
+    const onLeave = await getApprovedLeaveStudentIds(pool, { studentIds, date });
+    students.forEach(student => {
+      if (student.status === 'Absent' && onLeave.has(student.student_id)) student.status = 'Excused';
+    });
+
+    // Start transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const sessionResult = await client.query(
+        `INSERT INTO branch.attendance_sessions (
+          branch_id, class_id, timetable_id, session_date, day, time_slot,
+          subject_id, faculty_id, marked_by, academic_year
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (class_id, session_date, time_slot)
+        DO UPDATE SET
+          subject_id = EXCLUDED.subject_id,
+          faculty_id = EXCLUDED.faculty_id,
+          marked_by = EXCLUDED.marked_by,
+          updated_at = NOW()
+        RETURNING *`,
+        [
+          branchId,
+          class_id,
+          schedule.timetable.id,
+          date,
+          schedule.dayKey,
+          time_slot,
+          slot.subject_id,
+          slot.faculty_id,
+          req.user.userId,
+          classData.academic_year
+        ]
+      );
+
+      const session = sessionResult.rows[0];
+      let createdCount = 0;
+      let updatedCount = 0;
+
+      for (const student of students) {
+        const upsert = await client.query(
+          `INSERT INTO branch.period_attendance (session_id, student_id, status, remarks)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (session_id, student_id)
+           DO UPDATE SET status = EXCLUDED.status, remarks = EXCLUDED.remarks, updated_at = NOW()
+           RETURNING (xmax = 0) AS inserted`,
+          [session.id, student.student_id, student.status, student.remarks || null]
+        );
+        if (upsert.rows[0].inserted) createdCount++;
+        else updatedCount++;
+      }
+
+      await client.query('COMMIT');
+
+      console.log('✅ POST /api/classes/attendance/sessions - Success:', {
+        sessionId: session.id,
+        className: classData.class_name,
+        timeSlot: time_slot,
+        created: createdCount,
+        updated: updatedCount
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Period attendance marked successfully',
+        data: {
+          session_id: session.id,
+          class_id,
+          className: classData.class_name,
+          date,
+          day: schedule.dayKey,
+          time_slot,
+          subject_id: slot.subject_id,
+          faculty_id: slot.faculty_id,
+          created: createdCount,
+          updated: updatedCount,
+          total_processed: students.length
+        }
+      });
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/attendance/sessions - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('❌ POST /api/classes/attendance/sessions - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark period attendance'
+    });
+  }
+});
+
+// GET /api/classes/attendance/sessions?class_id=&start_date=&end_date= - Period sessions with counts
+router.get('/attendance/sessions', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const { class_id, date, start_date, end_date, subject_id } = req.query;
+
+    if (!class_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'class_id is required'
+      });
+    }
+
+    let query = `
+      SELECT
+        s.id,
+        s.session_date,
+        s.day,
+        s.time_slot,
+        s.subject_id,
+        sub.name AS subject_name,
+        s.faculty_id,
+        faculty.name AS faculty_name,
+        COUNT(pa.id) AS total,
+        COUNT(pa.id) FILTER (WHERE pa.status = 'Present') AS present,
+        COUNT(pa.id) FILTER (WHERE pa.status = 'Absent') AS absent,
+        COUNT(pa.id) FILTER (WHERE pa.status = 'Late') AS late
+      FROM branch.attendance_sessions s
+      LEFT JOIN branch.period_attendance pa ON pa.session_id = s.id
+      LEFT JOIN branch.subjects sub ON s.subject_id = sub.id
+      LEFT JOIN public.users faculty ON s.faculty_id = faculty.id
+      WHERE s.class_id = $1 AND s.branch_id = $2
+    `;
+    const queryParams = [class_id, req.user.branchId];
+    let paramIndex = 3;
+
+    if (date) {
+      query += ` AND s.session_date = $${paramIndex}`;
+      queryParams.push(date);
+      paramIndex++;
+    } else {
+      if (start_date) {
+        query += ` AND s.session_date >= $${paramIndex}`;
+        queryParams.push(start_date);
+        paramIndex++;
+      }
+
+      if (end_date) {
+        query += ` AND s.session_date <= $${paramIndex}`;
+        queryParams.push(end_date);
+        paramIndex++;
+      }
+    }
+
+    if (subject_id) {
+      query += ` AND s.subject_id = $${paramIndex}`;
+      queryParams.push(subject_id);
+      paramIndex++;
+    }
+
+    query += ` GROUP BY s.id, sub.name, faculty.name ORDER BY s.session_date DESC, s.time_slot`;
+
+    const result = await pool.query(query, queryParams);
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        ...row,
+        total: parseInt(row.total),
+        present: parseInt(row.present),
+        absent: parseInt(row.absent),
+        late: parseInt(row.late)
+      }))
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/sessions - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attendance sessions'
+    });
+  }
+});
+
+// GET /api/classes/attendance/sessions/:sessionId - One period session with student marks
+router.get('/attendance/sessions/:sessionId', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const sessionResult = await pool.query(
+      `SELECT s.*, c.class_name, sub.name AS subject_name, faculty.name AS faculty_name
+       FROM branch.attendance_sessions s
+       JOIN branch.classes c ON s.class_id = c.id
+       LEFT JOIN branch.subjects sub ON s.subject_id = sub.id
+       LEFT JOIN public.users faculty ON s.faculty_id = faculty.id
+       WHERE s.id = $1 AND s.branch_id = $2`,
+      [req.params.sessionId, req.user.branchId]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attendance session not found'
+      });
+    }
+
+    const recordsResult = await pool.query(
+      `SELECT
+         pa.id,
+         pa.status,
+         pa.remarks,
+         pa.marked_at,
+         pa.updated_at,
+         st.id AS student_id,
+         st.roll_number,
+         COALESCE(u.name, 'Unknown Student') AS student_name
+       FROM branch.period_attendance pa
+       JOIN branch.students st ON pa.student_id = st.id
+       LEFT JOIN public.users u ON st.user_id = u.id
+       WHERE pa.session_id = $1
+       ORDER BY st.roll_number`,
+      [req.params.sessionId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        session: sessionResult.rows[0],
+        attendance_records: recordsResult.rows
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/sessions/:sessionId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attendance session'
+    });
+  }
+});
+
+// ========== ATTENDANCE SETTINGS ==========
+
+// Settings an admin can change through PUT /attendance/settings, with their validators
+const EDITABLE_SETTINGS = {
+  lock_window_hours: value => value === null || (Number.isInteger(value) && value >= 0),
+  absence_alerts_enabled: value => typeof value === 'boolean',
+  absence_alert_statuses: value => Array.isArray(value) && value.length > 0 &&
+    value.every(status => ['Absent', 'Late'].includes(status)),
+  absence_alert_template: value => typeof value === 'string' && value.trim().length > 0,
+  absence_alert_grace_minutes: value => Number.isInteger(value) && value >= 0,
+  absenteeism_threshold: value => typeof value === 'number' && value > 0 && value <= 100,
+  absenteeism_window_days: value => Number.isInteger(value) && value > 0 && value <= 366,
+  absenteeism_alerts_enabled: value => typeof value === 'boolean',
+  attendance_reminders_enabled: value => typeof value === 'boolean',
+  attendance_reminder_cutoff: value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value),
+  timezone: value => value === null || (typeof value === 'string' && isValidTimezone(value))
+};
+
+// GET /api/classes/attendance/settings - Branch attendance settings
+router.get('/attendance/settings', authenticateToken, async (req, res) => {
+  try {
+    const settings = await getAttendanceSettings(pool, req.user.branchId);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/settings - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attendance settings'
+    });
+  }
+});
+
+// PUT /api/classes/attendance/settings - Update branch attendance settings
+router.put('/attendance/settings', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 PUT /api/classes/attendance/settings - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const updates = Object.entries(req.body).filter(([key]) => key in EDITABLE_SETTINGS);
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Provide at least one of: ${Object.keys(EDITABLE_SETTINGS).join(', ')}`
+      });
+    }
+
+    const invalid = updates.filter(([key, value]) => !EDITABLE_SETTINGS[key](value)).map(([key]) => key);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid value for: ${invalid.join(', ')}`
+      });
+    }
+
+    const columns = updates.map(([key]) => key);
+    const values = updates.map(([, value]) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value));
+
+    await pool.query(
+      `INSERT INTO branch.attendance_settings (branch_id, ${columns.join(', ')}, updated_by, updated_at)
+       VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')}, $${columns.length + 2}, NOW())
+       ON CONFLICT (branch_id) DO UPDATE SET
+         ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()`,
+      [req.user.branchId, ...values, req.user.userId]
+    );
+
+    const settings = await getAttendanceSettings(pool, req.user.branchId);
+
+    console.log('✅ PUT /api/classes/attendance/settings - Updated:', columns);
+
+    res.json({
+      success: true,
+      data: settings,
+      message: 'Attendance settings updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ PUT /api/classes/attendance/settings - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update attendance settings'
+    });
+  }
+});
+
+// ========== ATTENDANCE AMENDMENTS ==========
+
+// GET /api/classes/attendance/amendments - Amendment requests visible to the user
+router.get('/attendance/amendments', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const { status = 'pending', class_id } = req.query;
+
+    let query = `
+      SELECT
+        am.*,
+        c.class_name,
+        st.roll_number,
+        COALESCE(u.name, 'Unknown Student') AS student_name,
+        requester.name AS requested_by_name,
+        reviewer.name AS reviewed_by_name
+      FROM branch.attendance_amendments am
+      JOIN branch.classes c ON am.class_id = c.id
+      JOIN branch.students st ON am.student_id = st.id
+      LEFT JOIN public.users u ON st.user_id = u.id
+      LEFT JOIN public.users requester ON am.requested_by = requester.id
+      LEFT JOIN public.users reviewer ON am.reviewed_by = reviewer.id
+      WHERE am.branch_id = $1
+    `;
+    const queryParams = [req.user.branchId];
+    let paramIndex = 2;
+
+    if (status !== 'all') {
+      query += ` AND am.status = $${paramIndex}`;
+      queryParams.push(status);
+      paramIndex++;
+    }
+
+    if (class_id) {
+      query += ` AND am.class_id = $${paramIndex}`;
+      queryParams.push(class_id);
+      paramIndex++;
+    }
+
+    // Teachers see requests for their own classes and the ones they raised
+    if (req.user.role === 'teacher') {
+      query += ` AND (c.teacher_id = $${paramIndex} OR am.requested_by = $${paramIndex})`;
+      queryParams.push(req.user.userId);
+      paramIndex++;
+    }
+
+    query += ' ORDER BY am.created_at DESC';
+
+    const result = await pool.query(query, queryParams);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      total: result.rows.length
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/amendments - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch amendment requests'
+    });
+  }
+});
+
+// POST /api/classes/attendance/amendments/:amendmentId/:decision - Approve or reject a request
+router.post('/attendance/amendments/:amendmentId/:decision', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 POST /api/classes/attendance/amendments/:amendmentId/:decision - Incoming request:', {
+    params: req.params,
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { amendmentId, decision } = req.params;
+    const { comment } = req.body || {};
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown amendment action. Use approve or reject.'
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const amendmentResult = await client.query(
+        `SELECT am.*, c.teacher_id AS class_teacher_id, c.academic_year
+         FROM branch.attendance_amendments am
+         JOIN branch.classes c ON am.class_id = c.id
+         WHERE am.id = $1 AND am.branch_id = $2
+         FOR UPDATE OF am`,
+        [amendmentId, req.user.branchId]
+      );
+
+      if (amendmentResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          error: 'Amendment request not found'
+        });
+      }
+
+      const amendment = amendmentResult.rows[0];
+      const isAdmin = LOCK_EXEMPT_ROLES.includes(req.user.role);
+
+      // Class teacher or admin reviews; nobody but an admin reviews their own request
+      if (!isAdmin && (amendment.class_teacher_id !== req.user.userId || amendment.requested_by === req.user.userId)) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Only the class teacher or an admin can review this request.'
+        });
+      }
+
+      if (amendment.status !== 'pending') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: `Amendment request has already been ${amendment.status}`
+        });
+      }
+
+      let attendanceId = amendment.attendance_id;
+      let before = null;
+      let appliedRecord = null;
+
+      if (decision === 'approve') {
+        // Re-read the record: it may have changed since the request was raised
+        const currentResult = attendanceId
+          ? await client.query(
+              'SELECT id, status, remarks FROM branch.attendance WHERE id = $1 FOR UPDATE',
+              [attendanceId]
+            )
+          : await client.query(
+              `SELECT id, status, remarks FROM branch.attendance
+               WHERE student_id = $1 AND attendance_date = $2 AND class_id = $3
+               FOR UPDATE`,
+              [amendment.student_id, amendment.attendance_date, amendment.class_id]
+            );
+
+        if (currentResult.rows.length > 0) {
+          before = currentResult.rows[0];
+          attendanceId = before.id;
+
+          const updatedAttendance = await client.query(
+            `UPDATE branch.attendance SET
+              status = $1,
+              remarks = $2,
+              arrival_time = CASE WHEN $1::text = 'Late' THEN arrival_time END,
+              minutes_late = CASE WHEN $1::text = 'Late' THEN minutes_late END,
+              updated_at = NOW()
+             WHERE id = $3
+             RETURNING *`,
+            [amendment.requested_status, amendment.requested_remarks, attendanceId]
+          );
+
+          appliedRecord = updatedAttendance.rows[0];
+
+          await recordAttendanceHistory(client, {
+            attendance: updatedAttendance.rows[0],
+            action: 'update',
+            oldStatus: before.status,
+            oldRemarks: before.remarks,
+            actor: req.user,
+            source: 'POST /attendance/amendments/:amendmentId/approve',
+            amendmentId: amendment.id
+          });
+        } else {
+          const inserted = await client.query(
+            `INSERT INTO branch.attendance (
+              branch_id, student_id, class_id, teacher_id,
+              attendance_date, status, remarks, academic_year
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *`,
+            [
+              amendment.branch_id,
+              amendment.student_id,
+              amendment.class_id,
+              amendment.requested_by,
+              amendment.attendance_date,
+              amendment.requested_status,
+              amendment.requested_remarks,
+              amendment.academic_year
+            ]
+          );
+          attendanceId = inserted.rows[0].id;
+          appliedRecord = inserted.rows[0];
+
+          await recordAttendanceHistory(client, {
+            attendance: inserted.rows[0],
+            action: 'insert',
+            actor: req.user,
+            source: 'POST /attendance/amendments/:amendmentId/approve',
+            amendmentId: amendment.id
+          });
+        }
+      }
+
+      const updated = await client.query(
+        `UPDATE branch.attendance_amendments SET
+          status = $1,
+          attendance_id = $2,
+          previous_status = $3,
+          previous_remarks = $4,
+          reviewed_by = $5,
+          review_comment = $6,
+          reviewed_at = NOW()
+         WHERE id = $7
+         RETURNING *`,
+        [
+          decision === 'approve' ? 'approved' : 'rejected',
+          attendanceId,
+          decision === 'approve' ? (before ? before.status : null) : amendment.previous_status,
+          decision === 'approve' ? (before ? before.remarks : null) : amendment.previous_remarks,
+          req.user.userId,
+          comment || null,
+          amendment.id
+        ]
+      );
+
+      await client.query('COMMIT');
+
+      if (appliedRecord) {
+        await processAttendanceAlerts(pool, {
+          branchId: req.user.branchId,
+          changes: [{ attendance: appliedRecord, oldStatus: before ? before.status : null }],
+          actorId: req.user.userId,
+          broadcast: req.app.get('broadcastNotificationToStudents')
+        });
+
+        await publishAttendanceEvents(pool, {
+          branchId: req.user.branchId,
+          changes: [{ attendance: appliedRecord, oldStatus: before ? before.status : null }],
+          publish: req.app.get('broadcastAttendanceEvent'),
+          source: 'POST /attendance/amendments/:amendmentId/approve'
+        });
+      }
+
+      console.log('✅ POST /api/classes/attendance/amendments/:amendmentId/:decision - Reviewed:', {
+        amendmentId,
+        decision
+      });
+
+      res.json({
+        success: true,
+        message: decision === 'approve'
+          ? 'Amendment approved and applied'
+          : 'Amendment rejected',
+        data: updated.rows[0]
+      });
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/attendance/amendments/:amendmentId/:decision - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('❌ POST /api/classes/attendance/amendments/:amendmentId/:decision - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review amendment request'
+    });
+  }
+});
+
+// ========== ATTENDANCE HISTORY ==========
+
+// GET /api/classes/attendance/:id/history - Audit trail of one attendance record
+router.get('/attendance/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const recordResult = await pool.query(
+      'SELECT id, student_id, class_id, attendance_date, status FROM branch.attendance WHERE id = $1 AND branch_id = $2::uuid',
+      [req.params.id, req.user.branchId]
+    );
+
+    // History survives the record, so fall back to the log itself
+    const historyResult = await pool.query(
+      `SELECT
+         h.*,
+         actor.name AS actor_name
+       FROM branch.attendance_history h
+       LEFT JOIN public.users actor ON h.actor_id = actor.id
+       WHERE h.attendance_id = $1 AND h.branch_id = $2
+       ORDER BY h.created_at ASC`,
+      [req.params.id, req.user.branchId]
+    );
+
+    if (recordResult.rows.length === 0 && historyResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attendance record not found'
+      });
+    }
+
+    const studentId = recordResult.rows[0]?.student_id || historyResult.rows[0].student_id;
+
+    if (!(await canViewStudentAttendance(pool, req.user, studentId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        attendance: recordResult.rows[0] || null,
+        history: historyResult.rows
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/:id/history - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attendance history'
+    });
+  }
+});
+
+// GET /api/classes/attendance/students/:studentId/history - Every recorded change for a student
+router.get('/attendance/students/:studentId/history', authenticateToken, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { start_date, end_date, limit = 100, offset = 0 } = req.query;
+
+    const studentCheck = await pool.query(
+      `SELECT s.id, s.roll_number, COALESCE(u.name, 'Unknown Student') AS name
+       FROM branch.students s
+       LEFT JOIN public.users u ON s.user_id = u.id
+       WHERE s.id = $1 AND s.branch_id = $2::uuid`,
+      [studentId, req.user.branchId]
+    );
+
+    if (studentCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (!(await canViewStudentAttendance(pool, req.user, studentId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    let query = `
+      SELECT
+        h.*,
+        c.class_name,
+        actor.name AS actor_name
+      FROM branch.attendance_history h
+      LEFT JOIN branch.classes c ON h.class_id = c.id
+      LEFT JOIN public.users actor ON h.actor_id = actor.id
+      WHERE h.student_id = $1 AND h.branch_id = $2
+    `;
+    const queryParams = [studentId, req.user.branchId];
+    let paramIndex = 3;
+
+    if (start_date) {
+      query += ` AND h.attendance_date >= $${paramIndex}`;
+      queryParams.push(start_date);
+      paramIndex++;
+    }
+
+    if (end_date) {
+      query += ` AND h.attendance_date <= $${paramIndex}`;
+      queryParams.push(end_date);
+      paramIndex++;
+    }
+
+    query += ` ORDER BY h.attendance_date DESC, h.created_at ASC`;
+    query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    queryParams.push(parseInt(limit), parseInt(offset));
+
+    const result = await pool.query(query, queryParams);
+
+    // Group entries by day so a disputed date reads top to bottom
+    const byDate = new Map();
+    result.rows.forEach(entry => {
+      const key = toDateString(entry.attendance_date);
+      if (!byDate.has(key)) byDate.set(key, { attendance_date: key, changes: [] });
+      byDate.get(key).changes.push(entry);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        student: studentCheck.rows[0],
+        days: [...byDate.values()],
+        total_entries: result.rows.length
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/students/:studentId/history - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch student attendance history'
+    });
+  }
+});
+
+// ========== ATTENDANCE REPORTS ==========
+
+// GET /api/classes/attendance/reports/chronic-absenteeism - Students below the attendance threshold
+// over a rolling window, grouped by class (teachers see their own classes only)
+router.get('/attendance/reports/chronic-absenteeism', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 GET /api/classes/attendance/reports/chronic-absenteeism - Incoming request:', {
+    query: req.query,
+    userId: req.user?.userId,
+    role: req.user?.role
+  });
+
+  try {
+    const settings = await getAttendanceSettings(pool, req.user.branchId);
+
+    const threshold = req.query.threshold !== undefined
+      ? parseFloat(req.query.threshold)
+      : parseFloat(settings.absenteeism_threshold);
+    const windowDays = req.query.window_days !== undefined
+      ? parseInt(req.query.window_days)
+      : settings.absenteeism_window_days;
+    const endDate = req.query.end_date || getBranchClock(settings).date;
+
+    if (isNaN(threshold) || threshold <= 0 || threshold > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'threshold must be a number between 0 and 100'
+      });
+    }
+
+    if (isNaN(windowDays) || windowDays < 1 || windowDays > 366) {
+      return res.status(400).json({
+        success: false,
+        error: 'window_days must be between 1 and 366'
+      });
+    }
+
+    if (!isValidDateString(endDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'end_date must be a valid YYYY-MM-DD date'
+      });
+    }
+
+    const report = await findAtRiskStudents(pool, {
+      branchId: req.user.branchId,
+      threshold,
+      windowDays,
+      endDate,
+      teacherId: req.user.role === 'teacher' ? req.user.userId : null,
+      classIds: req.query.class_id ? [req.query.class_id] : null
+    });
+
+    // Students already reported to their class teacher by the scheduled check
+    const flagResult = await pool.query(
+      `SELECT student_id, flagged_at FROM branch.absenteeism_flags
+       WHERE branch_id = $1 AND cleared_at IS NULL`,
+      [req.user.branchId]
+    );
+    const flaggedAt = new Map(flagResult.rows.map(f => [f.student_id, f.flagged_at]));
+
+    const byClass = new Map();
+    report.atRisk.forEach(student => {
+      if (!byClass.has(student.class_id)) {
+        byClass.set(student.class_id, {
+          class_id: student.class_id,
+          class_name: student.class_name,
+          standard: student.standard,
+          class_teacher_id: student.class_teacher_id,
+          class_teacher_name: student.class_teacher_name,
+          students: []
+        });
+      }
+
+      byClass.get(student.class_id).students.push({
+        student_id: student.student_id,
+        student_number: student.student_number,
+        roll_number: student.roll_number,
+        name: student.name,
+        present: student.present,
+        absent: student.absent,
+        late: student.late,
+        attendance_percentage: student.attendance_percentage,
+        flagged_at: flaggedAt.get(student.student_id) || null
+      });
+    });
+
+    console.log('✅ Chronic absenteeism report:', {
+      threshold,
+      windowDays,
+      atRisk: report.atRisk.length,
+      classes: byClass.size
+    });
+
+    res.json({
+      success: true,
+      data: {
+        threshold,
+        window_days: windowDays,
+        start_date: report.startDate,
+        end_date: report.endDate,
+        total_days: report.totalDays,
+        holidays: report.holidays,
+        working_days: report.workingDays,
+        students_checked: report.students.length,
+        students_below_threshold: report.atRisk.length,
+        classes: [...byClass.values()]
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/reports/chronic-absenteeism - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate chronic absenteeism report'
+    });
+  }
+});
+
+// GET /api/classes/attendance/reports/unmarked-classes?date= - Active classes with no attendance
+// marked on a date (teachers see their own classes only)
+router.get('/attendance/reports/unmarked-classes', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const settings = await getAttendanceSettings(pool, req.user.branchId);
+    const date = req.query.date || getBranchClock(settings).date;
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'date must be YYYY-MM-DD'
+      });
+    }
+
+    const { holiday, classes } = await findUnmarkedClasses(pool, {
+      branchId: req.user.branchId,
+      date,
+      teacherId: req.user.role === 'teacher' ? req.user.userId : null
+    });
+
+    const remindersResult = await pool.query(
+      `SELECT class_id, sent_at FROM branch.attendance_reminders
+       WHERE branch_id = $1 AND reminder_date = $2`,
+      [req.user.branchId, date]
+    );
+    const remindedAt = new Map(remindersResult.rows.map(r => [r.class_id, r.sent_at]));
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        holiday,
+        total: classes.length,
+        classes: classes.map(c => ({ ...c, reminder_sent_at: remindedAt.get(c.class_id) || null }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/reports/unmarked-classes - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch unmarked classes'
+    });
+  }
+});
+
+// GET /api/classes/attendance/reports/tardiness?start_date=&end_date=&class_id=&student_id=&period=week|month
+// Late arrivals per student and class: count, total minutes late and a per-period trend
+router.get('/attendance/reports/tardiness', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const { class_id, student_id, period = 'week' } = req.query;
+    const settings = await getAttendanceSettings(pool, req.user.branchId);
+    const endDate = req.query.end_date || getBranchClock(settings).date;
+    const startDate = req.query.start_date || getWindowStart(endDate, settings.absenteeism_window_days);
+
+    if (!isValidDateString(startDate) || !isValidDateString(endDate) || startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date must be YYYY-MM-DD, with start_date first'
+      });
+    }
+
+    if (!['week', 'month'].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        error: 'period must be week or month'
+      });
+    }
+
+    let filters = '';
+    const queryParams = [req.user.branchId, startDate, endDate, period];
+    let paramIndex = 5;
+
+    if (class_id) {
+      filters += ` AND a.class_id = $${paramIndex}`;
+      queryParams.push(class_id);
+      paramIndex++;
+    }
+
+    if (student_id) {
+      filters += ` AND a.student_id = $${paramIndex}`;
+      queryParams.push(student_id);
+      paramIndex++;
+    }
+
+    // Teachers see their own classes
+    if (req.user.role === 'teacher') {
+      filters += ` AND c.teacher_id = $${paramIndex}`;
+      queryParams.push(req.user.userId);
+      paramIndex++;
+    }
+
+    // One row per student, class and period
+    const result = await pool.query(
+      `SELECT
+         a.student_id,
+         s.student_id AS student_number,
+         s.roll_number,
+         COALESCE(u.name, 'Unknown Student') AS name,
+         a.class_id,
+         c.class_name,
+         date_trunc($4, a.attendance_date)::date AS period_start,
+         COUNT(*) AS late_count,
+         COUNT(a.minutes_late) AS timed_count,
+         COALESCE(SUM(a.minutes_late), 0) AS total_minutes_late
+       FROM branch.attendance a
+       JOIN branch.students s ON a.student_id = s.id
+       JOIN branch.classes c ON a.class_id = c.id
+       LEFT JOIN public.users u ON s.user_id = u.id
+       WHERE a.branch_id = $1
+         AND a.status = 'Late'
+         AND a.attendance_date BETWEEN $2 AND $3
+         ${filters}
+       GROUP BY a.student_id, s.student_id, s.roll_number, u.name, a.class_id, c.class_name, period_start
+       ORDER BY c.class_name, s.roll_number, period_start`,
+      queryParams
+    );
+
+    // Helper: Totals and trend for a set of period rows
+    const summarize = rows => {
+      const byPeriod = new Map();
+      rows.forEach(row => {
+        const key = toDateString(row.period_start);
+        const entry = byPeriod.get(key) || { period_start: key, late_count: 0, total_minutes_late: 0 };
+        entry.late_count += parseInt(row.late_count);
+        entry.total_minutes_late += parseInt(row.total_minutes_late);
+        byPeriod.set(key, entry);
+      });
+
+      const trend = [...byPeriod.values()].sort((a, b) => a.period_start.localeCompare(b.period_start));
+      const lateCount = trend.reduce((sum, p) => sum + p.late_count, 0);
+      const totalMinutes = trend.reduce((sum, p) => sum + p.total_minutes_late, 0);
+      const timedCount = rows.reduce((sum, row) => sum + parseInt(row.timed_count), 0);
+
+      // Compare the later half of the periods with the earlier half
+      let direction = 'steady';
+      if (trend.length >= 2) {
+        const half = Math.floor(trend.length / 2);
+        const earlier = trend.slice(0, half).reduce((sum, p) => sum + p.late_count, 0) / half;
+        const later = trend.slice(trend.length - half).reduce((sum, p) => sum + p.late_count, 0) / half;
+        if (later > earlier) direction = 'worsening';
+        if (later < earlier) direction = 'improving';
+      }
+
+      return {
+        late_count: lateCount,
+        total_minutes_late: totalMinutes,
+        average_minutes_late: timedCount > 0 ? Number((totalMinutes / timedCount).toFixed(1)) : null,
+        direction,
+        trend
+      };
+    };
+
+    const studentRows = new Map();
+    const classRows = new Map();
+    result.rows.forEach(row => {
+      if (!studentRows.has(row.student_id)) studentRows.set(row.student_id, []);
+      studentRows.get(row.student_id).push(row);
+      if (!classRows.has(row.class_id)) classRows.set(row.class_id, []);
+      classRows.get(row.class_id).push(row);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        start_date: startDate,
+        end_date: endDate,
+        period,
+        students: [...studentRows.values()].map(rows => ({
+          student_id: rows[0].student_id,
+          student_number: rows[0].student_number,
+          roll_number: rows[0].roll_number,
+          name: rows[0].name,
+          class_id: rows[0].class_id,
+          class_name: rows[0].class_name,
+          ...summarize(rows)
+        })),
+        classes: [...classRows.values()].map(rows => ({
+          class_id: rows[0].class_id,
+          class_name: rows[0].class_name,
+          students_late: new Set(rows.map(row => row.student_id)).size,
+          ...summarize(rows)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/reports/tardiness - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate tardiness report'
+    });
+  }
+});
+
+// ========== LEAVE REQUESTS ==========
+
+// POST /api/classes/attendance/leave-requests - Student or parent requests leave for a date range
+router.post('/attendance/leave-requests', authenticateToken, requireRole('student', 'parent'), async (req, res) => {
+  console.log('🔥 POST /api/classes/attendance/leave-requests - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { student_id, start_date, end_date, reason } = req.body || {};
+    const branchId = req.user.branchId;
+
+    if (!isValidDateString(start_date) || !isValidDateString(end_date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'start_date and end_date are required (YYYY-MM-DD)'
+      });
+    }
+
+    if (end_date < start_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'end_date cannot be before start_date'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required'
+      });
+    }
+
+    // 1️⃣ Resolve the student: students request for themselves, parents for a linked child
+    let studentResult;
+    if (req.user.role === 'student') {
+      studentResult = await pool.query(
+        `SELECT id, class_id FROM branch.students
+         WHERE user_id = $1 AND branch_id = $2::uuid AND status = 'Active'`,
+        [req.user.userId, branchId]
+      );
+    } else {
+      if (!student_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'student_id is required'
+        });
+      }
+
+      studentResult = await pool.query(
+        `SELECT s.id, s.class_id FROM branch.students s
+         JOIN branch.parent_student_relations psr ON psr.student_id = s.id
+         WHERE s.id = $1 AND psr.parent_id = $2 AND s.branch_id = $3::uuid AND s.status = 'Active'`,
+        [student_id, req.user.userId, branchId]
+      );
+    }
+
+    if (studentResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    const student = studentResult.rows[0];
+
+    // 2️⃣ One open or approved request per day
+    const overlapResult = await pool.query(
+      `SELECT id, start_date, end_date, status FROM branch.leave_requests
+       WHERE student_id = $1
+         AND status IN ('pending', 'approved')
+         AND start_date <= $3 AND end_date >= $2`,
+      [student.id, start_date, end_date]
+    );
+
+    if (overlapResult.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'A pending or approved leave request already covers some of these dates',
+        overlapping: overlapResult.rows
+      });
+    }
+
+    // 3️⃣ Create the request
+    const result = await pool.query(
+      `INSERT INTO branch.leave_requests (
+        branch_id, student_id, class_id, start_date, end_date, reason,
+        requested_by, requested_by_role
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *`,
+      [branchId, student.id, student.class_id, start_date, end_date, reason.trim(), req.user.userId, req.user.role]
+    );
+
+    console.log('✅ POST /api/classes/attendance/leave-requests - Created:', {
+      leaveRequestId: result.rows[0].id,
+      studentId: student.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave request submitted for approval',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/attendance/leave-requests - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit leave request'
+    });
+  }
+});
+
+// GET /api/classes/attendance/leave-requests - Leave requests visible to the user
+router.get('/attendance/leave-requests', authenticateToken, async (req, res) => {
+  try {
+    const { status = 'all', class_id, student_id } = req.query;
+
+    let query = `
+      SELECT
+        lr.*,
+        c.class_name,
+        st.roll_number,
+        COALESCE(u.name, 'Unknown Student') AS student_name,
+        requester.name AS requested_by_name,
+        reviewer.name AS reviewed_by_name
+      FROM branch.leave_requests lr
+      JOIN branch.classes c ON lr.class_id = c.id
+      JOIN branch.students st ON lr.student_id = st.id
+      LEFT JOIN public.users u ON st.user_id = u.id
+      LEFT JOIN public.users requester ON lr.requested_by = requester.id
+      LEFT JOIN public.users reviewer ON lr.reviewed_by = reviewer.id
+      WHERE lr.branch_id = $1
+    `;
+    const queryParams = [req.user.branchId];
+    let paramIndex = 2;
+
+    if (status !== 'all') {
+      query += ` AND lr.status = $${paramIndex}`;
+      queryParams.push(status);
+      paramIndex++;
+    }
+
+    if (class_id) {
+      query += ` AND lr.class_id = $${paramIndex}`;
+      queryParams.push(class_id);
+      paramIndex++;
+    }
+
+    if (student_id) {
+      query += ` AND lr.student_id = $${paramIndex}`;
+      queryParams.push(student_id);
+      paramIndex++;
+    }
+
+    // Teachers see their own classes; students and parents see their own requests
+    if (req.user.role === 'teacher') {
+      query += ` AND c.teacher_id = $${paramIndex}`;
+      queryParams.push(req.user.userId);
+      paramIndex++;
+    } else if (req.user.role === 'student') {
+      query += ` AND st.user_id = $${paramIndex}`;
+      queryParams.push(req.user.userId);
+      paramIndex++;
+    } else if (req.user.role === 'parent') {
+      query += ` AND EXISTS (
+        SELECT 1 FROM branch.parent_student_relations psr
+        WHERE psr.student_id = lr.student_id AND psr.parent_id = $${paramIndex}
+      )`;
+      queryParams.push(req.user.userId);
+      paramIndex++;
+    } else if (!LOCK_EXEMPT_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    query += ' ORDER BY lr.start_date DESC, lr.created_at DESC';
+
+    const result = await pool.query(query, queryParams);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      total: result.rows.length
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/leave-requests - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leave requests'
+    });
+  }
+});
+
+// POST /api/classes/attendance/leave-requests/:requestId/cancel - Requester withdraws a pending request
+router.post('/attendance/leave-requests/:requestId/cancel', authenticateToken, requireRole('student', 'parent'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE branch.leave_requests SET
+        status = 'cancelled',
+        updated_at = NOW()
+       WHERE id = $1 AND branch_id = $2 AND requested_by = $3 AND status = 'pending'
+       RETURNING *`,
+      [req.params.requestId, req.user.branchId, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending leave request of yours with this id'
+      });
+    }
+
+    console.log('✅ POST /api/classes/attendance/leave-requests/:requestId/cancel - Cancelled:', req.params.requestId);
+
+    res.json({
+      success: true,
+      message: 'Leave request cancelled',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/attendance/leave-requests/:requestId/cancel - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel leave request'
+    });
+  }
+});
+
+// POST /api/classes/attendance/leave-requests/:requestId/:decision - Class teacher approves or rejects
+router.post('/attendance/leave-requests/:requestId/:decision', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 POST /api/classes/attendance/leave-requests/:requestId/:decision - Incoming request:', {
+    params: req.params,
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { requestId, decision } = req.params;
+    const { comment } = req.body || {};
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown leave request action. Use approve or reject.'
+      });
+    }
+
+    const client = await pool.connect();
+    let excusedRecords = [];
+    let reviewed;
+    try {
+      await client.query('BEGIN');
+
+      const leaveResult = await client.query(
+        `SELECT lr.*, c.teacher_id AS class_teacher_id
+         FROM branch.leave_requests lr
+         JOIN branch.classes c ON lr.class_id = c.id
+         WHERE lr.id = $1 AND lr.branch_id = $2
+         FOR UPDATE OF lr`,
+        [requestId, req.user.branchId]
+      );
+
+      if (leaveResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          error: 'Leave request not found'
+        });
+      }
+
+      const leave = leaveResult.rows[0];
+
+      if (!LOCK_EXEMPT_ROLES.includes(req.user.role) && leave.class_teacher_id !== req.user.userId) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Only the class teacher or an admin can review this request.'
+        });
+      }
+
+      if (leave.status !== 'pending') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: `Leave request has already been ${leave.status}`
+        });
+      }
+
+      if (decision === 'approve') {
+        excusedRecords = await applyApprovedLeave(client, {
+          leave,
+          actor: req.user
+        });
+      }
+
+      const updated = await client.query(
+        `UPDATE branch.leave_requests SET
+          status = $1,
+          reviewed_by = $2,
+          review_comment = $3,
+          reviewed_at = NOW(),
+          updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [decision === 'approve' ? 'approved' : 'rejected', req.user.userId, comment || null, leave.id]
+      );
+      reviewed = updated.rows[0];
+
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/attendance/leave-requests/:requestId/:decision - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    // Absence alerts for the excused days are withdrawn if still inside the grace period;
+    // older ones stay delivered
+    await processAttendanceAlerts(pool, {
+      branchId: req.user.branchId,
+      changes: excusedRecords,
+      actorId: req.user.userId,
+      broadcast: req.app.get('broadcastNotificationToStudents')
+    });
+
+    await publishAttendanceEvents(pool, {
+      branchId: req.user.branchId,
+      changes: excusedRecords,
+      publish: req.app.get('broadcastAttendanceEvent'),
+      source: 'POST /attendance/leave-requests/:requestId/approve'
+    });
+
+    console.log('✅ POST /api/classes/attendance/leave-requests/:requestId/:decision - Reviewed:', {
+      requestId,
+      decision,
+      excusedDays: excusedRecords.length
+    });
+
+    res.json({
+      success: true,
+      message: decision === 'approve'
+        ? `Leave approved; ${excusedRecords.length} day(s) marked Excused`
+        : 'Leave request rejected',
+      data: {
+        ...reviewed,
+        excused_records: excusedRecords.map(change => change.attendance)
+      }
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/attendance/leave-requests/:requestId/:decision - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review leave request'
+    });
+  }
+});
+
+// ========== OFFLINE SYNC ==========
+
+const MAX_SYNC_MUTATIONS = 500;
+
+// POST /api/classes/attendance/sync - Apply a batch of offline attendance mutations.
+// Each mutation: { client_mutation_id, client_timestamp, class_id, student_id, attendance_date, status, remarks }.
+// Results are applied | skipped | conflict; see utils/attendanceSync.js for the conflict rule.
+router.post('/attendance/sync', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  const { device_id, mutations } = req.body || {};
+
+  console.log('🔥 POST /api/classes/attendance/sync - Incoming request:', {
+    deviceId: device_id,
+    mutations: Array.isArray(mutations) ? mutations.length : mutations,
+    userId: req.user?.userId,
+    role: req.user?.role
+  });
+
+  try {
+    const branchId = req.user.branchId;
+
+    if (!Array.isArray(mutations) || mutations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'mutations must be a non-empty array'
+      });
+    }
+
+    if (mutations.length > MAX_SYNC_MUTATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_SYNC_MUTATIONS} mutations per sync request`
+      });
+    }
+
+    const missingId = mutations.findIndex(m => !m || typeof m.client_mutation_id !== 'string' ||
+      !m.client_mutation_id.trim() || m.client_mutation_id.length > 100);
+    if (missingId !== -1) {
+      return res.status(400).json({
+        success: false,
+        error: `Mutation ${missingId} needs a client_mutation_id (up to 100 characters)`
+      });
+    }
+
+    // 1️⃣ Apply in the order the changes were made on the device
+    const ordered = mutations
+      .map((mutation, index) => ({ mutation, index }))
+      .sort((a, b) => {
+        const timeA = new Date(a.mutation.client_timestamp).getTime() || 0;
+        const timeB = new Date(b.mutation.client_timestamp).getTime() || 0;
+        return timeA - timeB || a.index - b.index;
+      });
+
+    // Approved leave covering the mutations, keyed by student|date
+    const studentIds = [...new Set(mutations.map(m => m.student_id).filter(id => UUID_PATTERN.test(id || '')))];
+    const leaveResult = studentIds.length > 0
+      ? await pool.query(
+          `SELECT student_id, start_date, end_date FROM branch.leave_requests
+           WHERE student_id = ANY($1::uuid[]) AND status = 'approved'`,
+          [studentIds]
+        )
+      : { rows: [] };
+    const onLeave = new Set();
+    mutations.forEach(m => {
+      const covered = leaveResult.rows.some(leave => leave.student_id === m.student_id &&
+        toDateString(leave.start_date) <= m.attendance_date && m.attendance_date <= toDateString(leave.end_date));
+      if (covered) onLeave.add(`${m.student_id}|${m.attendance_date}`);
+    });
+
+    const settings = await getAttendanceSettings(pool, branchId);
+    const classCache = new Map();
+    const results = new Array(mutations.length);
+    const changes = [];
+
+    // 2️⃣ One transaction per mutation so a failure does not undo the rest of the batch
+    const client = await pool.connect();
+    try {
+      for (const { mutation, index } of ordered) {
+        try {
+          await client.query('BEGIN');
+          const { outcome, change } = await applySyncMutation(client, {
+            branchId,
+            user: req.user,
+            deviceId: device_id,
+            mutation,
+            settings,
+            classCache,
+            onLeave
+          });
+          await client.query('COMMIT');
+
+          results[index] = outcome;
+          if (change) changes.push(change);
+        } catch (dbError) {
+          await client.query('ROLLBACK');
+          console.log('🔴 POST /api/classes/attendance/sync - Mutation error:', mutation.client_mutation_id, dbError.message);
+
+          // A concurrent replay may have logged the same mutation first
+          const logged = await findLoggedMutation(client, {
+            user: req.user,
+            clientMutationId: mutation.client_mutation_id
+          });
+          results[index] = logged || {
+            client_mutation_id: mutation.client_mutation_id,
+            result: 'skipped',
+            reason: 'error',
+            server_record: null
+          };
+        }
+      }
+    } finally {
+      client.release();
+    }
+
+    // 3️⃣ Absence/late alerts for what was applied
+    await processAttendanceAlerts(pool, {
+      branchId,
+      changes,
+      actorId: req.user.userId,
+      broadcast: req.app.get('broadcastNotificationToStudents')
+    });
+
+    await publishAttendanceEvents(pool, {
+      branchId,
+      changes,
+      publish: req.app.get('broadcastAttendanceEvent'),
+      source: 'POST /attendance/sync'
+    });
+
+    const summary = { applied: 0, skipped: 0, conflict: 0 };
+    results.forEach(result => { summary[result.result]++; });
+
+    console.log('✅ POST /api/classes/attendance/sync - Processed:', summary);
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        results,
+        server_time: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/attendance/sync - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync attendance'
+    });
+  }
+});
+
+// ========== SELF CHECK-IN ==========
+// A teacher opens a session and shows a code that rotates every 30 seconds; students enter it
+// from their own account before the session expires. See utils/attendanceCheckin.js.
+
+const DEFAULT_CHECKIN_MINUTES = 10;
+const MAX_CHECKIN_MINUTES = 60;
+const CHECKIN_SOURCE = 'POST /attendance/checkin';
+
+// POST /api/classes/attendance/checkin-sessions - Open a self check-in session for a class (today)
+router.post('/attendance/checkin-sessions', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 POST /api/classes/attendance/checkin-sessions - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { class_id, duration_minutes = DEFAULT_CHECKIN_MINUTES } = req.body || {};
+    const branchId = req.user.branchId;
+    const duration = Number(duration_minutes);
+
+    if (!class_id || !UUID_PATTERN.test(class_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid class_id is required'
+      });
+    }
+
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_CHECKIN_MINUTES) {
+      return res.status(400).json({
+        success: false,
+        error: `duration_minutes must be a whole number between 1 and ${MAX_CHECKIN_MINUTES}`
+      });
+    }
+
+    // 1️⃣ Class, and only its class teacher (or an admin) opens check-in
+    const classCheck = await pool.query(
+      'SELECT id, class_name, teacher_id FROM branch.classes WHERE id = $1 AND branch_id = $2::uuid',
+      [class_id, branchId]
+    );
+
+    if (classCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    const classData = classCheck.rows[0];
+
+    if (req.user.role === 'teacher' && classData.teacher_id !== req.user.userId) {
+      console.log('⚠️ POST /api/classes/attendance/checkin-sessions - Access denied for teacher:', {
+        teacherId: req.user.userId,
+        classTeacherId: classData.teacher_id
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You are not the class teacher.'
+      });
+    }
+
+    // 2️⃣ Check-in records today's attendance, in the branch timezone
+    const settings = await getAttendanceSettings(pool, branchId);
+    const { date: today } = getBranchClock(settings);
+
+    const holidayCheck = await pool.query(
+      'SELECT 1 FROM branch.holidays WHERE branch_id = $1 AND date = $2',
+      [branchId, today]
+    );
+
+    if (holidayCheck.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${today} is a holiday`
+      });
+    }
+
+    const openCheck = await pool.query(
+      `SELECT id FROM branch.attendance_checkin_sessions
+       WHERE class_id = $1 AND status = 'open'`,
+      [class_id]
+    );
+
+    if (openCheck.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'A check-in session is already open for this class',
+        session_id: openCheck.rows[0].id
+      });
+    }
+
+    // 3️⃣ Open the session
+    const result = await pool.query(
+      `INSERT INTO branch.attendance_checkin_sessions (
+        branch_id, class_id, attendance_date, secret, opened_by, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6))
+      RETURNING *`,
+      [branchId, class_id, today, generateCheckinSecret(), req.user.userId, duration]
+    );
+
+    const session = result.rows[0];
+
+    console.log('✅ POST /api/classes/attendance/checkin-sessions - Success:', {
+      sessionId: session.id,
+      className: classData.class_name,
+      expiresAt: session.expires_at
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Check-in session opened',
+      data: {
+        session: { ...toSessionResponse(session), class_name: classData.class_name },
+        current_code: getCheckinCode(session)
+      }
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/attendance/checkin-sessions - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open check-in session'
+    });
+  }
+});
+
+// GET /api/classes/attendance/checkin-sessions/:sessionId - Session, who has checked in, and the current code
+router.get('/attendance/checkin-sessions/:sessionId', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!UUID_PATTERN.test(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID'
+      });
+    }
+
+    const session = await findCheckinSession(pool, sessionId, req.user.branchId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Check-in session not found'
+      });
+    }
+
+    if (!canManageCheckinSession(req.user, session)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const studentsResult = await pool.query(
+      `SELECT
+         s.id AS student_id,
+         s.roll_number,
+         COALESCE(u.name, 'Unknown Student') AS name,
+         ci.checked_in_at,
+         COALESCE(ci.failed_attempts, 0) AS failed_attempts
+       FROM branch.students s
+       LEFT JOIN public.users u ON s.user_id = u.id
+       LEFT JOIN branch.attendance_checkins ci ON ci.student_id = s.id AND ci.session_id = $1
+       WHERE s.class_id = $2 AND s.status = 'Active'
+       ORDER BY s.roll_number`,
+      [sessionId, session.class_id]
+    );
+
+    const isOpen = session.status === 'open' && new Date(session.expires_at) > new Date();
+    const { class_teacher_id, ...sessionData } = toSessionResponse(session);
+
+    res.json({
+      success: true,
+      data: {
+        session: sessionData,
+        current_code: isOpen ? getCheckinCode(session) : null,
+        checked_in: studentsResult.rows.filter(s => s.checked_in_at).length,
+        total_students: studentsResult.rows.length,
+        students: studentsResult.rows
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/checkin-sessions/:sessionId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch check-in session'
+    });
+  }
+});
+
+// POST /api/classes/attendance/checkin-sessions/:sessionId/close - Close early; students who haven't checked in are marked Absent
+router.post('/attendance/checkin-sessions/:sessionId/close', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 POST /api/classes/attendance/checkin-sessions/:sessionId/close - Incoming request:', {
+    params: req.params,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { sessionId } = req.params;
+
+    if (!UUID_PATTERN.test(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID'
+      });
+    }
+
+    const session = await findCheckinSession(pool, sessionId, req.user.branchId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Check-in session not found'
+      });
+    }
+
+    if (!canManageCheckinSession(req.user, session)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    // Start transaction
+    const client = await pool.connect();
+    let result;
+    try {
+      await client.query('BEGIN');
+
+      // Lock the session so check-ins in flight finish first
+      const claimed = await client.query(
+        `SELECT * FROM branch.attendance_checkin_sessions
+         WHERE id = $1 AND status = 'open'
+         FOR UPDATE`,
+        [sessionId]
+      );
+
+      if (claimed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: 'Check-in session is already closed'
+        });
+      }
+
+      result = await closeCheckinSession(client, { session: claimed.rows[0], actor: req.user });
+
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/attendance/checkin-sessions/:sessionId/close - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    const alerts = await processAttendanceAlerts(pool, {
+      branchId: req.user.branchId,
+      changes: result.changedRecords,
+      actorId: req.user.userId,
+      broadcast: req.app.get('broadcastNotificationToStudents')
+    });
+
+    await publishAttendanceEvents(pool, {
+      branchId: req.user.branchId,
+      changes: result.changedRecords,
+      publish: req.app.get('broadcastAttendanceEvent'),
+      source: 'POST /attendance/checkin-sessions/:sessionId/close'
+    });
+
+    const closedSession = toSessionResponse(result.session);
+    const endCheckinSession = req.app.get('endCheckinSession');
+    if (endCheckinSession) endCheckinSession(sessionId, closedSession);
+
+    console.log('✅ POST /api/classes/attendance/checkin-sessions/:sessionId/close - Success:', {
+      sessionId,
+      absentMarked: result.changedRecords.length
+    });
+
+    res.json({
+      success: true,
+      message: `Check-in session closed; ${result.changedRecords.length} student(s) marked absent`,
+      data: {
+        session: closedSession,
+        absent_marked: result.changedRecords.length,
+        alerts
+      }
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/attendance/checkin-sessions/:sessionId/close - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close check-in session'
+    });
+  }
+});
+
+// POST /api/classes/attendance/checkin - Student checks in with the code shown in class
+router.post('/attendance/checkin', authenticateToken, requireRole('student'), async (req, res) => {
+  console.log('🔥 POST /api/classes/attendance/checkin - Incoming request:', {
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { code } = req.body || {};
+    const branchId = req.user.branchId;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'code is required'
+      });
+    }
+
+    // 1️⃣ The student's class and its open session
+    const studentResult = await pool.query(
+      `SELECT id, class_id FROM branch.students
+       WHERE user_id = $1 AND branch_id = $2::uuid AND status = 'Active'`,
+      [req.user.userId, branchId]
+    );
+
+    if (studentResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student record not found'
+      });
+    }
+
+    const student = studentResult.rows[0];
+
+    const sessionResult = await pool.query(
+      `SELECT id FROM branch.attendance_checkin_sessions
+       WHERE class_id = $1 AND status = 'open' AND expires_at > NOW()`,
+      [student.class_id]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No check-in session is open for your class'
+      });
+    }
+
+    const sessionId = sessionResult.rows[0].id;
+
+    // Start transaction
+    const client = await pool.connect();
+    let session;
+    let changedRecords = [];
+    try {
+      await client.query('BEGIN');
+
+      // Closing takes an exclusive lock, so the session stays open until this commits
+      const lockedSession = await client.query(
+        `SELECT * FROM branch.attendance_checkin_sessions
+         WHERE id = $1 AND status = 'open' AND expires_at > NOW()
+         FOR SHARE`,
+        [sessionId]
+      );
+
+      if (lockedSession.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: 'The check-in session has closed'
+        });
+      }
+
+      session = lockedSession.rows[0];
+
+      await client.query(
+        `INSERT INTO branch.attendance_checkins (session_id, student_id)
+         VALUES ($1, $2)
+         ON CONFLICT (session_id, student_id) DO NOTHING`,
+        [sessionId, student.id]
+      );
+
+      const checkinResult = await client.query(
+        `SELECT * FROM branch.attendance_checkins
+         WHERE session_id = $1 AND student_id = $2
+         FOR UPDATE`,
+        [sessionId, student.id]
+      );
+      const checkin = checkinResult.rows[0];
+
+      if (checkin.checked_in_at) {
+        await client.query('ROLLBACK');
+        return res.json({
+          success: true,
+          message: 'You have already checked in',
+          data: { session_id: sessionId, checked_in_at: checkin.checked_in_at }
+        });
+      }
+
+      if (checkin.failed_attempts >= MAX_FAILED_CHECKIN_ATTEMPTS) {
+        await client.query('ROLLBACK');
+        return res.status(429).json({
+          success: false,
+          error: 'Too many incorrect codes. Ask your teacher to mark your attendance.'
+        });
+      }
+
+      // 2️⃣ Wrong codes count against the student's attempts for this session
+      if (!verifyCheckinCode(session.secret, code)) {
+        await client.query(
+          'UPDATE branch.attendance_checkins SET failed_attempts = failed_attempts + 1 WHERE id = $1',
+          [checkin.id]
+        );
+        await client.query('COMMIT');
+
+        console.log('⚠️ POST /api/classes/attendance/checkin - Incorrect code:', {
+          sessionId,
+          studentId: student.id
+        });
+        return res.status(400).json({
+          success: false,
+          error: 'Incorrect or expired code',
+          attempts_remaining: MAX_FAILED_CHECKIN_ATTEMPTS - checkin.failed_attempts - 1
+        });
+      }
+
+      // 3️⃣ Never overwrite the register: a teacher's entry for the day (Late, Absent,
+      // Excused for leave, ...) stands, and the student is told to see the teacher
+      const existingResult = await client.query(
+        `SELECT status FROM branch.attendance
+         WHERE student_id = $1 AND class_id = $2 AND attendance_date = $3`,
+        [student.id, session.class_id, session.attendance_date]
+      );
+
+      if (existingResult.rows.length > 0) {
+        await client.query('ROLLBACK');
+        console.log('⚠️ POST /api/classes/attendance/checkin - Already in the register:', {
+          sessionId,
+          studentId: student.id,
+          status: existingResult.rows[0].status
+        });
+        return res.status(409).json({
+          success: false,
+          error: `Your attendance for today is already recorded as ${existingResult.rows[0].status}. Ask your teacher to change it.`,
+          status: existingResult.rows[0].status
+        });
+      }
+
+      // 4️⃣ Mark Present. The register entry is attributed to the teacher who opened
+      // the session; the history source records that it came from self check-in.
+      const classResult = await client.query(
+        'SELECT id, class_name, academic_year FROM branch.classes WHERE id = $1',
+        [session.class_id]
+      );
+
+      ({ changedRecords } = await upsertClassAttendance(client, {
+        branchId,
+        classData: classResult.rows[0],
+        attendanceDate: session.attendance_date,
+        students: [{ student_id: student.id, status: 'Present', remarks: 'Self check-in' }],
+        actor: { userId: session.opened_by, role: 'teacher' },
+        source: CHECKIN_SOURCE
+      }));
+
+      await client.query(
+        'UPDATE branch.attendance_checkins SET checked_in_at = NOW() WHERE id = $1',
+        [checkin.id]
+      );
+
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/attendance/checkin - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    await processAttendanceAlerts(pool, {
+      branchId,
+      changes: changedRecords,
+      actorId: session.opened_by,
+      broadcast: req.app.get('broadcastNotificationToStudents')
+    });
+
+    await publishAttendanceEvents(pool, {
+      branchId,
+      changes: changedRecords,
+      publish: req.app.get('broadcastAttendanceEvent'),
+      source: CHECKIN_SOURCE
+    });
+
+    // Live count on the teacher's check-in screen
+    const broadcastCheckinEvent = req.app.get('broadcastCheckinEvent');
+    if (broadcastCheckinEvent) {
+      const countResult = await pool.query(
+        'SELECT COUNT(*) AS count FROM branch.attendance_checkins WHERE session_id = $1 AND checked_in_at IS NOT NULL',
+        [sessionId]
+      );
+      broadcastCheckinEvent(sessionId, {
+        type: 'checkin',
+        session_id: sessionId,
+        student_id: student.id,
+        checked_in: parseInt(countResult.rows[0].count)
+      });
+    }
+
+    console.log('✅ POST /api/classes/attendance/checkin - Success:', {
+      sessionId,
+      studentId: student.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Checked in successfully',
+      data: {
+        session_id: sessionId,
+        attendance_date: toDateString(session.attendance_date),
+        status: 'Present'
+      }
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/attendance/checkin - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check in'
+    });
+  }
+});
+
+// ========== EMPLOYEE ATTENDANCE ==========
+// Teacher and staff attendance (branch.employee_attendance), one record per employee per day
+
+const EMPLOYEE_ROLES = ['teacher', 'staff'];
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Helper: Validate one employee entry; check-in/out use the same HH:MM[:SS] format as arrival times
+function validateEmployeeEntry(entry, { partial = false } = {}) {
+  if (!partial || entry.status !== undefined) {
+    if (!EMPLOYEE_ATTENDANCE_STATUSES.includes(entry.status)) {
+      return `status must be one of: ${EMPLOYEE_ATTENDANCE_STATUSES.join(', ')}`;
+    }
+  }
+
+  for (const field of ['check_in_time', 'check_out_time']) {
+    if (entry[field] && !ARRIVAL_TIME_PATTERN.test(entry[field])) {
+      return `Invalid ${field}. Use HH:MM`;
+    }
+  }
+
+  if (entry.check_in_time && entry.check_out_time && entry.check_out_time < entry.check_in_time) {
+    return 'check_out_time cannot be before check_in_time';
+  }
+
+  return null;
+}
+
+// POST /api/classes/attendance/employees - Mark teacher/staff attendance for a day
+router.post('/attendance/employees', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 POST /api/classes/attendance/employees - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { date, employees } = req.body || {};
+    const branchId = req.user.branchId;
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'date is required (YYYY-MM-DD)'
+      });
+    }
+
+    if (!Array.isArray(employees) || employees.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Employees array is required'
+      });
+    }
+
+    for (const entry of employees) {
+      const error = !entry.employee_id ? 'employee_id is required' : validateEmployeeEntry(entry);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: `${error} (employee ${entry.employee_id})`
+        });
+      }
+    }
+
+    const employeeIds = employees.map(e => e.employee_id);
+    if (new Set(employeeIds).size !== employeeIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each employee can appear only once'
+      });
+    }
+
+    // 1️⃣ Employees must be active teachers or staff of the branch
+    const employeesCheck = await pool.query(
+      `SELECT id FROM public.users
+       WHERE id = ANY($1::uuid[]) AND branch_id = $2 AND role = ANY($3::text[])
+         AND status = 'Active' AND is_active = true`,
+      [employeeIds, branchId, EMPLOYEE_ROLES]
+    );
+    const validIds = new Set(employeesCheck.rows.map(r => r.id));
+    const invalidIds = employeeIds.filter(id => !validIds.has(id));
+
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some employees are not active teachers or staff in this branch',
+        invalid_employee_ids: invalidIds
+      });
+    }
+
+    // 2️⃣ Existing records are changed through PUT, not overwritten
+    const existingCheck = await pool.query(
+      `SELECT id, employee_id FROM branch.employee_attendance
+       WHERE employee_id = ANY($1::uuid[]) AND date = $2`,
+      [employeeIds, date]
+    );
+
+    if (existingCheck.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Attendance for ${date} is already recorded for some employees. Use PUT to change it.`,
+        existing: existingCheck.rows
+      });
+    }
+
+    // Start transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const records = [];
+      for (const entry of employees) {
+        const result = await client.query(
+          `INSERT INTO branch.employee_attendance (
+            branch_id, employee_id, date, status, check_in_time, check_out_time, remarks, marked_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING *`,
+          [
+            branchId,
+            entry.employee_id,
+            date,
+            entry.status,
+            entry.check_in_time || null,
+            entry.check_out_time || null,
+            entry.remarks || null,
+            req.user.userId
+          ]
+        );
+        records.push(result.rows[0]);
+      }
+
+      await client.query('COMMIT');
+
+      console.log('✅ POST /api/classes/attendance/employees - Success:', {
+        date,
+        created: records.length
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Employee attendance marked successfully',
+        data: {
+          date,
+          created: records.length,
+          records
+        }
+      });
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/attendance/employees - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('❌ POST /api/classes/attendance/employees - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark employee attendance'
+    });
+  }
+});
+
+// PUT /api/classes/attendance/employees/:recordId - Update status, check-in/out times or remarks
+router.put('/attendance/employees/:recordId', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 PUT /api/classes/attendance/employees/:recordId - Incoming request:', {
+    params: req.params,
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { recordId } = req.params;
+    const updates = req.body || {};
+
+    if (!UUID_PATTERN.test(recordId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid record ID'
+      });
+    }
+
+    const fields = ['status', 'check_in_time', 'check_out_time', 'remarks'].filter(f => updates[f] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide at least one of status, check_in_time, check_out_time or remarks'
+      });
+    }
+
+    const existingResult = await pool.query(
+      'SELECT * FROM branch.employee_attendance WHERE id = $1 AND branch_id = $2::uuid',
+      [recordId, req.user.branchId]
+    );
+
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee attendance record not found'
+      });
+    }
+
+    // Validate the record as it will be after the update
+    const existing = existingResult.rows[0];
+    const merged = { ...existing, ...updates };
+    const error = validateEmployeeEntry(merged, { partial: updates.status === undefined });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const result = await pool.query(
+      `UPDATE branch.employee_attendance SET
+        status = $1,
+        check_in_time = $2,
+        check_out_time = $3,
+        remarks = $4,
+        marked_by = $5,
+        updated_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [
+        merged.status,
+        merged.check_in_time || null,
+        merged.check_out_time || null,
+        merged.remarks || null,
+        req.user.userId,
+        recordId
+      ]
+    );
+
+    console.log('✅ PUT /api/classes/attendance/employees/:recordId - Success:', {
+      recordId,
+      fields
+    });
+
+    res.json({
+      success: true,
+      message: 'Employee attendance updated successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ PUT /api/classes/attendance/employees/:recordId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update employee attendance'
+    });
+  }
+});
+
+// GET /api/classes/attendance/employees/summary?month=YYYY-MM&role=&employee_id= - Monthly summary per employee
+router.get('/attendance/employees/summary', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { month, role, employee_id } = req.query;
+    const branchId = req.user.branchId;
+
+    if (!month || !MONTH_PATTERN.test(month)) {
+      return res.status(400).json({
+        success: false,
+        error: 'month is required (YYYY-MM)'
+      });
+    }
+
+    if (role && !EMPLOYEE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${EMPLOYEE_ROLES.join(', ')}`
+      });
+    }
+
+    // 1️⃣ Working days: the month (up to today for the current month) less branch holidays,
+    // as in the student attendance summaries
+    const [year, monthNumber] = month.split('-').map(Number);
+    const startDate = `${month}-01`;
+    const monthEnd = `${month}-${String(new Date(year, monthNumber, 0).getDate()).padStart(2, '0')}`;
+    const settings = await getAttendanceSettings(pool, branchId);
+    const { date: today } = getBranchClock(settings);
+
+    if (startDate > today) {
+      return res.status(400).json({
+        success: false,
+        error: 'month cannot be in the future'
+      });
+    }
+
+    const endDate = monthEnd < today ? monthEnd : today;
+
+    const holidayResult = await pool.query(
+      `SELECT date FROM branch.holidays
+       WHERE branch_id = $1 AND date BETWEEN $2 AND $3`,
+      [branchId, startDate, endDate]
+    );
+    const holidayDates = holidayResult.rows.map(h => toDateString(h.date));
+
+    const totalDays = Math.floor((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)) + 1;
+    const workingDays = totalDays - holidayDates.length;
+
+    // 2️⃣ Counts per employee (records on holidays are ignored)
+    let filters = '';
+    const queryParams = [branchId, startDate, endDate, holidayDates, role ? [role] : EMPLOYEE_ROLES];
+    let paramIndex = 6;
+
+    if (employee_id) {
+      filters += ` AND u.id = $${paramIndex}`;
+      queryParams.push(employee_id);
+      paramIndex++;
+    }
+
+    const result = await pool.query(
+      `SELECT
+         u.id AS employee_id,
+         u.name,
+         u.role,
+         COUNT(ea.id) FILTER (WHERE ea.status = 'Present') AS present,
+         COUNT(ea.id) FILTER (WHERE ea.status = 'Absent') AS absent,
+         COUNT(ea.id) FILTER (WHERE ea.status = 'Late') AS late,
+         COUNT(ea.id) FILTER (WHERE ea.status = 'On Leave') AS on_leave,
+         ROUND(
+           SUM(EXTRACT(EPOCH FROM (ea.check_out_time - ea.check_in_time)))
+             FILTER (WHERE ea.check_in_time IS NOT NULL AND ea.check_out_time IS NOT NULL) / 3600.0,
+           2
+         ) AS hours_worked
+       FROM public.users u
+       LEFT JOIN branch.employee_attendance ea
+         ON ea.employee_id = u.id
+         AND ea.date BETWEEN $2 AND $3
+         AND NOT (ea.date = ANY($4::date[]))
+       WHERE u.branch_id = $1
+         AND u.role = ANY($5::text[])
+         AND u.status = 'Active'
+         AND u.is_active = true
+         ${filters}
+       GROUP BY u.id, u.name, u.role
+       ORDER BY u.role, u.name`,
+      queryParams
+    );
+
+    const employees = result.rows.map(row => {
+      const present = parseInt(row.present);
+      const absent = parseInt(row.absent);
+      const late = parseInt(row.late);
+      const onLeave = parseInt(row.on_leave);
+
+      return {
+        employee_id: row.employee_id,
+        name: row.name,
+        role: row.role,
+        present,
+        absent,
+        late,
+        on_leave: onLeave,
+        unmarked: Math.max(0, workingDays - present - absent - late - onLeave),
+        hours_worked: row.hours_worked === null ? null : Number(row.hours_worked),
+        attendance_percentage: calculateAttendancePercentage(present, workingDays, onLeave)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        month,
+        range: { startDate, endDate },
+        total_days: totalDays,
+        holidays: holidayDates.length,
+        working_days: workingDays,
+        employees
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/employees/summary - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate employee attendance summary'
+    });
+  }
+});
+
+// GET /api/classes/attendance/employees?date= | start_date=&end_date= - Employee attendance records
+router.get('/attendance/employees', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { employee_id, role, status, limit = 100, offset = 0 } = req.query;
+    const branchId = req.user.branchId;
+    let { start_date, end_date } = req.query;
+
+    // A single day ("today" in the branch timezone by default) or a range
+    if (!start_date && !end_date) {
+      const settings = await getAttendanceSettings(pool, branchId);
+      start_date = end_date = req.query.date || getBranchClock(settings).date;
+    }
+
+    if (!isValidDateString(start_date) || !isValidDateString(end_date) || start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide date, or start_date and end_date (YYYY-MM-DD) with start_date first'
+      });
+    }
+
+    let filters = '';
+    const queryParams = [branchId, start_date, end_date];
+    let paramIndex = 4;
+
+    if (employee_id) {
+      filters += ` AND ea.employee_id = $${paramIndex}`;
+      queryParams.push(employee_id);
+      paramIndex++;
+    }
+
+    if (role && EMPLOYEE_ROLES.includes(role)) {
+      filters += ` AND u.role = $${paramIndex}`;
+      queryParams.push(role);
+      paramIndex++;
+    }
+
+    if (status && EMPLOYEE_ATTENDANCE_STATUSES.includes(status)) {
+      filters += ` AND ea.status = $${paramIndex}`;
+      queryParams.push(status);
+      paramIndex++;
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total
+       FROM branch.employee_attendance ea
+       JOIN public.users u ON ea.employee_id = u.id
+       WHERE ea.branch_id = $1 AND ea.date BETWEEN $2 AND $3 ${filters}`,
+      queryParams
+    );
+
+    const result = await pool.query(
+      `SELECT ea.*, u.name AS employee_name, u.role, mb.name AS marked_by_name
+       FROM branch.employee_attendance ea
+       JOIN public.users u ON ea.employee_id = u.id
+       LEFT JOIN public.users mb ON ea.marked_by = mb.id
+       WHERE ea.branch_id = $1 AND ea.date BETWEEN $2 AND $3 ${filters}
+       ORDER BY ea.date DESC, u.role, u.name
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...queryParams, parseInt(limit), parseInt(offset)]
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      success: true,
+      data: {
+        range: { start_date, end_date },
+        records: result.rows,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          has_more: total > (parseInt(offset) + parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/attendance/employees - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch employee attendance'
+    });
+  }
+});
+
+module.exports = router;
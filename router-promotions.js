@@ -0,0 +1,860 @@
+// Year-end student promotion endpoints
+const express = require('express');
+const pool = require('./config/database');
+const jwt = require('jsonwebtoken');
+
+const router = express.Router();
+
+// JWT verification middleware
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access token required'
+    });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (err) {
+      console.error('JWT verification error:', err);
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+    req.user = user;
+    next();
+  });
+};
+
+// Role-based authorization middleware
+const requireRole = (...allowedRoles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied. Required roles: ${allowedRoles.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+// Pre-primary standards sort ahead of the numbered ones
+const PRE_PRIMARY_STANDARDS = ['playgroup', 'nursery', 'prekg', 'pre-kg', 'lkg', 'ukg'];
+
+// Helper: Order standards from lowest to highest
+function sortStandards(standards) {
+  const rank = (standard) => {
+    const value = String(standard).trim().toLowerCase();
+    const prePrimaryIndex = PRE_PRIMARY_STANDARDS.indexOf(value);
+    if (prePrimaryIndex !== -1) return prePrimaryIndex - PRE_PRIMARY_STANDARDS.length;
+
+    const numeric = parseInt(value.replace(/\D/g, ''), 10);
+    return Number.isNaN(numeric) ? Number.MAX_SAFE_INTEGER : numeric;
+  };
+
+  return [...standards].sort((a, b) => rank(a) - rank(b) || String(a).localeCompare(String(b)));
+}
+
+// Helper: Section of a class name once the standard is stripped ("8-A" → "A")
+function getSection(className, standard) {
+  let name = String(className || '').trim();
+  const std = String(standard || '').trim();
+
+  if (std && name.toLowerCase().startsWith(std.toLowerCase())) {
+    name = name.slice(std.length);
+  }
+
+  return name.replace(/^[\s\-_/]+/, '').toUpperCase();
+}
+
+// Helper: Pick the new-year class for a standard, matching sections when there is more than one
+function resolveTargetClass(targetClasses, standard, section) {
+  const candidates = targetClasses.filter(c => String(c.standard).trim() === String(standard).trim());
+
+  if (candidates.length === 0) return { error: 'missing_target_class' };
+  if (candidates.length === 1) return { targetClass: candidates[0] };
+
+  const sectionMatches = candidates.filter(c => getSection(c.class_name, c.standard) === section);
+  if (sectionMatches.length === 1) return { targetClass: sectionMatches[0] };
+
+  return { error: 'ambiguous_target_class', candidates };
+}
+
+// Helper: Build the promotion plan for a branch (shared by preview and execution)
+async function buildPromotionPlan(db, branchId, { targetAcademicYear, standardOrder, classMap = {} }) {
+  // 1️⃣ Source year is the branch's active academic year
+  const activeYearResult = await db.query(
+    'SELECT year_name FROM public.academic_years WHERE status = $1 AND branch_id = $2 ORDER BY start_date DESC LIMIT 1',
+    ['active', branchId]
+  );
+
+  if (activeYearResult.rows.length === 0) {
+    return { error: { status: 400, message: 'No active academic year found' } };
+  }
+
+  const sourceAcademicYear = activeYearResult.rows[0].year_name;
+
+  if (sourceAcademicYear === targetAcademicYear) {
+    return { error: { status: 400, message: 'targetAcademicYear must differ from the active academic year' } };
+  }
+
+  // 2️⃣ Classes on both sides
+  const sourceClassesResult = await db.query(
+    `SELECT id, class_name, standard, capacity
+     FROM branch.classes
+     WHERE branch_id = $1 AND academic_year = $2 AND status = 'Active'
+     ORDER BY class_name`,
+    [branchId, sourceAcademicYear]
+  );
+
+  const targetClassesResult = await db.query(
+    `SELECT id, class_name, standard, capacity
+     FROM branch.classes
+     WHERE branch_id = $1 AND academic_year = $2 AND status = 'Active'
+     ORDER BY class_name`,
+    [branchId, targetAcademicYear]
+  );
+
+  if (sourceClassesResult.rows.length === 0) {
+    return { error: { status: 404, message: 'No classes found in the active academic year' } };
+  }
+
+  if (targetClassesResult.rows.length === 0) {
+    return {
+      error: {
+        status: 400,
+        message: `No classes exist for ${targetAcademicYear}. Create them with /bulk-create first.`
+      }
+    };
+  }
+
+  const sourceClasses = sourceClassesResult.rows;
+  const targetClasses = targetClassesResult.rows;
+  const targetClassById = new Map(targetClasses.map(c => [c.id, c]));
+
+  // 3️⃣ Standard ladder (explicit order wins over the derived one)
+  const order = Array.isArray(standardOrder) && standardOrder.length > 0
+    ? standardOrder.map(s => String(s).trim())
+    : sortStandards(new Set([...sourceClasses, ...targetClasses].map(c => String(c.standard).trim())));
+
+  // 4️⃣ Active students and hold flags
+  const studentsResult = await db.query(
+    `SELECT s.id, s.class_id, s.status, s.academic_year,
+            (h.id IS NOT NULL) AS held_back
+     FROM branch.students s
+     LEFT JOIN branch.promotion_holds h
+       ON h.student_id = s.id AND h.academic_year = $3
+     WHERE s.branch_id = $1
+       AND s.class_id = ANY($2::uuid[])
+       AND s.status = 'Active'`,
+    [branchId, sourceClasses.map(c => c.id), sourceAcademicYear]
+  );
+
+  const studentsByClass = new Map();
+  for (const student of studentsResult.rows) {
+    if (!studentsByClass.has(student.class_id)) studentsByClass.set(student.class_id, []);
+    studentsByClass.get(student.class_id).push(student);
+  }
+
+  // 5️⃣ Map each source class and its students
+  const classes = [];
+  const conflicts = [];
+  const moves = [];
+  const incomingByTarget = new Map();
+
+  const addIncoming = (targetClassId, count) => {
+    incomingByTarget.set(targetClassId, (incomingByTarget.get(targetClassId) || 0) + count);
+  };
+
+  for (const sourceClass of sourceClasses) {
+    const standard = String(sourceClass.standard).trim();
+    const section = getSection(sourceClass.class_name, standard);
+    const students = studentsByClass.get(sourceClass.id) || [];
+    const heldBack = students.filter(s => s.held_back);
+    const promoted = students.filter(s => !s.held_back);
+    const standardIndex = order.indexOf(standard);
+    const isFinalStandard = standardIndex === order.length - 1;
+
+    const entry = {
+      source_class_id: sourceClass.id,
+      source_class_name: sourceClass.class_name,
+      standard,
+      next_standard: isFinalStandard ? null : order[standardIndex + 1] || null,
+      target_class_id: null,
+      target_class_name: null,
+      hold_class_id: null,
+      hold_class_name: null,
+      students: students.length,
+      promoted: isFinalStandard ? 0 : promoted.length,
+      held_back: heldBack.length,
+      graduated: isFinalStandard ? promoted.length : 0
+    };
+
+    if (standardIndex === -1) {
+      conflicts.push({
+        type: 'unknown_standard',
+        class_id: sourceClass.id,
+        class_name: sourceClass.class_name,
+        standard
+      });
+      classes.push(entry);
+      continue;
+    }
+
+    // Promoted students
+    if (promoted.length > 0) {
+      if (isFinalStandard) {
+        promoted.forEach(s => moves.push({
+          student: s,
+          action: 'graduated',
+          from_class_id: sourceClass.id,
+          to_class_id: null
+        }));
+      } else {
+        const override = classMap[sourceClass.id] && targetClassById.get(classMap[sourceClass.id]);
+        const resolved = override
+          ? { targetClass: override }
+          : resolveTargetClass(targetClasses, entry.next_standard, section);
+
+        if (resolved.error) {
+          conflicts.push({
+            type: resolved.error,
+            class_id: sourceClass.id,
+            class_name: sourceClass.class_name,
+            target_standard: entry.next_standard,
+            candidates: (resolved.candidates || []).map(c => ({ id: c.id, class_name: c.class_name }))
+          });
+        } else {
+          entry.target_class_id = resolved.targetClass.id;
+          entry.target_class_name = resolved.targetClass.class_name;
+          addIncoming(resolved.targetClass.id, promoted.length);
+          promoted.forEach(s => moves.push({
+            student: s,
+            action: 'promoted',
+            from_class_id: sourceClass.id,
+            to_class_id: resolved.targetClass.id
+          }));
+        }
+      }
+    }
+
+    // Held-back students repeat the same standard in the new year
+    if (heldBack.length > 0) {
+      const resolved = resolveTargetClass(targetClasses, standard, section);
+
+      if (resolved.error) {
+        conflicts.push({
+          type: resolved.error,
+          class_id: sourceClass.id,
+          class_name: sourceClass.class_name,
+          target_standard: standard,
+          held_back: true,
+          candidates: (resolved.candidates || []).map(c => ({ id: c.id, class_name: c.class_name }))
+        });
+      } else {
+        entry.hold_class_id = resolved.targetClass.id;
+        entry.hold_class_name = resolved.targetClass.class_name;
+        addIncoming(resolved.targetClass.id, heldBack.length);
+        heldBack.forEach(s => moves.push({
+          student: s,
+          action: 'held_back',
+          from_class_id: sourceClass.id,
+          to_class_id: resolved.targetClass.id
+        }));
+      }
+    }
+
+    classes.push(entry);
+  }
+
+  // 6️⃣ Capacity warnings (informational, never blocking)
+  const warnings = [];
+  for (const [targetClassId, incoming] of incomingByTarget.entries()) {
+    const targetClass = targetClassById.get(targetClassId);
+    if (targetClass.capacity && incoming > targetClass.capacity) {
+      warnings.push({
+        type: 'capacity_exceeded',
+        class_id: targetClass.id,
+        class_name: targetClass.class_name,
+        capacity: targetClass.capacity,
+        incoming
+      });
+    }
+  }
+
+  return {
+    sourceAcademicYear,
+    targetAcademicYear,
+    standardOrder: order,
+    classes,
+    conflicts,
+    warnings,
+    moves,
+    totals: {
+      students: studentsResult.rows.length,
+      promoted: moves.filter(m => m.action === 'promoted').length,
+      held_back: moves.filter(m => m.action === 'held_back').length,
+      graduated: moves.filter(m => m.action === 'graduated').length
+    }
+  };
+}
+
+// Helper: Validate the shared request body for preview/execute
+function validatePromotionBody(body) {
+  const { targetAcademicYear, standardOrder, classMap } = body;
+
+  if (!targetAcademicYear || !String(targetAcademicYear).trim()) {
+    return 'targetAcademicYear is required';
+  }
+
+  if (standardOrder !== undefined && !Array.isArray(standardOrder)) {
+    return 'standardOrder must be an array of standards from lowest to highest';
+  }
+
+  if (classMap !== undefined && (typeof classMap !== 'object' || Array.isArray(classMap))) {
+    return 'classMap must be an object of { sourceClassId: targetClassId }';
+  }
+
+  return null;
+}
+
+// ========== PROMOTION HOLDS ==========
+
+// GET /api/classes/promotions/holds - List students flagged to repeat the active year
+router.get('/promotions/holds', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 GET /api/classes/promotions/holds - Incoming request:', {
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const result = await pool.query(`
+      SELECT
+        h.id,
+        h.student_id,
+        h.academic_year,
+        h.reason,
+        h.created_at,
+        s.student_id AS student_number,
+        s.roll_number,
+        u.name AS student_name,
+        c.class_name
+      FROM branch.promotion_holds h
+      JOIN branch.students s ON h.student_id = s.id
+      LEFT JOIN public.users u ON s.user_id = u.id
+      LEFT JOIN branch.classes c ON s.class_id = c.id
+      WHERE h.branch_id = $1
+        AND h.academic_year IN (
+          SELECT year_name FROM public.academic_years WHERE status = 'active' AND branch_id = $1
+        )
+      ORDER BY c.class_name, s.roll_number
+    `, [req.user.branchId]);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      total: result.rows.length
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/promotions/holds - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotion holds'
+    });
+  }
+});
+
+// POST /api/classes/promotions/holds - Flag students to repeat the active year
+router.post('/promotions/holds', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 POST /api/classes/promotions/holds - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { student_ids, reason } = req.body;
+    const branchId = req.user.branchId;
+
+    if (!Array.isArray(student_ids) || student_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'student_ids array is required'
+      });
+    }
+
+    const activeYearResult = await pool.query(
+      'SELECT year_name FROM public.academic_years WHERE status = $1 AND branch_id = $2 ORDER BY start_date DESC LIMIT 1',
+      ['active', branchId]
+    );
+
+    if (activeYearResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No active academic year found'
+      });
+    }
+
+    const academicYear = activeYearResult.rows[0].year_name;
+
+    // Only active students of this branch can be held back
+    const studentsCheck = await pool.query(
+      `SELECT id FROM branch.students
+       WHERE id = ANY($1::uuid[]) AND branch_id = $2 AND status = 'Active'`,
+      [student_ids, branchId]
+    );
+
+    const validIds = new Set(studentsCheck.rows.map(r => r.id));
+    const invalidIds = student_ids.filter(id => !validIds.has(id));
+
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some students are not active students of your branch',
+        invalid_student_ids: invalidIds
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO branch.promotion_holds (branch_id, student_id, academic_year, reason, created_by)
+      SELECT $1, unnest($2::uuid[]), $3, $4, $5
+      ON CONFLICT (student_id, academic_year)
+      DO UPDATE SET reason = EXCLUDED.reason
+      RETURNING *
+    `, [branchId, student_ids, academicYear, reason || null, req.user.userId]);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows,
+      message: `${result.rows.length} student(s) flagged to repeat ${academicYear}`
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/promotions/holds - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to flag students'
+    });
+  }
+});
+
+// DELETE /api/classes/promotions/holds/:studentId - Clear a hold flag
+router.delete('/promotions/holds/:studentId', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 DELETE /api/classes/promotions/holds/:studentId - Incoming request:', {
+    params: req.params,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const result = await pool.query(`
+      DELETE FROM branch.promotion_holds
+      WHERE student_id = $1
+        AND branch_id = $2
+        AND academic_year IN (
+          SELECT year_name FROM public.academic_years WHERE status = 'active' AND branch_id = $2
+        )
+    `, [req.params.studentId, req.user.branchId]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Hold not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Hold removed successfully'
+    });
+  } catch (error) {
+    console.error('❌ DELETE /api/classes/promotions/holds/:studentId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove hold'
+    });
+  }
+});
+
+// ========== PROMOTION RUNS ==========
+
+// POST /api/classes/promotions/preview - Dry run with per-class counts, writes nothing
+router.post('/promotions/preview', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 POST /api/classes/promotions/preview - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const validationError = validatePromotionBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const plan = await buildPromotionPlan(pool, req.user.branchId, {
+      targetAcademicYear: req.body.targetAcademicYear.trim(),
+      standardOrder: req.body.standardOrder,
+      classMap: req.body.classMap
+    });
+
+    if (plan.error) {
+      return res.status(plan.error.status).json({ success: false, error: plan.error.message });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        sourceYear: plan.sourceAcademicYear,
+        targetYear: plan.targetAcademicYear,
+        standardOrder: plan.standardOrder,
+        classes: plan.classes,
+        totals: plan.totals,
+        conflicts: plan.conflicts,
+        warnings: plan.warnings,
+        can_execute: plan.conflicts.length === 0
+      }
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/promotions/preview - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview promotion'
+    });
+  }
+});
+
+// POST /api/classes/promotions - Promote, hold back and graduate students in one transaction
+router.post('/promotions', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 POST /api/classes/promotions - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  const validationError = validatePromotionBody(req.body);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const branchId = req.user.branchId;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const plan = await buildPromotionPlan(client, branchId, {
+      targetAcademicYear: req.body.targetAcademicYear.trim(),
+      standardOrder: req.body.standardOrder,
+      classMap: req.body.classMap
+    });
+
+    if (plan.error) {
+      await client.query('ROLLBACK');
+      return res.status(plan.error.status).json({ success: false, error: plan.error.message });
+    }
+
+    if (plan.conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Promotion blocked by unresolved class mappings',
+        conflicts: plan.conflicts
+      });
+    }
+
+    // Only one live run per source → target year (a concurrent submit is caught by the unique index below)
+    const existingRun = await client.query(
+      `SELECT id FROM branch.promotion_runs
+       WHERE branch_id = $1 AND source_academic_year = $2 AND target_academic_year = $3
+         AND status = 'completed'`,
+      [branchId, plan.sourceAcademicYear, plan.targetAcademicYear]
+    );
+
+    if (existingRun.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Students have already been promoted for this academic year. Roll back the previous run first.',
+        run_id: existingRun.rows[0].id
+      });
+    }
+
+    const runResult = await client.query(
+      `INSERT INTO branch.promotion_runs (
+        branch_id, source_academic_year, target_academic_year, standard_order, summary, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, created_at`,
+      [
+        branchId,
+        plan.sourceAcademicYear,
+        plan.targetAcademicYear,
+        JSON.stringify(plan.standardOrder),
+        JSON.stringify({ totals: plan.totals, classes: plan.classes }),
+        req.user.userId
+      ]
+    );
+
+    const runId = runResult.rows[0].id;
+
+    for (const move of plan.moves) {
+      if (move.action === 'graduated') {
+        await client.query(
+          `UPDATE branch.students SET status = 'Graduated', updated_at = NOW() WHERE id = $1`,
+          [move.student.id]
+        );
+      } else {
+        await client.query(
+          `UPDATE branch.students SET class_id = $1, academic_year = $2, updated_at = NOW() WHERE id = $3`,
+          [move.to_class_id, plan.targetAcademicYear, move.student.id]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO branch.promotion_run_students (
+          run_id, student_id, action, from_class_id, to_class_id, previous_academic_year, previous_status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          runId,
+          move.student.id,
+          move.action,
+          move.from_class_id,
+          move.to_class_id,
+          move.student.academic_year,
+          move.student.status
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    console.log('✅ POST /api/classes/promotions - Promotion completed:', {
+      runId,
+      sourceYear: plan.sourceAcademicYear,
+      targetYear: plan.targetAcademicYear,
+      ...plan.totals
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Promoted ${plan.totals.promoted}, held back ${plan.totals.held_back} and graduated ${plan.totals.graduated} students`,
+      data: {
+        run_id: runId,
+        sourceYear: plan.sourceAcademicYear,
+        targetYear: plan.targetAcademicYear,
+        classes: plan.classes,
+        totals: plan.totals,
+        warnings: plan.warnings
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    // Another promotion for the same years committed while this one was running
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Students have already been promoted for this academic year. Roll back the previous run first.'
+      });
+    }
+
+    console.error('❌ POST /api/classes/promotions - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to promote students'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/classes/promotions - List promotion runs for the branch
+router.get('/promotions', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        r.id,
+        r.source_academic_year,
+        r.target_academic_year,
+        r.status,
+        r.summary->'totals' AS totals,
+        r.created_at,
+        r.rolled_back_at,
+        u.name AS created_by_name
+      FROM branch.promotion_runs r
+      LEFT JOIN public.users u ON r.created_by = u.id
+      WHERE r.branch_id = $1
+      ORDER BY r.created_at DESC
+    `, [req.user.branchId]);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/promotions - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotion runs'
+    });
+  }
+});
+
+// GET /api/classes/promotions/:runId - Promotion run with per-class summary
+router.get('/promotions/:runId', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  try {
+    const runResult = await pool.query(
+      'SELECT * FROM branch.promotion_runs WHERE id = $1 AND branch_id = $2',
+      [req.params.runId, req.user.branchId]
+    );
+
+    if (runResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion run not found'
+      });
+    }
+
+    const countsResult = await pool.query(
+      `SELECT action, COUNT(*) AS count
+       FROM branch.promotion_run_students
+       WHERE run_id = $1
+       GROUP BY action`,
+      [req.params.runId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...runResult.rows[0],
+        recorded_moves: countsResult.rows.reduce((acc, row) => {
+          acc[row.action] = parseInt(row.count);
+          return acc;
+        }, {})
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/promotions/:runId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotion run'
+    });
+  }
+});
+
+// POST /api/classes/promotions/:runId/rollback - Undo a promotion run in one transaction
+router.post('/promotions/:runId/rollback', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 POST /api/classes/promotions/:runId/rollback - Incoming request:', {
+    params: req.params,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const runResult = await client.query(
+      'SELECT * FROM branch.promotion_runs WHERE id = $1 AND branch_id = $2 FOR UPDATE',
+      [req.params.runId, req.user.branchId]
+    );
+
+    if (runResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion run not found'
+      });
+    }
+
+    const run = runResult.rows[0];
+
+    if (run.status !== 'completed') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Promotion run has already been rolled back'
+      });
+    }
+
+    const movesResult = await client.query(
+      `SELECT prs.*, s.class_id AS current_class_id, s.status AS current_status
+       FROM branch.promotion_run_students prs
+       JOIN branch.students s ON prs.student_id = s.id
+       WHERE prs.run_id = $1`,
+      [run.id]
+    );
+
+    // Refuse to clobber students that were moved again after the run
+    const changedSince = movesResult.rows.filter(m =>
+      m.action === 'graduated'
+        ? m.current_status !== 'Graduated'
+        : m.current_class_id !== m.to_class_id
+    );
+
+    if (changedSince.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Some students were changed after this promotion run; resolve them before rolling back',
+        student_ids: changedSince.map(m => m.student_id)
+      });
+    }
+
+    for (const move of movesResult.rows) {
+      await client.query(
+        `UPDATE branch.students
+         SET class_id = $1, academic_year = $2, status = $3, updated_at = NOW()
+         WHERE id = $4`,
+        [move.from_class_id, move.previous_academic_year, move.previous_status, move.student_id]
+      );
+    }
+
+    await client.query(
+      `UPDATE branch.promotion_runs
+       SET status = 'rolled_back', rolled_back_by = $1, rolled_back_at = NOW()
+       WHERE id = $2`,
+      [req.user.userId, run.id]
+    );
+
+    await client.query('COMMIT');
+
+    console.log('✅ POST /api/classes/promotions/:runId/rollback - Rolled back:', {
+      runId: run.id,
+      restored: movesResult.rows.length
+    });
+
+    res.json({
+      success: true,
+      message: `Promotion run rolled back; ${movesResult.rows.length} students restored`,
+      data: {
+        run_id: run.id,
+        restored: movesResult.rows.length
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ POST /api/classes/promotions/:runId/rollback - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back promotion'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
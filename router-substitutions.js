@@ -0,0 +1,472 @@
+// Substitute teacher endpoints (date-specific cover for absent teachers' periods)
+const express = require('express');
+const pool = require('./config/database');
+const jwt = require('jsonwebtoken');
+const {
+  getTimetableCells,
+  slotsOverlap,
+  getWeekdayName,
+  findDayKey,
+  getSubstitutionsForDate
+} = require('./utils/timetable');
+const { isValidDateString } = require('./utils/attendance');
+
+const router = express.Router();
+
+// JWT verification middleware
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access token required'
+    });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (err) {
+      console.error('JWT verification error:', err);
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+    req.user = user;
+    next();
+  });
+};
+
+// Role-based authorization middleware
+const requireRole = (...allowedRoles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied. Required roles: ${allowedRoles.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+// employee_attendance statuses that leave a teacher's periods uncovered
+const ABSENT_EMPLOYEE_STATUSES = ['Absent', 'Leave', 'On Leave'];
+
+// Helper: Load everything needed to find uncovered periods and rank substitutes for a date
+async function loadSubstitutionContext(db, branchId, date) {
+  const activeYearResult = await db.query(
+    'SELECT year_name FROM public.academic_years WHERE status = $1 AND branch_id = $2 ORDER BY start_date DESC LIMIT 1',
+    ['active', branchId]
+  );
+
+  if (activeYearResult.rows.length === 0) return null;
+
+  const academicYear = activeYearResult.rows[0].year_name;
+  const weekday = getWeekdayName(date);
+
+  const [gridsResult, teachersResult, absentResult, subjectsResult, loadResult] = await Promise.all([
+    db.query(
+      `SELECT tm.id, tm.class_id, tm.class_name, tm.days, tm.timetable_data, c.room_number AS class_room
+       FROM branch.timetables_master tm
+       LEFT JOIN branch.classes c ON c.id = tm.class_id
+       WHERE tm.branch_id = $1 AND tm.academic_year = $2`,
+      [branchId, academicYear]
+    ),
+    db.query(
+      `SELECT u.id, u.name, t.department
+       FROM public.users u
+       LEFT JOIN branch.teachers t ON t.user_id = u.id
+       WHERE u.branch_id = $1 AND u.role = 'teacher' AND u.status = 'Active'`,
+      [branchId]
+    ),
+    db.query(
+      `SELECT employee_id, status
+       FROM branch.employee_attendance
+       WHERE branch_id = $1 AND date = $2 AND status = ANY($3::text[])`,
+      [branchId, date, ABSENT_EMPLOYEE_STATUSES]
+    ),
+    db.query(
+      'SELECT id, name, department FROM branch.subjects WHERE branch_id = $1',
+      [branchId]
+    ),
+    db.query(
+      `SELECT substitute_teacher_id, COUNT(*) AS count
+       FROM branch.teacher_substitutions
+       WHERE branch_id = $1
+         AND substitution_date BETWEEN $2::date - 30 AND $2::date
+       GROUP BY substitute_teacher_id`,
+      [branchId, date]
+    )
+  ]);
+
+  const teachers = new Map(teachersResult.rows.map(t => [t.id, t]));
+  const subjects = new Map(subjectsResult.rows.map(s => [s.id, s]));
+  const absentIds = new Set(absentResult.rows.map(r => r.employee_id));
+  const recentLoad = new Map(loadResult.rows.map(r => [r.substitute_teacher_id, parseInt(r.count)]));
+
+  // Periods taught on this weekday, and the subjects each teacher teaches during the week
+  const periods = [];
+  const teacherSubjects = new Map();
+
+  gridsResult.rows.forEach(grid => {
+    const dayKey = findDayKey(grid.days, weekday);
+
+    getTimetableCells(grid.timetable_data).forEach(({ day, slot, cell }) => {
+      if (!cell.faculty) return;
+
+      if (!teacherSubjects.has(cell.faculty)) teacherSubjects.set(cell.faculty, new Set());
+      if (cell.subject) teacherSubjects.get(cell.faculty).add(cell.subject);
+
+      if (day === dayKey) {
+        periods.push({
+          timetable_id: grid.id,
+          class_id: grid.class_id,
+          class_name: grid.class_name,
+          day,
+          time_slot: slot,
+          subject_id: cell.subject || null,
+          subject_name: subjects.get(cell.subject)?.name || null,
+          room_number: cell.room_number || grid.class_room || null,
+          teacher_id: cell.faculty
+        });
+      }
+    });
+  });
+
+  const substitutions = await getSubstitutionsForDate(db, { branchId, date });
+
+  return {
+    academicYear,
+    weekday,
+    teachers,
+    subjects,
+    absentIds,
+    recentLoad,
+    periods,
+    teacherSubjects,
+    substitutions
+  };
+}
+
+// Helper: Why a teacher cannot cover a period, or null when they are free
+function getUnavailableReason(context, teacherId, period) {
+  if (!context.teachers.has(teacherId)) return 'not_an_active_teacher';
+  if (context.absentIds.has(teacherId)) return 'absent';
+  if (teacherId === period.teacher_id) return 'teaches_this_period';
+
+  const ownSubstitution = context.substitutions.find(s =>
+    s.timetable_id === period.timetable_id && s.time_slot === period.time_slot);
+
+  // Own period that has not been handed to someone else
+  const teaching = context.periods.some(p =>
+    p.teacher_id === teacherId &&
+    slotsOverlap(p.time_slot, period.time_slot) &&
+    !context.substitutions.some(s => s.timetable_id === p.timetable_id && s.time_slot === p.time_slot));
+  if (teaching) return 'teaching';
+
+  const covering = context.substitutions.some(s =>
+    s !== ownSubstitution &&
+    s.substitute_teacher_id === teacherId &&
+    slotsOverlap(s.time_slot, period.time_slot));
+  if (covering) return 'already_substituting';
+
+  return null;
+}
+
+// Helper: Free teachers for a period ranked by subject fit, then recent and same-day load
+function rankSubstitutes(context, period, limit) {
+  const subjectDepartment = context.subjects.get(period.subject_id)?.department;
+  const candidates = [];
+
+  context.teachers.forEach(teacher => {
+    if (getUnavailableReason(context, teacher.id, period)) return;
+
+    let subjectFit = 'other';
+    let fitScore = 0;
+    if (period.subject_id && context.teacherSubjects.get(teacher.id)?.has(period.subject_id)) {
+      subjectFit = 'same_subject';
+      fitScore = 2;
+    } else if (subjectDepartment && teacher.department &&
+               subjectDepartment.trim().toLowerCase() === teacher.department.trim().toLowerCase()) {
+      subjectFit = 'same_department';
+      fitScore = 1;
+    }
+
+    const periodsToday = context.periods.filter(p => p.teacher_id === teacher.id).length +
+      context.substitutions.filter(s => s.substitute_teacher_id === teacher.id).length;
+
+    candidates.push({
+      teacher_id: teacher.id,
+      teacher_name: teacher.name,
+      department: teacher.department || null,
+      subject_fit: subjectFit,
+      fit_score: fitScore,
+      substitutions_last_30_days: context.recentLoad.get(teacher.id) || 0,
+      periods_today: periodsToday
+    });
+  });
+
+  return candidates
+    .sort((a, b) =>
+      b.fit_score - a.fit_score ||
+      a.substitutions_last_30_days - b.substitutions_last_30_days ||
+      a.periods_today - b.periods_today ||
+      String(a.teacher_name).localeCompare(String(b.teacher_name)))
+    .slice(0, limit);
+}
+
+// GET /api/classes/substitutions/uncovered?date=YYYY-MM-DD - Absent teachers' periods with ranked substitutes
+router.get('/substitutions/uncovered', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 GET /api/classes/substitutions/uncovered - Incoming request:', {
+    query: req.query,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { date, teacherId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 5, 50);
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'date is required in YYYY-MM-DD format'
+      });
+    }
+
+    const context = await loadSubstitutionContext(pool, req.user.branchId, date);
+
+    if (!context) {
+      return res.status(400).json({
+        success: false,
+        error: 'No active academic year found'
+      });
+    }
+
+    const absentTeachers = [...context.absentIds]
+      .filter(id => context.teachers.has(id) && (!teacherId || teacherId === id))
+      .map(id => {
+        const periods = context.periods
+          .filter(p => p.teacher_id === id)
+          .sort((a, b) => String(a.time_slot).localeCompare(String(b.time_slot)))
+          .map(period => {
+            const substitution = context.substitutions.find(s =>
+              s.timetable_id === period.timetable_id && s.time_slot === period.time_slot) || null;
+
+            return {
+              ...period,
+              substitution: substitution && {
+                id: substitution.id,
+                substitute_teacher_id: substitution.substitute_teacher_id,
+                substitute_teacher_name: substitution.substitute_teacher_name,
+                notes: substitution.notes
+              },
+              suggestions: substitution ? [] : rankSubstitutes(context, period, limit)
+            };
+          });
+
+        return {
+          teacher_id: id,
+          teacher_name: context.teachers.get(id).name,
+          periods
+        };
+      });
+
+    const allPeriods = absentTeachers.flatMap(t => t.periods);
+
+    console.log('✅ GET /api/classes/substitutions/uncovered - Success:', {
+      date,
+      absentTeachers: absentTeachers.length,
+      periods: allPeriods.length
+    });
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        day: context.weekday,
+        academic_year: context.academicYear,
+        absent_teachers: absentTeachers,
+        totals: {
+          absent_teachers: absentTeachers.length,
+          periods: allPeriods.length,
+          covered: allPeriods.filter(p => p.substitution).length,
+          uncovered: allPeriods.filter(p => !p.substitution).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/substitutions/uncovered - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch uncovered periods'
+    });
+  }
+});
+
+// GET /api/classes/substitutions?date=YYYY-MM-DD - Recorded substitutions for a date
+router.get('/substitutions', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'date is required in YYYY-MM-DD format'
+      });
+    }
+
+    const substitutions = await getSubstitutionsForDate(pool, { branchId: req.user.branchId, date });
+
+    res.json({
+      success: true,
+      data: substitutions,
+      total: substitutions.length
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/substitutions - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch substitutions'
+    });
+  }
+});
+
+// POST /api/classes/substitutions - Assign a substitute to one period on one date
+router.post('/substitutions', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 POST /api/classes/substitutions - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { date, timetable_id, time_slot, substitute_teacher_id, notes } = req.body;
+
+    if (!isValidDateString(date) || !timetable_id || !time_slot || !substitute_teacher_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'date (YYYY-MM-DD), timetable_id, time_slot and substitute_teacher_id are required'
+      });
+    }
+
+    const context = await loadSubstitutionContext(pool, req.user.branchId, date);
+
+    if (!context) {
+      return res.status(400).json({
+        success: false,
+        error: 'No active academic year found'
+      });
+    }
+
+    const period = context.periods.find(p => p.timetable_id === timetable_id && p.time_slot === time_slot);
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        error: `No period found in this timetable at ${time_slot} on ${context.weekday}`
+      });
+    }
+
+    const reason = getUnavailableReason(context, substitute_teacher_id, period);
+
+    if (reason) {
+      console.log('⚠️ POST /api/classes/substitutions - Substitute unavailable:', reason);
+      return res.status(409).json({
+        success: false,
+        error: 'Selected teacher cannot cover this period',
+        reason
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO branch.teacher_substitutions (
+        branch_id, substitution_date, timetable_id, class_id, day, time_slot,
+        subject_id, absent_teacher_id, substitute_teacher_id, notes, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (timetable_id, substitution_date, time_slot)
+      DO UPDATE SET
+        substitute_teacher_id = EXCLUDED.substitute_teacher_id,
+        notes = EXCLUDED.notes,
+        updated_at = NOW()
+      RETURNING *`,
+      [
+        req.user.branchId,
+        date,
+        timetable_id,
+        period.class_id,
+        period.day,
+        time_slot,
+        period.subject_id,
+        period.teacher_id,
+        substitute_teacher_id,
+        notes || null,
+        req.user.userId
+      ]
+    );
+
+    console.log('✅ POST /api/classes/substitutions - Substitute assigned:', {
+      substitutionId: result.rows[0].id,
+      date,
+      className: period.class_name
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...result.rows[0],
+        class_name: period.class_name,
+        substitute_teacher_name: context.teachers.get(substitute_teacher_id).name,
+        absent_teacher_name: context.teachers.get(period.teacher_id)?.name || null,
+        absent_teacher_marked_absent: context.absentIds.has(period.teacher_id)
+      },
+      message: 'Substitute assigned successfully'
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/substitutions - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign substitute'
+    });
+  }
+});
+
+// DELETE /api/classes/substitutions/:substitutionId - Remove a substitution
+router.delete('/substitutions/:substitutionId', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM branch.teacher_substitutions WHERE id = $1 AND branch_id = $2 RETURNING id',
+      [req.params.substitutionId, req.user.branchId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Substitution not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Substitution removed successfully'
+    });
+  } catch (error) {
+    console.error('❌ DELETE /api/classes/substitutions/:substitutionId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove substitution'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1895 @@
+// Syllabus endpoints beyond plan CRUD (coverage, lag report, versions, templates, approvals, ...)
+const express = require('express');
+const pool = require('./config/database');
+const jwt = require('jsonwebtoken');
+const { getClassSlotsForDate } = require('./utils/timetable');
+const { getAttendanceSettings, getBranchClock, toDateString, isValidDateString } = require('./utils/attendance');
+const { getSyllabusSettings, isTimetabledTeacher, replaceSyllabusChapters } = require('./utils/syllabus');
+const { toVersionChapters, recordSyllabusVersion, diffSyllabusVersions } = require('./utils/syllabusVersions');
+const {
+  OPEN_DRAFT_STATUSES,
+  getSubjectIncharges,
+  getSyllabusAccess,
+  canReviewSyllabusDraft,
+  findSyllabusDraft,
+  getLatestSyllabusVersion,
+  applySyllabusDraft,
+  sendSyllabusDraftNotice
+} = require('./utils/syllabusApprovals');
+const {
+  validateTemplateChapters,
+  validateDateOverrides,
+  applyTemplateToClass,
+  propagateTemplate
+} = require('./utils/syllabusTemplates');
+const { getDepartmentIncharges, findLaggingChapters } = require('./utils/syllabusLag');
+
+const router = express.Router();
+
+// JWT verification middleware
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access token required'
+    });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (err) {
+      console.error('JWT verification error:', err);
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+    req.user = user;
+    next();
+  });
+};
+
+// Role-based authorization middleware
+const requireRole = (...allowedRoles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied. Required roles: ${allowedRoles.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Helper: Subtopic with its chapter and syllabus, scoped to the branch
+async function findSubtopic(db, subtopicId, branchId) {
+  const result = await db.query(
+    `SELECT
+       st.id AS subtopic_id,
+       st.subtopic_name,
+       ch.id AS chapter_id,
+       ch.chapter_name,
+       s.id AS syllabus_id,
+       s.class_id,
+       s.subject_id,
+       c.class_name,
+       sub.name AS subject_name
+     FROM branch.syllabus_subtopics st
+     JOIN branch.syllabus_chapters ch ON st.chapter_id = ch.id
+     JOIN branch.syllabi s ON ch.syllabus_id = s.id
+     JOIN branch.classes c ON s.class_id = c.id
+     JOIN branch.subjects sub ON s.subject_id = sub.id
+     WHERE st.id = $1 AND c.branch_id = $2::uuid`,
+    [subtopicId, branchId]
+  );
+  return result.rows[0] || null;
+}
+
+// ========== SYLLABUS COVERAGE ==========
+
+// PUT /api/classes/syllabus/subtopics/:subtopicId/coverage - Mark a subtopic as taught (or correct the entry)
+router.put('/syllabus/subtopics/:subtopicId/coverage', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 PUT /api/classes/syllabus/subtopics/:subtopicId/coverage - Incoming request:', {
+    params: req.params,
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { subtopicId } = req.params;
+    const { time_slot, notes } = req.body || {};
+    const branchId = req.user.branchId;
+
+    if (!UUID_PATTERN.test(subtopicId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid subtopic ID'
+      });
+    }
+
+    const subtopic = await findSubtopic(pool, subtopicId, branchId);
+
+    if (!subtopic) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subtopic not found'
+      });
+    }
+
+    // 1️⃣ Taught date: today in the branch timezone unless given, never in the future
+    const settings = await getAttendanceSettings(pool, branchId);
+    const { date: today } = getBranchClock(settings);
+    const taughtOn = req.body?.taught_on || today;
+
+    if (!isValidDateString(taughtOn)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid taught_on. Use YYYY-MM-DD'
+      });
+    }
+
+    if (taughtOn > today) {
+      return res.status(400).json({
+        success: false,
+        error: 'taught_on cannot be in the future'
+      });
+    }
+
+    // 2️⃣ The period, when given, must be on the class timetable that day
+    let slot = null;
+    if (time_slot) {
+      const schedule = await getClassSlotsForDate(pool, { branchId, classId: subtopic.class_id, date: taughtOn });
+      slot = schedule && schedule.slots.find(s => s.time_slot === time_slot);
+
+      if (!slot) {
+        return res.status(400).json({
+          success: false,
+          error: `No timetable period at ${time_slot} for ${subtopic.class_name} on ${taughtOn}`
+        });
+      }
+    }
+
+    // 3️⃣ Teachers record coverage for subjects they teach the class (or a period they covered)
+    if (req.user.role === 'teacher') {
+      const allowed = (slot && slot.faculty_id === req.user.userId) ||
+        await isTimetabledTeacher(pool, {
+          branchId,
+          teacherId: req.user.userId,
+          classId: subtopic.class_id,
+          subjectId: subtopic.subject_id
+        });
+
+      if (!allowed) {
+        console.log('⚠️ PUT /api/classes/syllabus/subtopics/:subtopicId/coverage - Access denied for teacher:', {
+          teacherId: req.user.userId,
+          classId: subtopic.class_id,
+          subjectId: subtopic.subject_id
+        });
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. You do not teach this subject to this class.'
+        });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO branch.syllabus_coverage (subtopic_id, taught_on, time_slot, notes, taught_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (subtopic_id)
+       DO UPDATE SET
+         taught_on = EXCLUDED.taught_on,
+         time_slot = EXCLUDED.time_slot,
+         notes = EXCLUDED.notes,
+         taught_by = EXCLUDED.taught_by,
+         updated_at = NOW()
+       RETURNING *, (xmax = 0) AS inserted`,
+      [subtopicId, taughtOn, time_slot || null, notes || null, req.user.userId]
+    );
+
+    const { inserted, ...coverage } = result.rows[0];
+
+    console.log('✅ PUT /api/classes/syllabus/subtopics/:subtopicId/coverage - Success:', {
+      subtopicId,
+      className: subtopic.class_name,
+      subjectName: subtopic.subject_name,
+      taughtOn
+    });
+
+    res.status(inserted ? 201 : 200).json({
+      success: true,
+      message: inserted ? 'Subtopic marked as taught' : 'Coverage updated',
+      data: {
+        ...coverage,
+        taught_on: toDateString(coverage.taught_on),
+        subtopic: subtopic.subtopic_name,
+        chapter: subtopic.chapter_name,
+        syllabus_id: subtopic.syllabus_id
+      }
+    });
+  } catch (error) {
+    console.error('❌ PUT /api/classes/syllabus/subtopics/:subtopicId/coverage - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record syllabus coverage'
+    });
+  }
+});
+
+// DELETE /api/classes/syllabus/subtopics/:subtopicId/coverage - Unmark a subtopic
+router.delete('/syllabus/subtopics/:subtopicId/coverage', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 DELETE /api/classes/syllabus/subtopics/:subtopicId/coverage - Incoming request:', {
+    params: req.params,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { subtopicId } = req.params;
+
+    if (!UUID_PATTERN.test(subtopicId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid subtopic ID'
+      });
+    }
+
+    const subtopic = await findSubtopic(pool, subtopicId, req.user.branchId);
+
+    if (!subtopic) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subtopic not found'
+      });
+    }
+
+    const existing = await pool.query(
+      'SELECT taught_by FROM branch.syllabus_coverage WHERE subtopic_id = $1',
+      [subtopicId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subtopic is not marked as taught'
+      });
+    }
+
+    // Teachers can only unmark their own entries
+    if (req.user.role === 'teacher' && existing.rows[0].taught_by !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. This subtopic was marked by another teacher.'
+      });
+    }
+
+    await pool.query('DELETE FROM branch.syllabus_coverage WHERE subtopic_id = $1', [subtopicId]);
+
+    console.log('✅ DELETE /api/classes/syllabus/subtopics/:subtopicId/coverage - Success:', {
+      subtopicId,
+      className: subtopic.class_name,
+      subjectName: subtopic.subject_name
+    });
+
+    res.json({
+      success: true,
+      message: 'Subtopic unmarked'
+    });
+  } catch (error) {
+    console.error('❌ DELETE /api/classes/syllabus/subtopics/:subtopicId/coverage - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove syllabus coverage'
+    });
+  }
+});
+
+// ========== SYLLABUS SETTINGS ==========
+
+// Settings an admin can change through PUT /syllabus/settings, with their validators
+const EDITABLE_SETTINGS = {
+  lag_digest_enabled: value => typeof value === 'boolean'
+};
+
+// GET /api/classes/syllabus/settings - Branch syllabus settings
+router.get('/syllabus/settings', authenticateToken, async (req, res) => {
+  try {
+    const settings = await getSyllabusSettings(pool, req.user.branchId);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/syllabus/settings - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch syllabus settings'
+    });
+  }
+});
+
+// PUT /api/classes/syllabus/settings - Update branch syllabus settings
+router.put('/syllabus/settings', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 PUT /api/classes/syllabus/settings - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const updates = Object.entries(req.body).filter(([key]) => key in EDITABLE_SETTINGS);
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Provide at least one of: ${Object.keys(EDITABLE_SETTINGS).join(', ')}`
+      });
+    }
+
+    const invalid = updates.filter(([key, value]) => !EDITABLE_SETTINGS[key](value)).map(([key]) => key);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid value for: ${invalid.join(', ')}`
+      });
+    }
+
+    const columns = updates.map(([key]) => key);
+    const values = updates.map(([, value]) => value);
+
+    await pool.query(
+      `INSERT INTO branch.syllabus_settings (branch_id, ${columns.join(', ')}, updated_by, updated_at)
+       VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')}, $${columns.length + 2}, NOW())
+       ON CONFLICT (branch_id) DO UPDATE SET
+         ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()`,
+      [req.user.branchId, ...values, req.user.userId]
+    );
+
+    const settings = await getSyllabusSettings(pool, req.user.branchId);
+
+    console.log('✅ PUT /api/classes/syllabus/settings - Updated:', columns);
+
+    res.json({
+      success: true,
+      data: settings,
+      message: 'Syllabus settings updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ PUT /api/classes/syllabus/settings - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update syllabus settings'
+    });
+  }
+});
+
+// ========== SYLLABUS REPORTS ==========
+
+// GET /api/classes/syllabus/reports/lag?class_id=&subject_id= - Chapters past their planned end
+// date with subtopics still untaught, by class and teacher
+router.get('/syllabus/reports/lag', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const { class_id, subject_id } = req.query;
+    const branchId = req.user.branchId;
+
+    const settings = await getAttendanceSettings(pool, branchId);
+    const { date: today } = getBranchClock(settings);
+
+    let chapters = await findLaggingChapters(pool, { branchId, today });
+
+    // Teachers see their incharge subjects, the classes they are class teacher of, and what they teach
+    if (req.user.role === 'teacher') {
+      const incharges = await getDepartmentIncharges(pool, branchId);
+      const inchargeSubjects = incharges.get(req.user.userId) || new Set();
+      chapters = chapters.filter(c =>
+        inchargeSubjects.has(c.subject_id) ||
+        c.class_teacher_id === req.user.userId ||
+        c.teachers.some(t => t.id === req.user.userId));
+    }
+
+    if (class_id) chapters = chapters.filter(c => c.class_id === class_id);
+    if (subject_id) chapters = chapters.filter(c => c.subject_id === subject_id);
+
+    // Helper: Totals for a group of lagging chapters
+    const summarize = group => ({
+      lagging_chapters: group.length,
+      remaining_subtopics: group.reduce((sum, c) => sum + c.remaining_subtopics, 0),
+      max_days_behind: Math.max(...group.map(c => c.days_behind))
+    });
+
+    const byClass = new Map();
+    const byTeacher = new Map();
+    chapters.forEach(chapter => {
+      if (!byClass.has(chapter.class_id)) {
+        byClass.set(chapter.class_id, { class_id: chapter.class_id, class_name: chapter.class_name, chapters: [] });
+      }
+      byClass.get(chapter.class_id).chapters.push(chapter);
+
+      chapter.teachers.forEach(teacher => {
+        if (!byTeacher.has(teacher.id)) {
+          byTeacher.set(teacher.id, { teacher_id: teacher.id, name: teacher.name, chapters: [] });
+        }
+        byTeacher.get(teacher.id).chapters.push(chapter);
+      });
+    });
+
+    res.json({
+      success: true,
+      data: {
+        as_of: today,
+        total_lagging: chapters.length,
+        chapters: [...chapters].sort((a, b) => b.days_behind - a.days_behind),
+        by_class: [...byClass.values()]
+          .map(({ chapters: group, ...entry }) => ({ ...entry, ...summarize(group) }))
+          .sort((a, b) => b.max_days_behind - a.max_days_behind),
+        by_teacher: [...byTeacher.values()]
+          .map(({ chapters: group, ...entry }) => ({ ...entry, ...summarize(group) }))
+          .sort((a, b) => b.max_days_behind - a.max_days_behind)
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/syllabus/reports/lag - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate syllabus lag report'
+    });
+  }
+});
+
+// ========== SYLLABUS VERSIONS ==========
+// Every save stores an immutable snapshot (see utils/syllabusVersions.js). Versions outlive
+// a deleted syllabus, so access is scoped through the class they were saved for.
+
+// Helper: Versioned syllabus in the branch, with whether the syllabus itself still exists
+async function findVersionedSyllabus(db, syllabusId, branchId) {
+  const result = await db.query(
+    `SELECT v.syllabus_id, v.class_id, v.subject_id, c.class_name, sub.name AS subject_name,
+       (s.id IS NOT NULL) AS syllabus_exists
+     FROM branch.syllabus_versions v
+     JOIN branch.classes c ON v.class_id = c.id
+     LEFT JOIN branch.subjects sub ON v.subject_id = sub.id
+     LEFT JOIN branch.syllabi s ON s.id = v.syllabus_id
+     WHERE v.syllabus_id = $1 AND c.branch_id = $2::uuid
+     LIMIT 1`,
+    [syllabusId, branchId]
+  );
+  return result.rows[0] || null;
+}
+
+// Helper: One version with its author
+async function findSyllabusVersion(db, syllabusId, versionNumber) {
+  const result = await db.query(
+    `SELECT v.*, u.name AS created_by_name
+     FROM branch.syllabus_versions v
+     LEFT JOIN public.users u ON v.created_by = u.id
+     WHERE v.syllabus_id = $1 AND v.version_number = $2`,
+    [syllabusId, versionNumber]
+  );
+  return result.rows[0] || null;
+}
+
+// GET /api/classes/syllabus/:id/versions - Version history, newest first
+router.get('/syllabus/:id/versions', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid syllabus ID'
+      });
+    }
+
+    const syllabus = await findVersionedSyllabus(pool, id, req.user.branchId);
+
+    if (!syllabus) {
+      return res.status(404).json({
+        success: false,
+        error: 'Syllabus not found'
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT
+         v.id,
+         v.version_number,
+         v.change_type,
+         v.restored_from_version,
+         v.created_by,
+         u.name AS created_by_name,
+         v.draft_id,
+         v.approved_by,
+         v.created_at,
+         jsonb_array_length(v.chapters) AS chapter_count,
+         (SELECT COALESCE(SUM(jsonb_array_length(ch->'subtopics')), 0)
+          FROM jsonb_array_elements(v.chapters) ch) AS subtopic_count
+       FROM branch.syllabus_versions v
+       LEFT JOIN public.users u ON v.created_by = u.id
+       WHERE v.syllabus_id = $1
+       ORDER BY v.version_number DESC`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...syllabus,
+        versions: result.rows.map(row => ({ ...row, subtopic_count: parseInt(row.subtopic_count) }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/syllabus/:id/versions - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch syllabus versions'
+    });
+  }
+});
+
+// GET /api/classes/syllabus/:id/versions/diff?from=&to= - Chapter/subtopic changes between two
+// versions (to defaults to the latest)
+router.get('/syllabus/:id/versions/diff', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = Number(req.query.from);
+
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid syllabus ID'
+      });
+    }
+
+    if (!Number.isInteger(from) || (req.query.to !== undefined && !Number.isInteger(Number(req.query.to)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from (and optionally to) must be version numbers'
+      });
+    }
+
+    const syllabus = await findVersionedSyllabus(pool, id, req.user.branchId);
+
+    if (!syllabus) {
+      return res.status(404).json({
+        success: false,
+        error: 'Syllabus not found'
+      });
+    }
+
+    let to = Number(req.query.to);
+    if (req.query.to === undefined) {
+      const latest = await pool.query(
+        'SELECT MAX(version_number) AS version_number FROM branch.syllabus_versions WHERE syllabus_id = $1',
+        [id]
+      );
+      to = latest.rows[0].version_number;
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      findSyllabusVersion(pool, id, from),
+      findSyllabusVersion(pool, id, to)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${!fromVersion ? from : to} not found`
+      });
+    }
+
+    // Helper: Version header without the snapshot
+    const header = ({ chapters, ...version }) => version;
+
+    res.json({
+      success: true,
+      data: {
+        syllabus_id: id,
+        class_name: syllabus.class_name,
+        subject_name: syllabus.subject_name,
+        from: header(fromVersion),
+        to: header(toVersion),
+        ...diffSyllabusVersions(fromVersion.chapters, toVersion.chapters)
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/syllabus/:id/versions/diff - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare syllabus versions'
+    });
+  }
+});
+
+// GET /api/classes/syllabus/:id/versions/:version - One version's snapshot
+router.get('/syllabus/:id/versions/:version', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versionNumber = Number(req.params.version);
+
+    if (!UUID_PATTERN.test(id) || !Number.isInteger(versionNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid syllabus ID or version number'
+      });
+    }
+
+    const syllabus = await findVersionedSyllabus(pool, id, req.user.branchId);
+    const version = syllabus && await findSyllabusVersion(pool, id, versionNumber);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Syllabus version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...version,
+        class_name: syllabus.class_name,
+        subject_name: syllabus.subject_name
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/syllabus/:id/versions/:version - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch syllabus version'
+    });
+  }
+});
+
+// POST /api/classes/syllabus/:id/versions/:version/restore - Make an earlier version current
+// (saved as a new version; history is never rewritten)
+router.post('/syllabus/:id/versions/:version/restore', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 POST /api/classes/syllabus/:id/versions/:version/restore - Incoming request:', {
+    params: req.params,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { id } = req.params;
+    const versionNumber = Number(req.params.version);
+
+    if (!UUID_PATTERN.test(id) || !Number.isInteger(versionNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid syllabus ID or version number'
+      });
+    }
+
+    const syllabus = await findVersionedSyllabus(pool, id, req.user.branchId);
+    const version = syllabus && await findSyllabusVersion(pool, id, versionNumber);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Syllabus version not found'
+      });
+    }
+
+    if (!syllabus.syllabus_exists) {
+      return res.status(409).json({
+        success: false,
+        error: 'The syllabus has been deleted and cannot be restored in place'
+      });
+    }
+
+    // Restoring publishes directly, so subject teachers cannot (they submit a draft instead)
+    const access = await getSyllabusAccess(pool, req.user, {
+      branchId: req.user.branchId,
+      classId: syllabus.class_id,
+      subjectId: syllabus.subject_id
+    });
+
+    if (access !== 'publish') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Only admins and the department incharge can restore a version.'
+      });
+    }
+
+    // Start transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const coverage = await replaceSyllabusChapters(client, id, version.chapters);
+      const restored = await recordSyllabusVersion(client, {
+        syllabus: { id, class_id: syllabus.class_id, subject_id: syllabus.subject_id },
+        chapters: version.chapters,
+        changeType: 'restore',
+        restoredFromVersion: versionNumber,
+        actor: req.user
+      });
+
+      // A restored plan no longer matches the template, so it stops following it (as with PUT /syllabus/:id)
+      const detached = await client.query(
+        'UPDATE branch.syllabi SET template_linked = false WHERE id = $1 AND template_linked = true RETURNING id',
+        [id]
+      );
+
+      await client.query('COMMIT');
+
+      console.log('✅ POST /api/classes/syllabus/:id/versions/:version/restore - Success:', {
+        syllabusId: id,
+        restoredFrom: versionNumber,
+        newVersion: restored.version_number
+      });
+
+      res.json({
+        success: true,
+        message: `Version ${versionNumber} restored as version ${restored.version_number}`,
+        data: {
+          id,
+          version: restored.version_number,
+          restored_from_version: versionNumber,
+          chapters: version.chapters.length,
+          coverage_kept: coverage.restored,
+          coverage_dropped: coverage.dropped,
+          template_detached: detached.rows.length > 0
+        }
+      });
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/syllabus/:id/versions/:version/restore - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('❌ POST /api/classes/syllabus/:id/versions/:version/restore - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore syllabus version'
+    });
+  }
+});
+
+// ========== SYLLABUS TEMPLATES ==========
+// One plan per standard and subject, applied to any of the standard's sections in one call
+
+// Helper: Stored shape of a template plan
+const toTemplateChapters = chapters => chapters.map(chapter => ({
+  chapter: chapter.chapter.trim(),
+  startDate: chapter.startDate,
+  endDate: chapter.endDate,
+  subtopics: chapter.subtopics.map(s => s.trim())
+}));
+
+// Helper: Template in the branch, with its subject name
+async function findSyllabusTemplate(db, templateId, branchId) {
+  const result = await db.query(
+    `SELECT t.*, sub.name AS subject_name
+     FROM branch.syllabus_templates t
+     JOIN branch.subjects sub ON t.subject_id = sub.id
+     WHERE t.id = $1 AND t.branch_id = $2::uuid`,
+    [templateId, branchId]
+  );
+  return result.rows[0] || null;
+}
+
+// POST /api/classes/syllabus/templates - Create a template for a standard and subject
+router.post('/syllabus/templates', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 POST /api/classes/syllabus/templates - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { standard, subject_id, chapters } = req.body || {};
+    const branchId = req.user.branchId;
+
+    if (!standard || !subject_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'standard and subject_id are required'
+      });
+    }
+
+    const chaptersError = validateTemplateChapters(chapters);
+    if (chaptersError) {
+      return res.status(400).json({
+        success: false,
+        error: chaptersError
+      });
+    }
+
+    const subjectCheck = await pool.query(
+      'SELECT id, name FROM branch.subjects WHERE id = $1 AND branch_id = $2::uuid',
+      [subject_id, branchId]
+    );
+
+    if (subjectCheck.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid subject_id or subject does not belong to your branch'
+      });
+    }
+
+    const existing = await pool.query(
+      'SELECT id FROM branch.syllabus_templates WHERE branch_id = $1 AND standard = $2 AND subject_id = $3',
+      [branchId, String(standard), subject_id]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'A template already exists for this standard and subject',
+        template_id: existing.rows[0].id
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO branch.syllabus_templates (branch_id, standard, subject_id, chapters, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [branchId, String(standard), subject_id, JSON.stringify(toTemplateChapters(chapters)), req.user.userId]
+    );
+
+    console.log('✅ POST /api/classes/syllabus/templates - Success:', {
+      templateId: result.rows[0].id,
+      standard,
+      subjectName: subjectCheck.rows[0].name
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Syllabus template created successfully',
+      data: { ...result.rows[0], subject_name: subjectCheck.rows[0].name }
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/syllabus/templates - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create syllabus template'
+    });
+  }
+});
+
+// GET /api/classes/syllabus/templates?standard=&subject_id= - Templates with how many classes use them
+router.get('/syllabus/templates', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const { standard, subject_id } = req.query;
+
+    let filters = '';
+    const queryParams = [req.user.branchId];
+    let paramIndex = 2;
+
+    if (standard) {
+      filters += ` AND t.standard = $${paramIndex}`;
+      queryParams.push(String(standard));
+      paramIndex++;
+    }
+
+    if (subject_id) {
+      filters += ` AND t.subject_id = $${paramIndex}`;
+      queryParams.push(subject_id);
+      paramIndex++;
+    }
+
+    const result = await pool.query(
+      `SELECT
+         t.id,
+         t.standard,
+         t.subject_id,
+         sub.name AS subject_name,
+         jsonb_array_length(t.chapters) AS chapter_count,
+         COUNT(s.id) AS syllabus_count,
+         COUNT(s.id) FILTER (WHERE s.template_linked) AS linked_count,
+         t.created_at,
+         t.updated_at
+       FROM branch.syllabus_templates t
+       JOIN branch.subjects sub ON t.subject_id = sub.id
+       LEFT JOIN branch.syllabi s ON s.template_id = t.id
+       WHERE t.branch_id = $1 ${filters}
+       GROUP BY t.id, sub.name
+       ORDER BY t.standard, sub.name`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        ...row,
+        syllabus_count: parseInt(row.syllabus_count),
+        linked_count: parseInt(row.linked_count)
+      }))
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/syllabus/templates - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch syllabus templates'
+    });
+  }
+});
+
+// GET /api/classes/syllabus/templates/:templateId - Template plan and the classes using it
+router.get('/syllabus/templates/:templateId', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    if (!UUID_PATTERN.test(templateId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template ID'
+      });
+    }
+
+    const template = await findSyllabusTemplate(pool, templateId, req.user.branchId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Syllabus template not found'
+      });
+    }
+
+    const syllabiResult = await pool.query(
+      `SELECT s.id AS syllabus_id, s.class_id, c.class_name, s.template_linked, s.date_overrides, s.updated_at
+       FROM branch.syllabi s
+       JOIN branch.classes c ON s.class_id = c.id
+       WHERE s.template_id = $1
+       ORDER BY c.class_name`,
+      [templateId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...template,
+        syllabi: syllabiResult.rows
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/syllabus/templates/:templateId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch syllabus template'
+    });
+  }
+});
+
+// PUT /api/classes/syllabus/templates/:templateId - Update the plan; linked syllabi are updated
+// too (keeping their date overrides) unless propagate is false
+router.put('/syllabus/templates/:templateId', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 PUT /api/classes/syllabus/templates/:templateId - Incoming request:', {
+    params: req.params,
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { templateId } = req.params;
+    const { chapters, propagate = true } = req.body || {};
+
+    if (!UUID_PATTERN.test(templateId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template ID'
+      });
+    }
+
+    const chaptersError = validateTemplateChapters(chapters);
+    if (chaptersError) {
+      return res.status(400).json({
+        success: false,
+        error: chaptersError
+      });
+    }
+
+    const template = await findSyllabusTemplate(pool, templateId, req.user.branchId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Syllabus template not found'
+      });
+    }
+
+    // Start transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE branch.syllabus_templates SET
+          chapters = $1,
+          updated_by = $2,
+          updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [JSON.stringify(toTemplateChapters(chapters)), req.user.userId, templateId]
+      );
+      const updatedTemplate = result.rows[0];
+
+      // Overrides naming chapters that no longer exist are ignored when applied
+      const propagated = propagate
+        ? await propagateTemplate(client, { template: updatedTemplate, actor: req.user })
+        : [];
+
+      await client.query('COMMIT');
+
+      console.log('✅ PUT /api/classes/syllabus/templates/:templateId - Success:', {
+        templateId,
+        propagatedTo: propagated.length
+      });
+
+      res.json({
+        success: true,
+        message: `Syllabus template updated; ${propagated.length} linked syllabus(es) updated`,
+        data: {
+          ...updatedTemplate,
+          subject_name: template.subject_name,
+          propagated
+        }
+      });
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 PUT /api/classes/syllabus/templates/:templateId - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('❌ PUT /api/classes/syllabus/templates/:templateId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update syllabus template'
+    });
+  }
+});
+
+// DELETE /api/classes/syllabus/templates/:templateId - Delete a template; syllabi created from it are kept
+router.delete('/syllabus/templates/:templateId', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    if (!UUID_PATTERN.test(templateId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template ID'
+      });
+    }
+
+    const template = await findSyllabusTemplate(pool, templateId, req.user.branchId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Syllabus template not found'
+      });
+    }
+
+    // Start transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const unlinked = await client.query(
+        'UPDATE branch.syllabi SET template_linked = false WHERE template_id = $1 RETURNING id',
+        [templateId]
+      );
+      await client.query('DELETE FROM branch.syllabus_templates WHERE id = $1', [templateId]);
+
+      await client.query('COMMIT');
+
+      console.log('✅ DELETE /api/classes/syllabus/templates/:templateId - Success:', {
+        templateId,
+        syllabiKept: unlinked.rows.length
+      });
+
+      res.json({
+        success: true,
+        message: 'Syllabus template deleted successfully',
+        data: { syllabi_kept: unlinked.rows.length }
+      });
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 DELETE /api/classes/syllabus/templates/:templateId - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('❌ DELETE /api/classes/syllabus/templates/:templateId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete syllabus template'
+    });
+  }
+});
+
+// POST /api/classes/syllabus/templates/:templateId/apply - Create (or replace) the syllabus for
+// each class from the template
+// Body: { class_ids: [...], linked: true, replace_existing: false,
+//         date_overrides: { "<class_id>": { "<chapter name>": { startDate, endDate } } } }
+router.post('/syllabus/templates/:templateId/apply', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 POST /api/classes/syllabus/templates/:templateId/apply - Incoming request:', {
+    params: req.params,
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { templateId } = req.params;
+    const { class_ids, linked = true, replace_existing = false, date_overrides = {} } = req.body || {};
+
+    if (!UUID_PATTERN.test(templateId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template ID'
+      });
+    }
+
+    if (!Array.isArray(class_ids) || class_ids.length === 0 || class_ids.some(id => !UUID_PATTERN.test(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'class_ids must be a non-empty array of class IDs'
+      });
+    }
+
+    const template = await findSyllabusTemplate(pool, templateId, req.user.branchId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Syllabus template not found'
+      });
+    }
+
+    // 1️⃣ Classes must be sections of the template's standard in this branch
+    const classesResult = await pool.query(
+      `SELECT id, class_name, standard FROM branch.classes
+       WHERE id = ANY($1::uuid[]) AND branch_id = $2::uuid`,
+      [class_ids, req.user.branchId]
+    );
+    const classes = new Map(classesResult.rows.map(c => [c.id, c]));
+
+    const notFound = class_ids.filter(id => !classes.has(id));
+    const wrongStandard = classesResult.rows.filter(c => String(c.standard) !== template.standard);
+
+    if (notFound.length > 0 || wrongStandard.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `All classes must be sections of standard ${template.standard} in your branch`,
+        invalid_class_ids: [...notFound, ...wrongStandard.map(c => c.id)]
+      });
+    }
+
+    // 2️⃣ Per-class date overrides
+    for (const [classId, overrides] of Object.entries(date_overrides || {})) {
+      const overridesError = !classes.has(classId)
+        ? `date_overrides given for class ${classId}, which is not in class_ids`
+        : validateDateOverrides(overrides, template.chapters);
+      if (overridesError) {
+        return res.status(400).json({
+          success: false,
+          error: overridesError
+        });
+      }
+    }
+
+    // Start transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const results = [];
+      for (const classId of new Set(class_ids)) {
+        results.push(await applyTemplateToClass(client, {
+          template,
+          classData: classes.get(classId),
+          linked: Boolean(linked),
+          overrides: date_overrides?.[classId] || null,
+          replaceExisting: Boolean(replace_existing),
+          actor: req.user
+        }));
+      }
+
+      await client.query('COMMIT');
+
+      const count = result => results.filter(r => r.result === result).length;
+
+      console.log('✅ POST /api/classes/syllabus/templates/:templateId/apply - Success:', {
+        templateId,
+        created: count('created'),
+        replaced: count('replaced'),
+        skipped: count('skipped')
+      });
+
+      res.json({
+        success: true,
+        message: `Template applied: ${count('created')} created, ${count('replaced')} replaced, ${count('skipped')} skipped`,
+        data: {
+          template_id: templateId,
+          linked: Boolean(linked),
+          results
+        }
+      });
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/syllabus/templates/:templateId/apply - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('❌ POST /api/classes/syllabus/templates/:templateId/apply - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply syllabus template'
+    });
+  }
+});
+
+// ========== SYLLABUS APPROVALS ==========
+// Subject teachers' POST/PUT /syllabus calls are saved as drafts (router.js). The author
+// submits a draft, the subject's department incharge (or an admin) approves or rejects it with
+// comments, and only an approved draft is written to the syllabus students see.
+
+// Helper: Same chapter checks as POST/PUT /syllabus
+function validateDraftChapters(chapters) {
+  if (!Array.isArray(chapters) || chapters.length === 0) {
+    return 'chapters array is required and must not be empty';
+  }
+  for (const chapter of chapters) {
+    if (!chapter.chapter || !chapter.startDate || !chapter.endDate) {
+      return 'Each chapter must have chapter name, startDate, and endDate';
+    }
+    if (!Array.isArray(chapter.subtopics)) {
+      return 'subtopics must be an array';
+    }
+  }
+  return null;
+}
+
+// Helper: Draft plus whether the user wrote it or reviews it; null when neither
+async function findAccessibleDraft(db, draftId, user) {
+  const draft = await findSyllabusDraft(db, draftId, user.branchId);
+  if (!draft) return null;
+
+  const isAuthor = draft.created_by === user.userId;
+  const isReviewer = !isAuthor && await canReviewSyllabusDraft(db, user, draft.subject_id);
+  return isAuthor || isReviewer ? { draft, isAuthor, isReviewer } : null;
+}
+
+// Helper: Validate :draftId and load the draft for the user, sending 400/404 when it fails
+async function loadDraftForRequest(req, res) {
+  if (!UUID_PATTERN.test(req.params.draftId)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid draft ID'
+    });
+    return null;
+  }
+
+  const access = await findAccessibleDraft(pool, req.params.draftId, req.user);
+  if (!access) {
+    res.status(404).json({
+      success: false,
+      error: 'Syllabus draft not found'
+    });
+    return null;
+  }
+  return access;
+}
+
+// Helper: Add a comment to a draft's thread
+async function addDraftComment(db, { draftId, authorId, comment }) {
+  const result = await db.query(
+    `INSERT INTO branch.syllabus_draft_comments (draft_id, author_id, comment)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [draftId, authorId, comment]
+  );
+  return result.rows[0];
+}
+
+// GET /api/classes/syllabus/drafts?status=&class_id=&subject_id= - Teachers see their own drafts
+// and those awaiting their review as department incharge; admins see the whole branch
+router.get('/syllabus/drafts', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const { status, class_id, subject_id } = req.query;
+
+    if (status && !['draft', 'submitted', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be one of draft, submitted, approved, rejected'
+      });
+    }
+
+    let filters = '';
+    const queryParams = [req.user.branchId];
+    let paramIndex = 2;
+
+    if (req.user.role === 'teacher') {
+      // Other teachers' drafts are only visible to the incharge once submitted
+      filters += ` AND (d.created_by = $${paramIndex} OR (d.status <> 'draft' AND d.subject_id IN (
+        SELECT di.subject_id
+        FROM branch.department_incharges di
+        JOIN branch.teachers t ON di.teacher_id = t.id
+        WHERE t.user_id = $${paramIndex} AND di.status = 'active'
+      )))`;
+      queryParams.push(req.user.userId);
+      paramIndex++;
+    }
+
+    if (status) {
+      filters += ` AND d.status = $${paramIndex}`;
+      queryParams.push(status);
+      paramIndex++;
+    }
+
+    if (class_id) {
+      filters += ` AND d.class_id = $${paramIndex}`;
+      queryParams.push(class_id);
+      paramIndex++;
+    }
+
+    if (subject_id) {
+      filters += ` AND d.subject_id = $${paramIndex}`;
+      queryParams.push(subject_id);
+      paramIndex++;
+    }
+
+    const result = await pool.query(
+      `SELECT
+         d.id,
+         d.draft_type,
+         d.syllabus_id,
+         d.class_id,
+         c.class_name,
+         d.subject_id,
+         sub.name AS subject_name,
+         d.status,
+         d.base_version,
+         jsonb_array_length(d.chapters) AS chapter_count,
+         d.created_by,
+         author.name AS created_by_name,
+         d.submitted_at,
+         d.reviewed_by,
+         reviewer.name AS reviewed_by_name,
+         d.reviewed_at,
+         d.applied_version,
+         d.created_at,
+         d.updated_at
+       FROM branch.syllabus_drafts d
+       JOIN branch.classes c ON d.class_id = c.id
+       JOIN branch.subjects sub ON d.subject_id = sub.id
+       LEFT JOIN public.users author ON d.created_by = author.id
+       LEFT JOIN public.users reviewer ON d.reviewed_by = reviewer.id
+       WHERE d.branch_id = $1 ${filters}
+       ORDER BY (d.status = 'submitted') DESC, d.updated_at DESC`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/syllabus/drafts - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch syllabus drafts'
+    });
+  }
+});
+
+// GET /api/classes/syllabus/drafts/:draftId - Draft plan, its comments, and what it changes
+// against the live syllabus
+router.get('/syllabus/drafts/:draftId', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const access = await loadDraftForRequest(req, res);
+    if (!access) return;
+    const { draft, isAuthor, isReviewer } = access;
+
+    const [commentsResult, latest] = await Promise.all([
+      pool.query(
+        `SELECT dc.id, dc.author_id, u.name AS author_name, dc.comment, dc.created_at
+         FROM branch.syllabus_draft_comments dc
+         LEFT JOIN public.users u ON dc.author_id = u.id
+         WHERE dc.draft_id = $1
+         ORDER BY dc.created_at`,
+        [draft.id]
+      ),
+      getLatestSyllabusVersion(pool, draft.syllabus_id)
+    ]);
+
+    const isOpen = OPEN_DRAFT_STATUSES.includes(draft.status);
+
+    res.json({
+      success: true,
+      data: {
+        ...draft,
+        can_edit: isAuthor && draft.status !== 'approved',
+        can_review: isReviewer && draft.status === 'submitted',
+        live_version: latest ? latest.version_number : null,
+        // The live syllabus has moved on since the draft was written
+        stale: isOpen && (latest ? latest.version_number : null) !== draft.base_version,
+        changes: isOpen ? diffSyllabusVersions(latest ? latest.chapters : [], draft.chapters) : null,
+        comments: commentsResult.rows
+      }
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/syllabus/drafts/:draftId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch syllabus draft'
+    });
+  }
+});
+
+// PUT /api/classes/syllabus/drafts/:draftId - Author revises a draft; a submitted or rejected
+// draft goes back to 'draft'
+router.put('/syllabus/drafts/:draftId', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 PUT /api/classes/syllabus/drafts/:draftId - Incoming request:', {
+    params: req.params,
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { chapters } = req.body || {};
+
+    const access = await loadDraftForRequest(req, res);
+    if (!access) return;
+    const { draft, isAuthor } = access;
+
+    if (!isAuthor) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author can edit a draft'
+      });
+    }
+
+    if (draft.status === 'approved') {
+      return res.status(409).json({
+        success: false,
+        error: 'An approved draft cannot be edited'
+      });
+    }
+
+    const chaptersError = validateDraftChapters(chapters);
+    if (chaptersError) {
+      return res.status(400).json({
+        success: false,
+        error: chaptersError
+      });
+    }
+
+    const latest = await getLatestSyllabusVersion(pool, draft.syllabus_id);
+
+    let result;
+    try {
+      result = await pool.query(
+        `UPDATE branch.syllabus_drafts SET
+           chapters = $1,
+           base_version = $2,
+           status = 'draft',
+           submitted_at = NULL,
+           reviewed_by = NULL,
+           reviewed_at = NULL,
+           review_comment = NULL,
+           updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [JSON.stringify(toVersionChapters(chapters)), latest ? latest.version_number : null, draft.id]
+      );
+    } catch (dbError) {
+      // Reopening a rejected draft while another draft is open for the class and subject
+      if (dbError.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'Another draft is already open for this class and subject'
+        });
+      }
+      throw dbError;
+    }
+
+    console.log('✅ PUT /api/classes/syllabus/drafts/:draftId - Success:', {
+      draftId: draft.id,
+      previousStatus: draft.status
+    });
+
+    res.json({
+      success: true,
+      message: draft.status === 'draft'
+        ? 'Draft updated successfully'
+        : 'Draft updated and moved back to draft; submit it again for review',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ PUT /api/classes/syllabus/drafts/:draftId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update syllabus draft'
+    });
+  }
+});
+
+// POST /api/classes/syllabus/drafts/:draftId/submit - Send a draft to the department incharge
+router.post('/syllabus/drafts/:draftId/submit', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 POST /api/classes/syllabus/drafts/:draftId/submit - Incoming request:', {
+    params: req.params,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const access = await loadDraftForRequest(req, res);
+    if (!access) return;
+    const { draft, isAuthor } = access;
+
+    if (!isAuthor) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author can submit a draft'
+      });
+    }
+
+    // Looked up before the submit so nothing after it can fail the request
+    const incharges = await getSubjectIncharges(pool, draft.subject_id);
+
+    const result = await pool.query(
+      `UPDATE branch.syllabus_drafts SET
+         status = 'submitted',
+         submitted_at = NOW(),
+         updated_at = NOW()
+       WHERE id = $1 AND status = 'draft'
+       RETURNING *`,
+      [draft.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Only drafts can be submitted; this one is ${draft.status}`
+      });
+    }
+
+    const noticeId = await sendSyllabusDraftNotice(pool, {
+      draft,
+      title: `Syllabus draft to review: ${draft.class_name} · ${draft.subject_name}`,
+      content: `${draft.created_by_name || 'A teacher'} submitted a ${draft.draft_type === 'create' ? 'new syllabus' : 'syllabus change'} ` +
+        `for ${draft.class_name} · ${draft.subject_name} for your approval.`,
+      userIds: incharges,
+      createdBy: req.user.userId,
+      broadcast: req.app.get('broadcastNotificationToStudents')
+    });
+
+    console.log('✅ POST /api/classes/syllabus/drafts/:draftId/submit - Success:', {
+      draftId: draft.id,
+      reviewersNotified: noticeId ? incharges.length : 0
+    });
+
+    res.json({
+      success: true,
+      message: incharges.length > 0
+        ? 'Draft submitted to the department incharge for review'
+        : 'Draft submitted; the subject has no department incharge, so an admin will review it',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/syllabus/drafts/:draftId/submit - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit syllabus draft'
+    });
+  }
+});
+
+// POST /api/classes/syllabus/drafts/:draftId/approve - Publish a submitted draft
+// Body: { comment, allow_stale } (optional). A draft written against an older live version is
+// refused unless allow_stale is true, so an approval never silently discards a newer edit.
+router.post('/syllabus/drafts/:draftId/approve', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 POST /api/classes/syllabus/drafts/:draftId/approve - Incoming request:', {
+    params: req.params,
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const comment = typeof req.body?.comment === 'string' ? req.body.comment.trim() : '';
+
+    const access = await loadDraftForRequest(req, res);
+    if (!access) return;
+    const { draft, isReviewer } = access;
+
+    if (!isReviewer) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the department incharge or an admin can approve a draft'
+      });
+    }
+
+    // Start transaction
+    const client = await pool.connect();
+    let applied;
+    try {
+      await client.query('BEGIN');
+
+      // Lock the draft; a second reviewer acting at the same time sees it already decided
+      const locked = await client.query(
+        `SELECT * FROM branch.syllabus_drafts WHERE id = $1 AND status = 'submitted' FOR UPDATE`,
+        [draft.id]
+      );
+
+      if (locked.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: `Only submitted drafts can be approved; this one is ${draft.status}`
+        });
+      }
+
+      // Lock the syllabus too, so the live version cannot move between this check and the publish
+      if (locked.rows[0].syllabus_id) {
+        await client.query('SELECT id FROM branch.syllabi WHERE id = $1 FOR UPDATE', [locked.rows[0].syllabus_id]);
+      }
+      const latest = await getLatestSyllabusVersion(client, locked.rows[0].syllabus_id);
+      const latestVersion = latest ? latest.version_number : null;
+
+      if (latestVersion !== locked.rows[0].base_version && req.body?.allow_stale !== true) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: `The syllabus has changed since this draft was written (draft is based on version ` +
+            `${locked.rows[0].base_version ?? 'none'}, live is version ${latestVersion ?? 'none'}). ` +
+            'Ask the author to update the draft, or approve with allow_stale: true to replace the newer version.'
+        });
+      }
+
+      applied = await applySyllabusDraft(client, { draft: locked.rows[0], reviewer: req.user, comment });
+
+      if (applied.error) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: applied.error
+        });
+      }
+
+      if (comment) {
+        await addDraftComment(client, { draftId: draft.id, authorId: req.user.userId, comment });
+      }
+
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/syllabus/drafts/:draftId/approve - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    await sendSyllabusDraftNotice(pool, {
+      draft,
+      title: `Syllabus approved: ${draft.class_name} · ${draft.subject_name}`,
+      content: `Your syllabus draft for ${draft.class_name} · ${draft.subject_name} was approved and published ` +
+        `as version ${applied.version.version_number}.` + (comment ? `\n\nComment: ${comment}` : ''),
+      userIds: [draft.created_by],
+      createdBy: req.user.userId,
+      broadcast: req.app.get('broadcastNotificationToStudents')
+    });
+
+    console.log('✅ POST /api/classes/syllabus/drafts/:draftId/approve - Success:', {
+      draftId: draft.id,
+      syllabusId: applied.draft.syllabus_id,
+      version: applied.version.version_number
+    });
+
+    res.json({
+      success: true,
+      message: `Draft approved and published as version ${applied.version.version_number}`,
+      data: {
+        ...applied.draft,
+        coverage_kept: applied.coverage.restored,
+        coverage_dropped: applied.coverage.dropped
+      }
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/syllabus/drafts/:draftId/approve - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve syllabus draft'
+    });
+  }
+});
+
+// POST /api/classes/syllabus/drafts/:draftId/reject - Send a submitted draft back to its author
+// Body: { comment } (required)
+router.post('/syllabus/drafts/:draftId/reject', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  console.log('🔥 POST /api/classes/syllabus/drafts/:draftId/reject - Incoming request:', {
+    params: req.params,
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const comment = typeof req.body?.comment === 'string' ? req.body.comment.trim() : '';
+
+    if (!comment) {
+      return res.status(400).json({
+        success: false,
+        error: 'comment is required when rejecting a draft'
+      });
+    }
+
+    const access = await loadDraftForRequest(req, res);
+    if (!access) return;
+    const { draft, isReviewer } = access;
+
+    if (!isReviewer) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the department incharge or an admin can reject a draft'
+      });
+    }
+
+    // Start transaction
+    const client = await pool.connect();
+    let rejected;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE branch.syllabus_drafts SET
+           status = 'rejected',
+           reviewed_by = $1,
+           reviewed_at = NOW(),
+           review_comment = $2,
+           updated_at = NOW()
+         WHERE id = $3 AND status = 'submitted'
+         RETURNING *`,
+        [req.user.userId, comment, draft.id]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: `Only submitted drafts can be rejected; this one is ${draft.status}`
+        });
+      }
+      rejected = result.rows[0];
+
+      await addDraftComment(client, { draftId: draft.id, authorId: req.user.userId, comment });
+
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/syllabus/drafts/:draftId/reject - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    await sendSyllabusDraftNotice(pool, {
+      draft,
+      title: `Syllabus draft returned: ${draft.class_name} · ${draft.subject_name}`,
+      content: `Your syllabus draft for ${draft.class_name} · ${draft.subject_name} was not approved.\n\nComment: ${comment}`,
+      userIds: [draft.created_by],
+      createdBy: req.user.userId,
+      broadcast: req.app.get('broadcastNotificationToStudents')
+    });
+
+    console.log('✅ POST /api/classes/syllabus/drafts/:draftId/reject - Success:', { draftId: draft.id });
+
+    res.json({
+      success: true,
+      message: 'Draft rejected and returned to its author',
+      data: rejected
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/syllabus/drafts/:draftId/reject - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject syllabus draft'
+    });
+  }
+});
+
+// POST /api/classes/syllabus/drafts/:draftId/comments - Author or reviewer comments on a draft
+router.post('/syllabus/drafts/:draftId/comments', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const comment = typeof req.body?.comment === 'string' ? req.body.comment.trim() : '';
+
+    if (!comment) {
+      return res.status(400).json({
+        success: false,
+        error: 'comment is required'
+      });
+    }
+
+    const access = await loadDraftForRequest(req, res);
+    if (!access) return;
+
+    const created = await addDraftComment(pool, {
+      draftId: access.draft.id,
+      authorId: req.user.userId,
+      comment
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: created
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/syllabus/drafts/:draftId/comments - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add comment'
+    });
+  }
+});
+
+// DELETE /api/classes/syllabus/drafts/:draftId - Author discards a draft that was not approved
+router.delete('/syllabus/drafts/:draftId', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
+  try {
+    const access = await loadDraftForRequest(req, res);
+    if (!access) return;
+    const { draft, isAuthor } = access;
+
+    if (!isAuthor) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author can discard a draft'
+      });
+    }
+
+    const result = await pool.query(
+      `DELETE FROM branch.syllabus_drafts WHERE id = $1 AND status <> 'approved' RETURNING id`,
+      [draft.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'An approved draft cannot be discarded'
+      });
+    }
+
+    console.log('✅ DELETE /api/classes/syllabus/drafts/:draftId - Success:', { draftId: draft.id });
+
+    res.json({
+      success: true,
+      message: 'Draft discarded successfully'
+    });
+  } catch (error) {
+    console.error('❌ DELETE /api/classes/syllabus/drafts/:draftId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard syllabus draft'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,604 @@
+// Timetable generator endpoints (solver drafts reviewed and published by admins)
+const express = require('express');
+const pool = require('./config/database');
+const jwt = require('jsonwebtoken');
+const { getTimetableCells, slotsOverlap, findTimetableClashes } = require('./utils/timetable');
+const { DEFAULT_TIME_LIMIT_MS, blockKey, runTimetableSolver } = require('./utils/timetableSolver');
+
+const router = express.Router();
+
+// How long the solver searches before falling back to greedy placement
+const SOLVER_TIME_LIMIT_MS = parseInt(process.env.TIMETABLE_SOLVER_TIME_LIMIT_MS) || DEFAULT_TIME_LIMIT_MS;
+
+// JWT verification middleware
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access token required'
+    });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (err) {
+      console.error('JWT verification error:', err);
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+    req.user = user;
+    next();
+  });
+};
+
+// Role-based authorization middleware
+const requireRole = (...allowedRoles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied. Required roles: ${allowedRoles.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+// Helper: Validate the generator request body, returns an error message or null
+function validateGeneratorInput({ days, time_slots, quotas, assignments, unavailability, max_daily_per_subject }) {
+  if (!Array.isArray(days) || days.length === 0) {
+    return 'days must be a non-empty array';
+  }
+
+  if (!Array.isArray(time_slots) || time_slots.length === 0) {
+    return 'time_slots must be a non-empty array';
+  }
+
+  if (!Array.isArray(quotas) || quotas.length === 0) {
+    return 'quotas must be a non-empty array of { class_id, subject_id, periods_per_week }';
+  }
+
+  const badQuota = quotas.find(q =>
+    !q || !q.class_id || !q.subject_id || !Number.isInteger(q.periods_per_week) || q.periods_per_week < 1);
+  if (badQuota) {
+    return 'Each quota needs class_id, subject_id and a positive integer periods_per_week';
+  }
+
+  if (!Array.isArray(assignments) || assignments.length === 0) {
+    return 'assignments must be a non-empty array of { teacher_id, subject_id, class_ids? }';
+  }
+
+  const badAssignment = assignments.find(a =>
+    !a || !a.teacher_id || !a.subject_id || (a.class_ids !== undefined && !Array.isArray(a.class_ids)));
+  if (badAssignment) {
+    return 'Each assignment needs teacher_id and subject_id; class_ids must be an array when given';
+  }
+
+  if (unavailability !== undefined) {
+    if (!Array.isArray(unavailability)) {
+      return 'unavailability must be an array of { teacher_id, day, time_slot? }';
+    }
+    const badEntry = unavailability.find(u => !u || !u.teacher_id || !days.includes(u.day));
+    if (badEntry) {
+      return 'Each unavailability entry needs teacher_id and one of the given days';
+    }
+  }
+
+  if (max_daily_per_subject !== undefined &&
+      (!Number.isInteger(max_daily_per_subject) || max_daily_per_subject < 1)) {
+    return 'max_daily_per_subject must be a positive integer';
+  }
+
+  return null;
+}
+
+// POST /api/classes/timetable-drafts/generate - Generate grids for the active year and save them as a draft
+router.post('/timetable-drafts/generate', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 POST /api/classes/timetable-drafts/generate - Incoming request:', {
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const validationError = validateGeneratorInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const {
+      name,
+      days,
+      time_slots,
+      quotas,
+      assignments,
+      unavailability = [],
+      max_daily_per_subject = 2
+    } = req.body;
+    const branchId = req.user.branchId;
+
+    // 1️⃣ Active academic year and its classes
+    const activeYearResult = await pool.query(
+      'SELECT year_name FROM public.academic_years WHERE status = $1 AND branch_id = $2 ORDER BY start_date DESC LIMIT 1',
+      ['active', branchId]
+    );
+
+    if (activeYearResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No active academic year found'
+      });
+    }
+
+    const academicYear = activeYearResult.rows[0].year_name;
+
+    const classesResult = await pool.query(
+      `SELECT id, class_name FROM branch.classes
+       WHERE branch_id = $1 AND academic_year = $2 AND status = 'Active'`,
+      [branchId, academicYear]
+    );
+    const classNames = new Map(classesResult.rows.map(c => [c.id, c.class_name]));
+
+    const unknownClasses = [...new Set(quotas.map(q => q.class_id))].filter(id => !classNames.has(id));
+    if (unknownClasses.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some quota classes are not active classes of the current academic year',
+        invalid_class_ids: unknownClasses
+      });
+    }
+
+    // 2️⃣ Subjects and teachers must belong to the branch
+    const subjectIds = [...new Set([...quotas, ...assignments].map(x => x.subject_id))];
+    const subjectsResult = await pool.query(
+      'SELECT id, name FROM branch.subjects WHERE id = ANY($1::uuid[]) AND branch_id = $2',
+      [subjectIds, branchId]
+    );
+    const subjectNames = new Map(subjectsResult.rows.map(s => [s.id, s.name]));
+    const unknownSubjects = subjectIds.filter(id => !subjectNames.has(id));
+
+    const teacherIds = [...new Set(assignments.map(a => a.teacher_id))];
+    const teachersResult = await pool.query(
+      `SELECT id, name FROM public.users
+       WHERE id = ANY($1::uuid[]) AND branch_id = $2 AND role = 'teacher' AND status = 'Active'`,
+      [teacherIds, branchId]
+    );
+    const teacherNames = new Map(teachersResult.rows.map(t => [t.id, t.name]));
+    const unknownTeachers = teacherIds.filter(id => !teacherNames.has(id));
+
+    if (unknownSubjects.length > 0 || unknownTeachers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some subjects or teachers do not belong to your branch',
+        invalid_subject_ids: unknownSubjects,
+        invalid_teacher_ids: unknownTeachers
+      });
+    }
+
+    // 3️⃣ Pick one teacher per class/subject, spreading load across eligible teachers
+    const unsatisfied = [];
+    const lessons = [];
+    const teacherLoad = new Map();
+
+    for (const quota of [...quotas].sort((a, b) => b.periods_per_week - a.periods_per_week)) {
+      const eligible = assignments.filter(a =>
+        a.subject_id === quota.subject_id && (!a.class_ids || a.class_ids.includes(quota.class_id)));
+
+      if (eligible.length === 0) {
+        unsatisfied.push({
+          type: 'no_teacher',
+          class_id: quota.class_id,
+          class_name: classNames.get(quota.class_id),
+          subject_id: quota.subject_id,
+          subject_name: subjectNames.get(quota.subject_id),
+          requested: quota.periods_per_week,
+          placed: 0
+        });
+        continue;
+      }
+
+      const teacher = eligible
+        .map(a => a.teacher_id)
+        .sort((a, b) => (teacherLoad.get(a) || 0) - (teacherLoad.get(b) || 0))[0];
+      teacherLoad.set(teacher, (teacherLoad.get(teacher) || 0) + quota.periods_per_week);
+
+      for (let i = 0; i < quota.periods_per_week; i++) {
+        lessons.push({ classId: quota.class_id, subjectId: quota.subject_id, teacherId: teacher });
+      }
+    }
+
+    const periodsPerWeek = days.length * time_slots.length;
+    const classTotals = new Map();
+    quotas.forEach(q => classTotals.set(q.class_id, (classTotals.get(q.class_id) || 0) + q.periods_per_week));
+    classTotals.forEach((total, classId) => {
+      if (total > periodsPerWeek) {
+        unsatisfied.push({
+          type: 'class_overbooked',
+          class_id: classId,
+          class_name: classNames.get(classId),
+          requested: total,
+          available: periodsPerWeek
+        });
+      }
+    });
+
+    // 4️⃣ Blocked teacher slots: declared unavailability plus bookings in grids we are not regenerating
+    const blocked = new Set();
+    unavailability.forEach(u => blocked.add(blockKey(u.teacher_id, u.day, u.time_slot || '*')));
+
+    const quotaClassIds = [...classTotals.keys()];
+    const fixedResult = await pool.query(
+      `SELECT class_name, timetable_data FROM branch.timetables_master
+       WHERE branch_id = $1 AND academic_year = $2
+         AND (class_id IS NULL OR NOT (class_id = ANY($3::uuid[])))`,
+      [branchId, academicYear, quotaClassIds]
+    );
+
+    fixedResult.rows.forEach(timetable => {
+      getTimetableCells(timetable.timetable_data).forEach(({ day, slot, cell }) => {
+        if (!cell.faculty || !teacherLoad.has(cell.faculty)) return;
+        const requestedDay = days.find(d => d.trim().toLowerCase() === String(day).trim().toLowerCase());
+        if (!requestedDay) return;
+        time_slots
+          .filter(requestedSlot => slotsOverlap(requestedSlot, slot))
+          .forEach(requestedSlot => blocked.add(blockKey(cell.faculty, requestedDay, requestedSlot)));
+      });
+    });
+
+    // 5️⃣ Solve
+    console.log('📋 POST /api/classes/timetable-drafts/generate - Solving:', {
+      classes: quotaClassIds.length,
+      lessons: lessons.length,
+      blockedSlots: blocked.size
+    });
+
+    const result = await runTimetableSolver({
+      days,
+      timeSlots: time_slots,
+      lessons,
+      blocked,
+      maxDailyPerSubject: max_daily_per_subject,
+      timeLimitMs: SOLVER_TIME_LIMIT_MS
+    });
+
+    const grids = new Map(quotaClassIds.map(classId => [classId, {
+      class_id: classId,
+      class_name: classNames.get(classId),
+      timetable_data: Object.fromEntries(days.map(day => [day, {}]))
+    }]));
+
+    result.assignments.forEach(({ lesson, day, slot }) => {
+      grids.get(lesson.classId).timetable_data[day][slot] = {
+        subject: lesson.subjectId,
+        faculty: lesson.teacherId
+      };
+    });
+
+    const unplacedGroups = new Map();
+    result.unplaced.forEach(lesson => {
+      const key = `${lesson.classId}|${lesson.subjectId}`;
+      if (!unplacedGroups.has(key)) {
+        unplacedGroups.set(key, {
+          type: 'unplaced_lessons',
+          class_id: lesson.classId,
+          class_name: classNames.get(lesson.classId),
+          subject_id: lesson.subjectId,
+          subject_name: subjectNames.get(lesson.subjectId),
+          teacher_id: lesson.teacherId,
+          teacher_name: teacherNames.get(lesson.teacherId),
+          requested: quotas.find(q => q.class_id === lesson.classId && q.subject_id === lesson.subjectId).periods_per_week,
+          unplaced: 0
+        });
+      }
+      unplacedGroups.get(key).unplaced++;
+    });
+    unsatisfied.push(...unplacedGroups.values());
+
+    // 6️⃣ Save as draft
+    const draftResult = await pool.query(
+      `INSERT INTO branch.timetable_drafts (
+        branch_id, academic_year, name, time_slots, days, input, grids, unsatisfied, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING id, status, created_at`,
+      [
+        branchId,
+        academicYear,
+        name || null,
+        JSON.stringify(time_slots),
+        JSON.stringify(days),
+        JSON.stringify({ quotas, assignments, unavailability, max_daily_per_subject }),
+        JSON.stringify([...grids.values()]),
+        JSON.stringify(unsatisfied),
+        req.user.userId
+      ]
+    );
+
+    console.log('✅ POST /api/classes/timetable-drafts/generate - Draft saved:', {
+      draftId: draftResult.rows[0].id,
+      placed: result.assignments.length,
+      unplaced: result.unplaced.length
+    });
+
+    res.status(201).json({
+      success: true,
+      message: unsatisfied.length === 0
+        ? 'Timetable draft generated with all constraints satisfied'
+        : `Timetable draft generated with ${unsatisfied.length} unsatisfied constraint(s)`,
+      data: {
+        id: draftResult.rows[0].id,
+        status: draftResult.rows[0].status,
+        academic_year: academicYear,
+        time_slots,
+        days,
+        grids: [...grids.values()],
+        unsatisfied,
+        summary: {
+          lessons: lessons.length,
+          placed: result.assignments.length,
+          unplaced: result.unplaced.length
+        },
+        created_at: draftResult.rows[0].created_at
+      }
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/timetable-drafts/generate - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate timetable'
+    });
+  }
+});
+
+// GET /api/classes/timetable-drafts - List generated drafts for the branch
+router.get('/timetable-drafts', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        d.id,
+        d.name,
+        d.academic_year,
+        d.status,
+        jsonb_array_length(d.grids) AS class_count,
+        jsonb_array_length(d.unsatisfied) AS unsatisfied_count,
+        d.created_at,
+        d.published_at,
+        u.name AS created_by_name
+      FROM branch.timetable_drafts d
+      LEFT JOIN public.users u ON d.created_by = u.id
+      WHERE d.branch_id = $1
+      ORDER BY d.created_at DESC
+    `, [req.user.branchId]);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/timetable-drafts - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch timetable drafts'
+    });
+  }
+});
+
+// GET /api/classes/timetable-drafts/:draftId - Full draft for review
+router.get('/timetable-drafts/:draftId', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM branch.timetable_drafts WHERE id = $1 AND branch_id = $2',
+      [req.params.draftId, req.user.branchId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Timetable draft not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ GET /api/classes/timetable-drafts/:draftId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch timetable draft'
+    });
+  }
+});
+
+// POST /api/classes/timetable-drafts/:draftId/publish - Write draft grids to timetables_master
+router.post('/timetable-drafts/:draftId/publish', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  console.log('🔥 POST /api/classes/timetable-drafts/:draftId/publish - Incoming request:', {
+    params: req.params,
+    body: req.body,
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const branchId = req.user.branchId;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const draftResult = await client.query(
+        'SELECT * FROM branch.timetable_drafts WHERE id = $1 AND branch_id = $2 FOR UPDATE',
+        [req.params.draftId, branchId]
+      );
+
+      if (draftResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          error: 'Timetable draft not found'
+        });
+      }
+
+      const draft = draftResult.rows[0];
+
+      if (draft.status !== 'draft') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: `Draft has already been ${draft.status}`
+        });
+      }
+
+      const published = [];
+
+      for (const grid of draft.grids) {
+        const existing = await client.query(
+          'SELECT id FROM branch.timetables_master WHERE class_id = $1 AND branch_id = $2::uuid',
+          [grid.class_id, branchId]
+        );
+
+        let timetableId;
+        if (existing.rows.length > 0) {
+          timetableId = existing.rows[0].id;
+          await client.query(
+            `UPDATE branch.timetables_master
+             SET time_slots = $1, days = $2, timetable_data = $3, academic_year = $4, updated_at = NOW()
+             WHERE id = $5`,
+            [
+              JSON.stringify(draft.time_slots),
+              JSON.stringify(draft.days),
+              JSON.stringify(grid.timetable_data),
+              draft.academic_year,
+              timetableId
+            ]
+          );
+        } else {
+          const inserted = await client.query(
+            `INSERT INTO branch.timetables_master (
+              class_id, class_name, time_slots, days, timetable_data, branch_id, academic_year, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id`,
+            [
+              grid.class_id,
+              grid.class_name,
+              JSON.stringify(draft.time_slots),
+              JSON.stringify(draft.days),
+              JSON.stringify(grid.timetable_data),
+              branchId,
+              draft.academic_year,
+              req.user.userId
+            ]
+          );
+          timetableId = inserted.rows[0].id;
+        }
+
+        published.push({ timetable_id: timetableId, class_id: grid.class_id, class_name: grid.class_name });
+      }
+
+      // Other grids may have changed since the draft was generated
+      const clashes = [];
+      for (const entry of published) {
+        const grid = draft.grids.find(g => g.class_id === entry.class_id);
+        clashes.push(...await findTimetableClashes(client, {
+          branchId,
+          academicYear: draft.academic_year,
+          timetableData: grid.timetable_data,
+          classId: entry.class_id,
+          excludeTimetableId: entry.timetable_id
+        }));
+      }
+
+      if (clashes.length > 0 && !(req.body || {}).allow_clashes) {
+        await client.query('ROLLBACK');
+        console.log('⚠️ POST /api/classes/timetable-drafts/:draftId/publish - Clashes found:', clashes.length);
+        return res.status(409).json({
+          success: false,
+          error: 'Draft clashes with timetables changed since it was generated',
+          clashes
+        });
+      }
+
+      await client.query(
+        `UPDATE branch.timetable_drafts
+         SET status = 'published', published_by = $1, published_at = NOW()
+         WHERE id = $2`,
+        [req.user.userId, draft.id]
+      );
+
+      await client.query('COMMIT');
+
+      console.log('✅ POST /api/classes/timetable-drafts/:draftId/publish - Published:', {
+        draftId: draft.id,
+        timetables: published.length
+      });
+
+      res.json({
+        success: true,
+        message: `Published ${published.length} timetables`,
+        data: {
+          id: draft.id,
+          status: 'published',
+          timetables: published,
+          warnings: clashes
+        }
+      });
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/timetable-drafts/:draftId/publish - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('❌ POST /api/classes/timetable-drafts/:draftId/publish - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish timetable draft'
+    });
+  }
+});
+
+// DELETE /api/classes/timetable-drafts/:draftId - Discard an unpublished draft
+router.delete('/timetable-drafts/:draftId', authenticateToken, requireRole('admin', 'superadmin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE branch.timetable_drafts
+       SET status = 'discarded'
+       WHERE id = $1 AND branch_id = $2 AND status = 'draft'
+       RETURNING id`,
+      [req.params.draftId, req.user.branchId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Draft not found or already published'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Timetable draft discarded'
+    });
+  } catch (error) {
+    console.error('❌ DELETE /api/classes/timetable-drafts/:draftId - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard timetable draft'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,39 @@
 const express = require('express');
 const pool = require('./config/database');
 const jwt = require('jsonwebtoken');
+const {
+  findTimetableClashes,
+  parseTimeSlot,
+  getWeekdayName,
+  findDayKey,
+  getSubstitutionsForDate,
+  getFirstPeriodStart
+} = require('./utils/timetable');
+const {
+  LOCK_EXEMPT_ROLES,
+  ALL_ATTENDANCE_STATUSES,
+  getWritableAttendanceStatuses,
+  getAttendanceSettings,
+  isAttendanceLocked,
+  createAttendanceAmendments,
+  recordAttendanceHistory,
+  ARRIVAL_TIME_PATTERN,
+  computeMinutesLate,
+  upsertClassAttendance,
+  toDateString,
+  isValidDateString,
+  getBranchClock,
+  calculateAttendancePercentage,
+  getSubjectAttendance
+} = require('./utils/attendance');
+const { processAttendanceAlerts } = require('./utils/attendanceAlerts');
+const { publishAttendanceEvents } = require('./utils/attendanceEvents');
+const { getApprovedLeaveStudentIds } = require('./utils/leaveRequests');
+const { buildAttendanceRegister, registerToCsv, registerToPdf } = require('./utils/attendanceRegister');
+const { validateAttendanceImport } = require('./utils/attendanceImport');
+const { applySyllabusCoverage, replaceSyllabusChapters } = require('./utils/syllabus');
+const { recordSyllabusVersion } = require('./utils/syllabusVersions');
+const { getSyllabusAccess, saveSyllabusDraft } = require('./utils/syllabusApprovals');
 
 const router = express.Router();
 
@@ -85,6 +118,23 @@ const validateClassData = (req, res, next) => {
   next();
 };
 
+// Feature routers are mounted ahead of the generic /:id routes below so their
+// static paths (e.g. /promotions) are not captured by the catch-all handlers
+const promotionsRouter = require('./router-promotions');
+router.use('/', promotionsRouter);
+
+const timetableGeneratorRouter = require('./router-timetable-generator');
+router.use('/', timetableGeneratorRouter);
+
+const substitutionsRouter = require('./router-substitutions');
+router.use('/', substitutionsRouter);
+
+const attendanceRouter = require('./router-attendance');
+router.use('/', attendanceRouter);
+
+const syllabusRouter = require('./router-syllabus');
+router.use('/', syllabusRouter);
+
 // ========== SUBJECTS MANAGEMENT ENDPOINTS ==========
 
 // GET /api/subjects - Fetch subjects for user's branch
@@ -1179,6 +1229,48 @@ router.delete('/academic-years/:id', authenticateToken, requireRole('admin', 'su
 });
 
 // ========== SYLLABUS MANAGEMENT ENDPOINTS ==========
+// Admins and the subject's department incharge publish changes directly. Subject teachers'
+// changes are saved as drafts and go through review (see router-syllabus.js).
+
+// Helper: Save a subject teacher's POST/PUT as their draft and send the response
+async function respondWithSyllabusDraft(req, res, { route, syllabusId, classId, subjectId, chapters }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const saved = await saveSyllabusDraft(client, {
+      branchId: req.user.branchId,
+      syllabusId,
+      classId,
+      subjectId,
+      chapters,
+      actor: req.user
+    });
+    await client.query('COMMIT');
+
+    if (saved.conflict) {
+      console.log(`⚠️ ${route} - Another teacher has an open draft:`, { draftId: saved.conflict.id });
+      return res.status(409).json({
+        success: false,
+        error: 'Another teacher already has an open draft for this syllabus',
+        draft_id: saved.conflict.id
+      });
+    }
+
+    console.log(`✅ ${route} - Saved as draft:`, { draftId: saved.draft.id, created: saved.created });
+
+    res.status(202).json({
+      success: true,
+      message: 'Saved as a draft. Submit it for review by the department incharge to publish it.',
+      data: saved.draft
+    });
+  } catch (dbError) {
+    await client.query('ROLLBACK');
+    console.log(`🔴 ${route} - Transaction error:`, dbError);
+    throw dbError;
+  } finally {
+    client.release();
+  }
+}
 
 // GET /api/syllabus - Get all syllabi for the branch
 router.get('/syllabus', authenticateToken, async (req, res) => {
@@ -1277,16 +1369,19 @@ router.get('/syllabus', authenticateToken, async (req, res) => {
         let chapter = subjectEntry.chapters.find(ch => ch.chapter === row.chapter_name);
         if (!chapter) {
           chapter = {
+            id: row.chapter_id,
             chapter: row.chapter_name,
             startDate: row.start_date.toISOString().split('T')[0],
             endDate: row.end_date.toISOString().split('T')[0],
-            subtopics: []
+            subtopics: [],
+            subtopic_details: []
           };
           subjectEntry.chapters.push(chapter);
         }
 
         if (row.subtopic_id) {
           chapter.subtopics.push(row.subtopic_name);
+          chapter.subtopic_details.push({ id: row.subtopic_id, subtopic: row.subtopic_name });
         }
       }
     });
@@ -1301,6 +1396,10 @@ router.get('/syllabus', authenticateToken, async (req, res) => {
       }))
     }));
 
+    // Coverage and planned-vs-actual dates per chapter
+    const { date: today } = getBranchClock(await getAttendanceSettings(pool, req.user.branchId));
+    await applySyllabusCoverage(pool, syllabus.flatMap(classEntry => classEntry.subjects), today);
+
     const response = {
       success: true,
       data: syllabus,
@@ -1326,7 +1425,7 @@ router.get('/syllabus', authenticateToken, async (req, res) => {
 });
 
 // POST /api/syllabus - Create new syllabus
-router.post('/syllabus', authenticateToken, async (req, res) => {
+router.post('/syllabus', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
   console.log('🔥 POST /api/syllabus - Incoming request:', {
     headers: req.headers,
     body: req.body,
@@ -1413,6 +1512,30 @@ router.post('/syllabus', authenticateToken, async (req, res) => {
       }
     }
 
+    // Subject teachers' changes wait for the department incharge's approval
+    const access = await getSyllabusAccess(pool, req.user, {
+      branchId: req.user.branchId,
+      classId: class_id,
+      subjectId: subject_id
+    });
+
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You do not teach this subject to this class.'
+      });
+    }
+
+    if (access === 'draft') {
+      return await respondWithSyllabusDraft(req, res, {
+        route: 'POST /api/syllabus',
+        syllabusId: null,
+        classId: class_id,
+        subjectId: subject_id,
+        chapters
+      });
+    }
+
     // Start transaction
     const client = await pool.connect();
     try {
@@ -1420,7 +1543,7 @@ router.post('/syllabus', authenticateToken, async (req, res) => {
 
       // Insert syllabus
       const syllabusResult = await client.query(
-        'INSERT INTO branch.syllabi (class_id, subject_id) VALUES ($1, $2) RETURNING id',
+        'INSERT INTO branch.syllabi (class_id, subject_id) VALUES ($1, $2) RETURNING id, class_id, subject_id',
         [class_id, subject_id]
       );
       const syllabusId = syllabusResult.rows[0].id;
@@ -1442,6 +1565,13 @@ router.post('/syllabus', authenticateToken, async (req, res) => {
         }
       }
 
+      const version = await recordSyllabusVersion(client, {
+        syllabus: syllabusResult.rows[0],
+        chapters,
+        changeType: 'create',
+        actor: req.user
+      });
+
       await client.query('COMMIT');
 
       const response = {
@@ -1450,7 +1580,8 @@ router.post('/syllabus', authenticateToken, async (req, res) => {
           id: syllabusId,
           class_id,
           subject_id,
-          chapters: chapters.length
+          chapters: chapters.length,
+          version: version.version_number
         },
         message: 'Syllabus created successfully'
       };
@@ -1547,21 +1678,28 @@ router.get('/syllabus/:id', authenticateToken, async (req, res) => {
       if (row.chapter_id) {
         if (!chapterMap.has(row.chapter_id)) {
           chapterMap.set(row.chapter_id, {
+            id: row.chapter_id,
             chapter: row.chapter_name,
             startDate: row.start_date.toISOString().split('T')[0],
             endDate: row.end_date.toISOString().split('T')[0],
-            subtopics: []
+            subtopics: [],
+            subtopic_details: []
           });
         }
 
         if (row.subtopic_id) {
           chapterMap.get(row.chapter_id).subtopics.push(row.subtopic_name);
+          chapterMap.get(row.chapter_id).subtopic_details.push({ id: row.subtopic_id, subtopic: row.subtopic_name });
         }
       }
     });
 
     syllabus.chapters = Array.from(chapterMap.values()).sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
 
+    // Coverage and planned-vs-actual dates per chapter
+    const { date: today } = getBranchClock(await getAttendanceSettings(pool, req.user.branchId));
+    await applySyllabusCoverage(pool, [syllabus], today);
+
     const response = {
       success: true,
       data: syllabus
@@ -1585,7 +1723,7 @@ router.get('/syllabus/:id', authenticateToken, async (req, res) => {
 });
 
 // PUT /api/syllabus/:id - Update syllabus
-router.put('/syllabus/:id', authenticateToken, async (req, res) => {
+router.put('/syllabus/:id', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
   console.log('🔥 PUT /api/syllabus/:id - Incoming request:', {
     headers: req.headers,
     params: req.params,
@@ -1642,33 +1780,50 @@ router.put('/syllabus/:id', authenticateToken, async (req, res) => {
       }
     }
 
+    // Subject teachers' changes wait for the department incharge's approval
+    const access = await getSyllabusAccess(pool, req.user, {
+      branchId: req.user.branchId,
+      classId: syllabusData.class_id,
+      subjectId: syllabusData.subject_id
+    });
+
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You do not teach this subject to this class.'
+      });
+    }
+
+    if (access === 'draft') {
+      return await respondWithSyllabusDraft(req, res, {
+        route: 'PUT /api/syllabus/:id',
+        syllabusId: id,
+        classId: syllabusData.class_id,
+        subjectId: syllabusData.subject_id,
+        chapters
+      });
+    }
+
     // Start transaction
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
 
-      // Delete existing chapters and subtopics
-      await client.query('DELETE FROM branch.syllabus_subtopics WHERE chapter_id IN (SELECT id FROM branch.syllabus_chapters WHERE syllabus_id = $1)', [id]);
-      await client.query('DELETE FROM branch.syllabus_chapters WHERE syllabus_id = $1', [id]);
-
-      // Insert new chapters and subtopics
-      for (const chapter of chapters) {
-        const chapterResult = await client.query(
-          'INSERT INTO branch.syllabus_chapters (syllabus_id, chapter_name, start_date, end_date) VALUES ($1, $2, $3, $4) RETURNING id',
-          [id, chapter.chapter, chapter.startDate, chapter.endDate]
-        );
-        const chapterId = chapterResult.rows[0].id;
+      // Replace chapters and subtopics (coverage carries over by chapter and subtopic name)
+      const coverage = await replaceSyllabusChapters(client, id, chapters);
 
-        for (const subtopic of chapter.subtopics) {
-          await client.query(
-            'INSERT INTO branch.syllabus_subtopics (chapter_id, subtopic_name) VALUES ($1, $2)',
-            [chapterId, subtopic]
-          );
-        }
-      }
+      const version = await recordSyllabusVersion(client, {
+        syllabus: syllabusData,
+        chapters,
+        changeType: 'update',
+        actor: req.user
+      });
 
-      // Update syllabus updated_at
-      await client.query('UPDATE branch.syllabi SET updated_at = NOW() WHERE id = $1', [id]);
+      // A hand-edited syllabus stops following its template so later template edits don't overwrite it
+      const detached = await client.query(
+        'UPDATE branch.syllabi SET template_linked = false WHERE id = $1 AND template_linked = true RETURNING id',
+        [id]
+      );
 
       await client.query('COMMIT');
 
@@ -1676,7 +1831,11 @@ router.put('/syllabus/:id', authenticateToken, async (req, res) => {
         success: true,
         data: {
           id,
-          chapters: chapters.length
+          chapters: chapters.length,
+          version: version.version_number,
+          coverage_kept: coverage.restored,
+          coverage_dropped: coverage.dropped,
+          template_detached: detached.rows.length > 0
         },
         message: 'Syllabus updated successfully'
       };
@@ -1706,7 +1865,7 @@ router.put('/syllabus/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/syllabus/:id - Delete syllabus
-router.delete('/syllabus/:id', authenticateToken, async (req, res) => {
+router.delete('/syllabus/:id', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), async (req, res) => {
   console.log('🔥 DELETE /api/syllabus/:id - Incoming request:', {
     headers: req.headers,
     params: req.params,
@@ -1737,11 +1896,37 @@ router.delete('/syllabus/:id', authenticateToken, async (req, res) => {
 
     const syllabusData = syllabusCheck.rows[0];
 
+    // Deleting is never drafted: only admins and the department incharge may do it
+    const access = await getSyllabusAccess(pool, req.user, {
+      branchId: req.user.branchId,
+      classId: syllabusData.class_id,
+      subjectId: syllabusData.subject_id
+    });
+
+    if (access !== 'publish') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Only admins and the department incharge can delete a syllabus.'
+      });
+    }
+
     // Start transaction
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
 
+      // Open drafts for the syllabus can no longer be applied
+      await client.query(
+        `UPDATE branch.syllabus_drafts SET
+           status = 'rejected',
+           reviewed_by = $2,
+           reviewed_at = NOW(),
+           review_comment = 'The syllabus was deleted',
+           updated_at = NOW()
+         WHERE syllabus_id = $1 AND status IN ('draft', 'submitted')`,
+        [id, req.user.userId]
+      );
+
       // Delete in correct order due to foreign keys
       await client.query('DELETE FROM branch.syllabus_subtopics WHERE chapter_id IN (SELECT id FROM branch.syllabus_chapters WHERE syllabus_id = $1)', [id]);
       await client.query('DELETE FROM branch.syllabus_chapters WHERE syllabus_id = $1', [id]);
@@ -1907,6 +2092,7 @@ router.get('/teachers/department-syllabus', authenticateToken, requireRole('teac
 
         if (!classEntry.subjects.has(row.subject_name)) {
           classEntry.subjects.set(row.subject_name, {
+            syllabusId: row.syllabus_id,
             subject: row.subject_name,
             chapters: []
           });
@@ -1921,16 +2107,19 @@ router.get('/teachers/department-syllabus', authenticateToken, requireRole('teac
 
           if (!chapter) {
             chapter = {
+              id: row.chapter_id,
               chapter: row.chapter_name,
               startDate: row.start_date?.toISOString().split('T')[0],
               endDate: row.end_date?.toISOString().split('T')[0],
-              subtopics: []
+              subtopics: [],
+              subtopic_details: []
             };
             subjectEntry.chapters.push(chapter);
           }
 
           if (row.subtopic_id) {
             chapter.subtopics.push(row.subtopic_name);
+            chapter.subtopic_details.push({ id: row.subtopic_id, subtopic: row.subtopic_name });
           }
         }
       });
@@ -1940,6 +2129,10 @@ router.get('/teachers/department-syllabus', authenticateToken, requireRole('teac
         subjects: Array.from(c.subjects.values())
       }));
 
+      // Coverage and planned-vs-actual dates per chapter
+      const { date: today } = getBranchClock(await getAttendanceSettings(pool, branchId));
+      await applySyllabusCoverage(pool, finalData.flatMap(c => c.subjects), today);
+
       res.json({
         success: true,
         data: finalData
@@ -2087,6 +2280,7 @@ router.get('/teachers/my-syllabus', authenticateToken, requireRole('teacher'),
 
         if (!classEntry.subjects.has(subjectKey)) {
           classEntry.subjects.set(subjectKey, {
+            syllabusId: row.syllabus_id,
             subject: row.subject_name,
             chapters: []
           });
@@ -2101,16 +2295,19 @@ router.get('/teachers/my-syllabus', authenticateToken, requireRole('teacher'),
 
           if (!chapter) {
             chapter = {
+              id: row.chapter_id,
               chapter: row.chapter_name,
               startDate: row.start_date?.toISOString().split('T')[0],
               endDate: row.end_date?.toISOString().split('T')[0],
-              subtopics: []
+              subtopics: [],
+              subtopic_details: []
             };
             subjectEntry.chapters.push(chapter);
           }
 
           if (row.subtopic_id) {
             chapter.subtopics.push(row.subtopic_name);
+            chapter.subtopic_details.push({ id: row.subtopic_id, subtopic: row.subtopic_name });
           }
         }
       });
@@ -2120,6 +2317,10 @@ router.get('/teachers/my-syllabus', authenticateToken, requireRole('teacher'),
         subjects: Array.from(classEntry.subjects.values())
       }));
 
+      // Coverage and planned-vs-actual dates per chapter
+      const { date: today } = getBranchClock(await getAttendanceSettings(pool, branchId));
+      await applySyllabusCoverage(pool, finalData.flatMap(c => c.subjects), today);
+
       res.json({
         success: true,
         data: finalData
@@ -2205,7 +2406,43 @@ router.get('/my-timetable', authenticateToken, async (req, res) => {
       });
     });
 
-    /* 4️⃣ Final response */
+    /* 4️⃣ Substitutions for ?date=YYYY-MM-DD apply to that date's weekday only */
+    const { date } = req.query;
+    let substitutions = [];
+
+    if (date) {
+      if (!isValidDateString(date)) {
+        return res.status(400).json({
+          success: false,
+          error: 'date must be in YYYY-MM-DD format',
+        });
+      }
+
+      substitutions = await getSubstitutionsForDate(pool, {
+        branchId,
+        date,
+        classId: class_id,
+      });
+
+      const dayKey = findDayKey(timetable.days, getWeekdayName(date));
+
+      substitutions.forEach((sub) => {
+        const cell = dayKey && formattedTimetable[dayKey]?.[sub.time_slot];
+        if (cell) {
+          formattedTimetable[dayKey][sub.time_slot] = {
+            ...cell,
+            faculty: sub.substitute_teacher_id,
+            substitute: {
+              teacher_id: sub.substitute_teacher_id,
+              teacher_name: sub.substitute_teacher_name,
+              absent_teacher_id: sub.absent_teacher_id,
+            },
+          };
+        }
+      });
+    }
+
+    /* 5️⃣ Final response */
     res.json({
       success: true,
       data: {
@@ -2213,6 +2450,7 @@ router.get('/my-timetable', authenticateToken, async (req, res) => {
         class_name,
         academic_year: timetable.academic_year,
         timetable: formattedTimetable,
+        ...(date && { date, substitutions_applied: substitutions.length }),
       },
     });
   } catch (error) {
@@ -2362,6 +2600,27 @@ router.put('/timetables/:id', authenticateToken, async (req, res) => {
       }
     }
 
+    // Reject faculty/room double-bookings unless the caller accepts them
+    let clashes = [];
+    if (timetable_data) {
+      clashes = await findTimetableClashes(pool, {
+        branchId: req.user.branchId,
+        academicYear: existingTimetable.rows[0].academic_year,
+        timetableData: timetable_data,
+        classId: existingTimetable.rows[0].class_id,
+        excludeTimetableId: id
+      });
+
+      if (clashes.length > 0 && !req.body.allow_clashes) {
+        console.log('⚠️ PUT /api/timetables/:id - Clashes found:', clashes.length);
+        return res.status(409).json({
+          success: false,
+          error: 'Timetable has faculty or room clashes with other classes',
+          clashes
+        });
+      }
+    }
+
     // Build update query dynamically
     const updateFields = [];
     const updateValues = [];
@@ -2417,7 +2676,8 @@ router.put('/timetables/:id', authenticateToken, async (req, res) => {
         academic_year: updatedTimetable.academic_year,
         updated_at: updatedTimetable.updated_at
       },
-      message: 'Timetable updated successfully'
+      message: 'Timetable updated successfully',
+      warnings: clashes
     };
 
     console.log('✅ PUT /api/timetables/:id - Success:', {
@@ -2778,6 +3038,23 @@ router.post('/timetables', authenticateToken, async (req, res) => {
       ? academicYearResult.rows[0].year_name
       : new Date().getFullYear() + '-' + (new Date().getFullYear() + 1);
 
+    // Reject faculty/room double-bookings unless the caller accepts them
+    const clashes = await findTimetableClashes(pool, {
+      branchId: req.user.branchId,
+      academicYear: academic_year,
+      timetableData: timetable_data,
+      classId: class_id || null
+    });
+
+    if (clashes.length > 0 && !req.body.allow_clashes) {
+      console.log('⚠️ POST /api/timetables - Clashes found:', clashes.length);
+      return res.status(409).json({
+        success: false,
+        error: 'Timetable has faculty or room clashes with other classes',
+        clashes
+      });
+    }
+
     // Insert new timetable
     const insertQuery = `
       INSERT INTO branch.timetables_master (
@@ -2812,7 +3089,8 @@ router.post('/timetables', authenticateToken, async (req, res) => {
         created_at: newTimetable.created_at,
         updated_at: newTimetable.updated_at
       },
-      message: 'Timetable created successfully'
+      message: 'Timetable created successfully',
+      warnings: clashes
     };
 
     console.log('✅ POST /api/timetables - Success:', {
@@ -3979,6 +4257,9 @@ router.delete('/timetable/:id', authenticateToken, async (req, res) => {
 });
 
 // POST /api/classes/bulk-create - Bulk create classes for new academic year
+// Optional flags: copyTimetables, copySyllabi (chapter dates shifted to the new year's start),
+// copyTeachers and dryRun (report only, nothing is written). Class teachers are carried over
+// unless copyTeachers is false, as before the flags existed; teachers who have left are dropped.
 router.post('/bulk-create', authenticateToken, async (req, res) => {
   console.log('🔥 POST /api/classes/bulk-create - Incoming request:', {
     headers: req.headers,
@@ -3988,7 +4269,13 @@ router.post('/bulk-create', authenticateToken, async (req, res) => {
   });
 
   try {
-    const { newAcademicYear } = req.body;
+    const {
+      newAcademicYear,
+      copyTimetables = false,
+      copySyllabi = false,
+      copyTeachers = true,
+      dryRun = false
+    } = req.body;
 
     if (!newAcademicYear || !newAcademicYear.trim()) {
       return res.status(400).json({
@@ -3997,11 +4284,16 @@ router.post('/bulk-create', authenticateToken, async (req, res) => {
       });
     }
 
-    console.log('📋 POST /api/classes/bulk-create - Creating classes for:', newAcademicYear);
+    console.log('📋 POST /api/classes/bulk-create - Creating classes for:', newAcademicYear, {
+      copyTimetables,
+      copySyllabi,
+      copyTeachers,
+      dryRun
+    });
 
     // Get current active academic year
     const activeYearResult = await pool.query(
-      'SELECT year_name FROM public.academic_years WHERE status = $1 AND branch_id = $2 ORDER BY start_date DESC LIMIT 1',
+      'SELECT year_name, start_date FROM public.academic_years WHERE status = $1 AND branch_id = $2 ORDER BY start_date DESC LIMIT 1',
       ['active', req.user.branchId]
     );
 
@@ -4033,6 +4325,10 @@ router.post('/bulk-create', authenticateToken, async (req, res) => {
 
     console.log('📊 POST /api/classes/bulk-create - Found classes to duplicate:', existingClasses.rows.length);
 
+    const sourceClassIds = existingClasses.rows.map(cls => cls.id);
+    const conflicts = [];
+    const warnings = [];
+
     // Check if new academic year already has classes
     const existingNewYearClasses = await pool.query(
       'SELECT COUNT(*) as count FROM branch.classes WHERE branch_id = $1 AND academic_year = $2',
@@ -4040,10 +4336,127 @@ router.post('/bulk-create', authenticateToken, async (req, res) => {
     );
 
     if (parseInt(existingNewYearClasses.rows[0].count) > 0) {
-      console.log('⚠️ POST /api/classes/bulk-create - Classes already exist for new year');
-      return res.status(409).json({
+      conflicts.push({
+        type: 'classes_exist',
+        message: 'Classes already exist for the specified academic year'
+      });
+    }
+
+    // Syllabus dates are shifted by the gap between the two year start dates
+    let shiftDays = 0;
+    if (copySyllabi) {
+      const targetYearResult = await pool.query(
+        `SELECT year_name, (start_date - $3::date) AS shift_days
+         FROM public.academic_years
+         WHERE year_name = $1 AND branch_id = $2
+         LIMIT 1`,
+        [newAcademicYear, req.user.branchId, activeYearResult.rows[0].start_date]
+      );
+
+      if (targetYearResult.rows.length === 0) {
+        conflicts.push({
+          type: 'target_year_missing',
+          message: `Academic year ${newAcademicYear} must be created before syllabi can be copied`
+        });
+      } else {
+        shiftDays = parseInt(targetYearResult.rows[0].shift_days) || 0;
+      }
+    }
+
+    // Class teachers who have since left are not carried over
+    const activeTeacherIds = new Set();
+    if (copyTeachers) {
+      const teacherIds = [...new Set(existingClasses.rows.map(cls => cls.teacher_id).filter(Boolean))];
+      if (teacherIds.length > 0) {
+        const activeTeachers = await pool.query(
+          `SELECT id FROM public.users
+           WHERE id = ANY($1::uuid[]) AND branch_id = $2 AND status = 'Active'`,
+          [teacherIds, req.user.branchId]
+        );
+        activeTeachers.rows.forEach(row => activeTeacherIds.add(row.id));
+      }
+
+      existingClasses.rows
+        .filter(cls => cls.teacher_id && !activeTeacherIds.has(cls.teacher_id))
+        .forEach(cls => warnings.push({
+          type: 'inactive_teacher',
+          class_name: cls.class_name,
+          teacher_id: cls.teacher_id,
+          message: 'Class teacher is no longer active and will not be assigned'
+        }));
+    }
+
+    const sourceTimetables = copyTimetables
+      ? (await pool.query(
+          `SELECT * FROM branch.timetables_master
+           WHERE branch_id = $1
+             AND (class_id = ANY($2::uuid[])
+               OR (class_id IS NULL AND class_name = ANY($3::text[]) AND academic_year = $4))`,
+          [req.user.branchId, sourceClassIds, existingClasses.rows.map(cls => cls.class_name), currentAcademicYear]
+        )).rows
+      : [];
+
+    const sourceSyllabi = copySyllabi
+      ? (await pool.query(
+          `SELECT s.id, s.class_id, s.subject_id,
+                  COUNT(DISTINCT ch.id) AS chapter_count,
+                  COUNT(st.id) AS subtopic_count
+           FROM branch.syllabi s
+           LEFT JOIN branch.syllabus_chapters ch ON ch.syllabus_id = s.id
+           LEFT JOIN branch.syllabus_subtopics st ON st.chapter_id = ch.id
+           WHERE s.class_id = ANY($1::uuid[])
+           GROUP BY s.id, s.class_id, s.subject_id`,
+          [sourceClassIds]
+        )).rows
+      : [];
+
+    const plan = existingClasses.rows.map(cls => ({
+      source_class_id: cls.id,
+      class_name: cls.class_name,
+      standard: cls.standard,
+      teacher_id: copyTeachers && activeTeacherIds.has(cls.teacher_id) ? cls.teacher_id : null,
+      timetable: sourceTimetables.some(t => t.class_id === cls.id || (!t.class_id && t.class_name === cls.class_name)),
+      syllabi: sourceSyllabi.filter(s => s.class_id === cls.id).length
+    }));
+
+    if (dryRun) {
+      console.log('✅ POST /api/classes/bulk-create - Dry run complete:', {
+        classes: plan.length,
+        conflicts: conflicts.length
+      });
+
+      return res.json({
+        success: true,
+        message: conflicts.length === 0
+          ? `Dry run: ${plan.length} classes would be created for ${newAcademicYear}`
+          : 'Dry run: rollover is blocked by conflicts',
+        data: {
+          dryRun: true,
+          sourceYear: currentAcademicYear,
+          targetYear: newAcademicYear,
+          classes: plan,
+          totals: {
+            classes: plan.length,
+            teachers: plan.filter(p => p.teacher_id).length,
+            timetables: plan.filter(p => p.timetable).length,
+            syllabi: sourceSyllabi.length,
+            chapters: sourceSyllabi.reduce((sum, s) => sum + parseInt(s.chapter_count), 0),
+            subtopics: sourceSyllabi.reduce((sum, s) => sum + parseInt(s.subtopic_count), 0)
+          },
+          syllabusDateShiftDays: copySyllabi ? shiftDays : null,
+          conflicts,
+          warnings,
+          can_create: conflicts.length === 0
+        }
+      });
+    }
+
+    if (conflicts.length > 0) {
+      console.log('⚠️ POST /api/classes/bulk-create - Blocked by conflicts:', conflicts);
+      return res.status(conflicts[0].type === 'classes_exist' ? 409 : 400).json({
         success: false,
-        error: 'Classes already exist for the specified academic year'
+        error: conflicts[0].message,
+        conflicts
       });
     }
 
@@ -4053,35 +4466,101 @@ router.post('/bulk-create', authenticateToken, async (req, res) => {
       await client.query('BEGIN');
 
       // Create new classes for the new academic year
-      const newClassesData = existingClasses.rows.map(cls => ({
-        branch_id: cls.branch_id,
-        class_name: cls.class_name,
-        grade: cls.grade,
-        standard: cls.standard,
-        teacher_id: cls.teacher_id,
-        semester: cls.semester,
-        capacity: cls.capacity,
-        room_number: cls.room_number,
-        schedule: cls.schedule,
-        academic_year: newAcademicYear,
-        status: 'Active'
-      }));
-
+      const newClassIds = new Map();
+      const newClassIdsByName = new Map();
       let createdCount = 0;
-      for (const classData of newClassesData) {
-        await client.query(`
+
+      for (const cls of existingClasses.rows) {
+        const inserted = await client.query(`
           INSERT INTO branch.classes (
             branch_id, class_name, grade, standard, teacher_id, 
             semester, capacity, room_number, schedule, academic_year, status
           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          RETURNING id
         `, [
-          classData.branch_id, classData.class_name, classData.grade, classData.standard,
-          classData.teacher_id, classData.semester, classData.capacity, classData.room_number,
-          classData.schedule, classData.academic_year, classData.status
+          cls.branch_id, cls.class_name, cls.grade, cls.standard,
+          plan[createdCount].teacher_id, cls.semester, cls.capacity, cls.room_number,
+          cls.schedule, newAcademicYear, 'Active'
         ]);
+        newClassIds.set(cls.id, inserted.rows[0].id);
+        newClassIdsByName.set(cls.class_name, inserted.rows[0].id);
         createdCount++;
       }
 
+      // Copy timetable grids onto the new classes
+      let timetablesCopied = 0;
+      for (const timetable of sourceTimetables) {
+        const newClassId = timetable.class_id
+          ? newClassIds.get(timetable.class_id)
+          : newClassIdsByName.get(timetable.class_name);
+
+        await client.query(`
+          INSERT INTO branch.timetables_master (
+            class_id, class_name, time_slots, days, timetable_data, branch_id, academic_year, created_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+          newClassId,
+          timetable.class_name,
+          JSON.stringify(timetable.time_slots),
+          JSON.stringify(timetable.days),
+          JSON.stringify(timetable.timetable_data),
+          req.user.branchId,
+          newAcademicYear,
+          req.user.userId
+        ]);
+        timetablesCopied++;
+      }
+
+      // Copy syllabus trees with chapter dates moved into the new year
+      let syllabiCopied = 0;
+      for (const syllabus of sourceSyllabi) {
+        const newSyllabus = await client.query(
+          'INSERT INTO branch.syllabi (class_id, subject_id) VALUES ($1, $2) RETURNING id, class_id, subject_id',
+          [newClassIds.get(syllabus.class_id), syllabus.subject_id]
+        );
+
+        const chapters = await client.query(
+          `SELECT id, chapter_name,
+                  start_date + $2::int AS start_date,
+                  end_date + $2::int AS end_date
+           FROM branch.syllabus_chapters
+           WHERE syllabus_id = $1
+           ORDER BY start_date, id`,
+          [syllabus.id, shiftDays]
+        );
+
+        const copiedChapters = [];
+        for (const chapter of chapters.rows) {
+          const newChapter = await client.query(
+            'INSERT INTO branch.syllabus_chapters (syllabus_id, chapter_name, start_date, end_date) VALUES ($1, $2, $3, $4) RETURNING id',
+            [newSyllabus.rows[0].id, chapter.chapter_name, chapter.start_date, chapter.end_date]
+          );
+
+          const subtopics = await client.query(
+            `INSERT INTO branch.syllabus_subtopics (chapter_id, subtopic_name)
+             SELECT $1, subtopic_name FROM branch.syllabus_subtopics WHERE chapter_id = $2 ORDER BY id
+             RETURNING subtopic_name`,
+            [newChapter.rows[0].id, chapter.id]
+          );
+
+          copiedChapters.push({
+            chapter: chapter.chapter_name,
+            startDate: toDateString(chapter.start_date),
+            endDate: toDateString(chapter.end_date),
+            subtopics: subtopics.rows.map(row => row.subtopic_name)
+          });
+        }
+
+        // Version 1 of the copy is the shifted start-of-term plan, so history, diff and restore work from day one
+        await recordSyllabusVersion(client, {
+          syllabus: newSyllabus.rows[0],
+          chapters: copiedChapters,
+          changeType: 'create',
+          actor: req.user
+        });
+        syllabiCopied++;
+      }
+
       await client.query('COMMIT');
 
       const response = {
@@ -4091,12 +4570,18 @@ router.post('/bulk-create', authenticateToken, async (req, res) => {
           createdCount,
           sourceYear: currentAcademicYear,
           targetYear: newAcademicYear,
-          totalClasses: createdCount
+          totalClasses: createdCount,
+          teachersAssigned: plan.filter(p => p.teacher_id).length,
+          timetablesCopied,
+          syllabiCopied,
+          warnings
         }
       };
 
       console.log('✅ POST /api/classes/bulk-create - Classes created successfully:', {
         createdCount,
+        timetablesCopied,
+        syllabiCopied,
         sourceYear: currentAcademicYear,
         targetYear: newAcademicYear
       });
@@ -4526,6 +5011,78 @@ router.get('/teachers/:teacherId/timetable', authenticateToken, async (req, res)
       });
     });
 
+    // ---------------------------------------------------------------
+    // Substitutions for ?date=YYYY-MM-DD (that date's weekday only)
+    // ---------------------------------------------------------------
+    const { date } = req.query;
+    let substitutions = [];
+
+    if (date) {
+      if (!isValidDateString(date)) {
+        return res.status(400).json({
+          success: false,
+          error: "date must be in YYYY-MM-DD format"
+        });
+      }
+
+      substitutions = await getSubstitutionsForDate(pool, {
+        branchId,
+        date,
+        teacherId: teacherUUID
+      });
+
+      const weekday = getWeekdayName(date);
+      const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+      const toMinutes = (time) => {
+        const [h, m] = String(time).split(':');
+        return parseInt(h) * 60 + parseInt(m);
+      };
+
+      substitutions.forEach(sub => {
+        const range = parseTimeSlot(sub.time_slot);
+
+        // Own period handed to a substitute
+        if (sub.absent_teacher_id === teacherUUID) {
+          (grouped[dayOfWeek]?.slots || []).forEach(slot => {
+            const overlaps = range
+              ? toMinutes(slot.start_time) < range.end && range.start < toMinutes(slot.end_time)
+              : false;
+            if (slot.class.id === sub.class_id && overlaps) {
+              slot.substituted_by = {
+                teacher_id: sub.substitute_teacher_id,
+                teacher_name: sub.substitute_teacher_name
+              };
+            }
+          });
+        }
+
+        // Period this teacher covers for someone else
+        if (sub.substitute_teacher_id === teacherUUID) {
+          if (!grouped[dayOfWeek]) {
+            grouped[dayOfWeek] = { day_of_week: dayOfWeek, day_name: weekday, slots: [] };
+          }
+          grouped[dayOfWeek].slots.push({
+            id: sub.id,
+            subject: sub.subject_name,
+            time_slot: sub.time_slot,
+            start_time: range ? `${String(Math.floor(range.start / 60)).padStart(2, '0')}:${String(range.start % 60).padStart(2, '0')}:00` : null,
+            end_time: range ? `${String(Math.floor(range.end / 60)).padStart(2, '0')}:${String(range.end % 60).padStart(2, '0')}:00` : null,
+            room_number: null,
+            is_substitution: true,
+            substituting_for: {
+              teacher_id: sub.absent_teacher_id,
+              teacher_name: sub.absent_teacher_name
+            },
+            class: {
+              id: sub.class_id,
+              class_name: sub.class_name
+            }
+          });
+          grouped[dayOfWeek].slots.sort((a, b) => String(a.start_time).localeCompare(String(b.start_time)));
+        }
+      });
+    }
+
     const timetable = Object.values(grouped)
       .sort((a, b) => a.day_of_week - b.day_of_week);
 
@@ -4542,7 +5099,8 @@ router.get('/teachers/:teacherId/timetable', authenticateToken, async (req, res)
         teacher: teacherInfo.rows[0],
         timetable,
         total_slots: slots.rows.length,
-        teaching_days: timetable.length
+        teaching_days: timetable.length,
+        ...(date && { date, substitutions })
       }
     });
 
@@ -5379,10 +5937,10 @@ router.post('/:id/attendance', authenticateToken, async (req, res) => {
       });
     }
 
-    // Validate student statuses
-    const validStatuses = ['Present', 'Absent', 'Late'];
+    // Validate student statuses (Excused comes from approved leave, or an admin)
+    const statuses = getWritableAttendanceStatuses(req.user.role);
     for (const student of students) {
-      if (!student.student_id || !validStatuses.includes(student.status)) {
+      if (!student.student_id || !statuses.includes(student.status)) {
         return res.status(400).json({
           success: false,
           error: `Invalid student data or status for student ${student.student_id}`
@@ -5390,58 +5948,129 @@ router.post('/:id/attendance', authenticateToken, async (req, res) => {
       }
     }
 
+    // Optional arrival time (HH:MM) for late arrivals
+    const invalidArrival = students.find(student => student.arrival_time && !ARRIVAL_TIME_PATTERN.test(student.arrival_time));
+    if (invalidArrival) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid arrival_time for student ${invalidArrival.student_id}. Use HH:MM`
+      });
+    }
+
+    // Students on approved leave that day are Excused rather than Absent
+    const onLeave = await getApprovedLeaveStudentIds(pool, {
+      studentIds: students.map(s => s.student_id),
+      date: attendance_date
+    });
+    students.forEach(student => {
+      if (student.status === 'Absent' && onLeave.has(student.student_id)) student.status = 'Excused';
+    });
+
+    // Past the branch lock window, changes become amendment requests for review
+    const attendanceSettings = await getAttendanceSettings(pool, req.user.branchId);
+    const isLocked = !LOCK_EXEMPT_ROLES.includes(req.user.role) &&
+      isAttendanceLocked(attendanceSettings, attendance_date);
+
+    if (isLocked) {
+      const { reason } = req.body;
+
+      if (!reason || !reason.trim()) {
+        console.log('⚠️ POST /api/classes/:id/attendance - Attendance locked:', attendance_date);
+        return res.status(409).json({
+          success: false,
+          locked: true,
+          error: `Attendance for ${attendance_date} is locked. Provide a reason to request an amendment.`
+        });
+      }
+
+      const existingRecords = await pool.query(
+        `SELECT id, student_id, status, remarks FROM branch.attendance
+         WHERE class_id = $1 AND attendance_date = $2 AND student_id = ANY($3::uuid[])`,
+        [classId, attendance_date, students.map(s => s.student_id)]
+      );
+      const existingByStudent = new Map(existingRecords.rows.map(r => [r.student_id, r]));
+
+      const amendmentClient = await pool.connect();
+      try {
+        await amendmentClient.query('BEGIN');
+
+        const amendments = await createAttendanceAmendments(amendmentClient, {
+          branchId: req.user.branchId,
+          classId,
+          attendanceDate: attendance_date,
+          reason: reason.trim(),
+          requestedBy: req.user.userId,
+          changes: students.map(student => {
+            const existing = existingByStudent.get(student.student_id);
+            return {
+              attendance_id: existing?.id,
+              student_id: student.student_id,
+              status: student.status,
+              remarks: student.remarks,
+              previous_status: existing?.status,
+              previous_remarks: existing?.remarks
+            };
+          })
+        });
+
+        await amendmentClient.query('COMMIT');
+
+        console.log('✅ POST /api/classes/:id/attendance - Amendment requests created:', {
+          classId,
+          attendance_date,
+          amendments: amendments.length
+        });
+
+        return res.status(202).json({
+          success: true,
+          message: `Attendance is locked; ${amendments.length} amendment request(s) sent for approval`,
+          data: {
+            classId,
+            className: classData.class_name,
+            attendance_date,
+            amendments
+          }
+        });
+      } catch (dbError) {
+        await amendmentClient.query('ROLLBACK');
+        console.log('🔴 POST /api/classes/:id/attendance - Amendment transaction error:', dbError);
+        throw dbError;
+      } finally {
+        amendmentClient.release();
+      }
+    }
+
     // Start transaction
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
 
-      let createdCount = 0;
-      let updatedCount = 0;
+      const { created: createdCount, updated: updatedCount, unchanged: unchangedCount, changedRecords } = await upsertClassAttendance(client, {
+        branchId: req.user.branchId,
+        classData,
+        attendanceDate: attendance_date,
+        students,
+        subject,
+        actor: req.user,
+        source: 'POST /:id/attendance'
+      });
 
-      for (const student of students) {
-        // Check if attendance record already exists
-        const existingRecord = await client.query(
-          'SELECT id FROM branch.attendance WHERE student_id = $1 AND attendance_date = $2 AND class_id = $3',
-          [student.student_id, attendance_date, classId]
-        );
+      await client.query('COMMIT');
 
-        if (existingRecord.rows.length > 0) {
-          // Update existing record
-          await client.query(
-            `UPDATE branch.attendance SET
-              status = $1,
-              subject = $2,
-              remarks = $3,
-              marked_at = NOW(),
-              updated_at = NOW()
-             WHERE id = $4`,
-            [student.status, subject || null, student.remarks || null, existingRecord.rows[0].id]
-          );
-          updatedCount++;
-        } else {
-          // Create new record
-          await client.query(
-            `INSERT INTO branch.attendance (
-              branch_id, student_id, class_id, teacher_id,
-              attendance_date, status, subject, remarks, academic_year
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-            [
-              req.user.branchId,
-              student.student_id,
-              classId,
-              req.user.userId,
-              attendance_date,
-              student.status,
-              subject || null,
-              student.remarks || null,
-              classData.academic_year
-            ]
-          );
-          createdCount++;
-        }
-      }
+      // Absence/late alerts to students and parents (when enabled for the branch)
+      const alerts = await processAttendanceAlerts(pool, {
+        branchId: req.user.branchId,
+        changes: changedRecords,
+        actorId: req.user.userId,
+        broadcast: req.app.get('broadcastNotificationToStudents')
+      });
 
-      await client.query('COMMIT');
+      await publishAttendanceEvents(pool, {
+        branchId: req.user.branchId,
+        changes: changedRecords,
+        publish: req.app.get('broadcastAttendanceEvent'),
+        source: 'POST /:id/attendance'
+      });
 
       const response = {
         success: true,
@@ -5453,7 +6082,9 @@ router.post('/:id/attendance', authenticateToken, async (req, res) => {
           subject: subject || null,
           created: createdCount,
           updated: updatedCount,
-          total_processed: students.length
+          unchanged: unchangedCount,
+          total_processed: students.length,
+          alerts
         }
       };
 
@@ -5482,6 +6113,217 @@ router.post('/:id/attendance', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/classes/:id/attendance/import?preview=true - Bulk attendance from a CSV of
+// roll_number/student_id, date, status (and optional remarks); preview applies nothing
+router.post('/:id/attendance/import', authenticateToken, requireRole('admin', 'superadmin', 'teacher'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  console.log('🔥 POST /api/classes/:id/attendance/import - Incoming request:', {
+    params: req.params,
+    query: req.query,
+    contentType: req.headers['content-type'],
+    userId: req.user.userId,
+    role: req.user.role
+  });
+
+  try {
+    const { id: classId } = req.params;
+    const body = req.body || {};
+    // Raw text/csv body, or JSON { csv, preview }
+    const csvText = typeof body === 'string' ? body : body.csv;
+    const preview = req.query.preview === 'true' || body.preview === true;
+
+    if (!csvText || typeof csvText !== 'string' || !csvText.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV content is required (text/csv body or a csv field)'
+      });
+    }
+
+    // 1️⃣ Class and permissions, as for POST /:id/attendance
+    const classCheck = await pool.query(
+      'SELECT id, class_name, teacher_id, academic_year FROM branch.classes WHERE id = $1 AND branch_id = $2::uuid',
+      [classId, req.user.branchId]
+    );
+
+    if (classCheck.rows.length === 0) {
+      console.log('⚠️ POST /api/classes/:id/attendance/import - Class not found:', classId);
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    const classData = classCheck.rows[0];
+
+    if (req.user.role === 'teacher' && classData.teacher_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. You are not the class teacher.'
+      });
+    }
+
+    // 2️⃣ Validate every row
+    const attendanceSettings = await getAttendanceSettings(pool, req.user.branchId);
+    const validation = await validateAttendanceImport(pool, {
+      branchId: req.user.branchId,
+      classData,
+      csvText,
+      user: req.user,
+      settings: attendanceSettings
+    });
+
+    if (validation.fatal) {
+      return res.status(400).json({
+        success: false,
+        error: validation.fatal
+      });
+    }
+
+    const { totalRows, entries, errors } = validation;
+
+    // 3️⃣ Group by date; students on approved leave are Excused rather than Absent
+    const byDate = new Map();
+    entries.forEach(entry => {
+      if (!byDate.has(entry.date)) byDate.set(entry.date, []);
+      byDate.get(entry.date).push(entry);
+    });
+
+    for (const [date, dateEntries] of byDate.entries()) {
+      const onLeave = await getApprovedLeaveStudentIds(pool, {
+        studentIds: dateEntries.map(e => e.student_id),
+        date
+      });
+      dateEntries.forEach(entry => {
+        if (entry.status === 'Absent' && onLeave.has(entry.student_id)) entry.status = 'Excused';
+      });
+    }
+
+    const summary = {
+      total_rows: totalRows,
+      valid_rows: entries.length,
+      error_rows: errors.length,
+      dates: byDate.size
+    };
+
+    if (preview) {
+      const existingResult = entries.length > 0
+        ? await pool.query(
+            `SELECT student_id, attendance_date, status FROM branch.attendance
+             WHERE class_id = $1 AND attendance_date = ANY($2::date[])`,
+            [classId, [...byDate.keys()]]
+          )
+        : { rows: [] };
+      const existing = new Map(existingResult.rows.map(r =>
+        [`${r.student_id}|${toDateString(r.attendance_date)}`, r.status]));
+
+      console.log('✅ POST /api/classes/:id/attendance/import - Preview:', summary);
+
+      return res.json({
+        success: true,
+        message: 'Preview only; nothing was applied',
+        data: {
+          preview: true,
+          summary,
+          rows: entries.map(entry => {
+            const current = existing.get(`${entry.student_id}|${entry.date}`);
+            return {
+              ...entry,
+              current_status: current || null,
+              action: !current ? 'create' : (current === entry.status ? 'unchanged' : 'update')
+            };
+          }),
+          errors
+        }
+      });
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid rows to import',
+        data: { summary, errors }
+      });
+    }
+
+    // 4️⃣ Apply the valid rows
+    const client = await pool.connect();
+    let createdCount = 0;
+    let updatedCount = 0;
+    let unchangedCount = 0;
+    const changedRecords = [];
+    try {
+      await client.query('BEGIN');
+
+      for (const [date, dateEntries] of byDate.entries()) {
+        const result = await upsertClassAttendance(client, {
+          branchId: req.user.branchId,
+          classData,
+          attendanceDate: date,
+          students: dateEntries,
+          actor: req.user,
+          source: 'POST /:id/attendance/import'
+        });
+        createdCount += result.created;
+        updatedCount += result.updated;
+        unchangedCount += result.unchanged;
+        changedRecords.push(...result.changedRecords);
+      }
+
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 POST /api/classes/:id/attendance/import - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    const alerts = await processAttendanceAlerts(pool, {
+      branchId: req.user.branchId,
+      changes: changedRecords,
+      actorId: req.user.userId,
+      broadcast: req.app.get('broadcastNotificationToStudents')
+    });
+
+    await publishAttendanceEvents(pool, {
+      branchId: req.user.branchId,
+      changes: changedRecords,
+      publish: req.app.get('broadcastAttendanceEvent'),
+      source: 'POST /:id/attendance/import'
+    });
+
+    console.log('✅ POST /api/classes/:id/attendance/import - Success:', {
+      classId,
+      ...summary,
+      created: createdCount,
+      updated: updatedCount
+    });
+
+    res.status(201).json({
+      success: true,
+      message: errors.length > 0
+        ? `Imported ${entries.length} row(s); ${errors.length} row(s) had errors and were skipped`
+        : `Imported ${entries.length} row(s)`,
+      data: {
+        preview: false,
+        summary: {
+          ...summary,
+          created: createdCount,
+          updated: updatedCount,
+          unchanged: unchangedCount
+        },
+        errors,
+        alerts
+      }
+    });
+  } catch (error) {
+    console.error('❌ POST /api/classes/:id/attendance/import - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import attendance'
+    });
+  }
+});
+
 // GET /api/classes/:id/attendance - View class attendance records
 router.get('/:id/attendance', authenticateToken, async (req, res) => {
   console.log('🔥 GET /api/classes/:id/attendance - Incoming request:', {
@@ -5568,7 +6410,7 @@ router.get('/:id/attendance', authenticateToken, async (req, res) => {
     }
 
     // Add status filter
-    if (status && ['Present', 'Absent', 'Late'].includes(status)) {
+    if (status && ALL_ATTENDANCE_STATUSES.includes(status)) {
       query += ` AND a.status = $${paramIndex}`;
       queryParams.push(status);
       paramIndex++;
@@ -5602,7 +6444,7 @@ router.get('/:id/attendance', authenticateToken, async (req, res) => {
       countParamIndex++;
     }
 
-    if (status && ['Present', 'Absent', 'Late'].includes(status)) {
+    if (status && ALL_ATTENDANCE_STATUSES.includes(status)) {
       countQuery += ` AND a.status = $${countParamIndex}`;
       countParams.push(status);
       countParamIndex++;
@@ -5624,6 +6466,8 @@ router.get('/:id/attendance', authenticateToken, async (req, res) => {
           status: record.status,
           subject: record.subject,
           remarks: record.remarks,
+          arrival_time: record.arrival_time,
+          minutes_late: record.minutes_late,
           marked_at: record.marked_at,
           student: {
             id: record.student_id,
@@ -5662,6 +6506,84 @@ router.get('/:id/attendance', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/classes/:id/attendance/register?month=YYYY-MM&format=csv|pdf - Monthly register export
+router.get('/:id/attendance/register', authenticateToken, async (req, res) => {
+  console.log('🔥 GET /api/classes/:id/attendance/register - Incoming request:', {
+    params: req.params,
+    query: req.query,
+    userId: req.user?.userId,
+    role: req.user?.role
+  });
+
+  try {
+    const { id: classId } = req.params;
+    const { month, format = 'csv' } = req.query;
+
+    if (!['admin', 'superadmin', 'teacher'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    if (!month || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        error: 'month is required (YYYY-MM)'
+      });
+    }
+
+    if (!['csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be csv or pdf'
+      });
+    }
+
+    const classCheck = await pool.query(
+      'SELECT id, class_name, academic_year FROM branch.classes WHERE id = $1 AND branch_id = $2::uuid',
+      [classId, req.user.branchId]
+    );
+
+    if (classCheck.rows.length === 0) {
+      console.log('⚠️ GET /api/classes/:id/attendance/register - Class not found:', classId);
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    const register = await buildAttendanceRegister(pool, {
+      branchId: req.user.branchId,
+      classData: classCheck.rows[0],
+      month
+    });
+
+    const fileName = `attendance-register-${register.class_name.replace(/[^A-Za-z0-9_-]+/g, '_')}-${month}.${format}`;
+
+    console.log('✅ GET /api/classes/:id/attendance/register - Success:', {
+      classId,
+      month,
+      format,
+      students: register.students.length
+    });
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'pdf') {
+      res.type('application/pdf').send(registerToPdf(register));
+    } else {
+      res.type('text/csv').send(registerToCsv(register));
+    }
+  } catch (error) {
+    console.error('❌ GET /api/classes/:id/attendance/register - Server error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export attendance register'
+    });
+  }
+});
+
 // GET /api/attendance/date/:date - Get attendance for specific date across classes
 router.get('/attendance/date/:date', authenticateToken, async (req, res) => {
   console.log('🔥 GET /api/attendance/date/:date - Incoming request:', {
@@ -5723,7 +6645,7 @@ router.get('/attendance/date/:date', authenticateToken, async (req, res) => {
     }
 
     // Add status filter if provided
-    if (status && ['Present', 'Absent', 'Late'].includes(status)) {
+    if (status && ALL_ATTENDANCE_STATUSES.includes(status)) {
       query += ` AND a.status = $${paramIndex}`;
       queryParams.push(status);
       paramIndex++;
@@ -5751,7 +6673,7 @@ router.get('/attendance/date/:date', authenticateToken, async (req, res) => {
       countParamIndex++;
     }
 
-    if (status && ['Present', 'Absent', 'Late'].includes(status)) {
+    if (status && ALL_ATTENDANCE_STATUSES.includes(status)) {
       countQuery += ` AND a.status = $${countParamIndex}`;
       countParams.push(status);
       countParamIndex++;
@@ -5769,6 +6691,8 @@ router.get('/attendance/date/:date', authenticateToken, async (req, res) => {
           status: record.status,
           subject: record.subject,
           remarks: record.remarks,
+          arrival_time: record.arrival_time,
+          minutes_late: record.minutes_late,
           marked_at: record.marked_at,
           student: {
             id: record.student_id,
@@ -5796,7 +6720,8 @@ router.get('/attendance/date/:date', authenticateToken, async (req, res) => {
         summary: {
           total_present: result.rows.filter(r => r.status === 'Present').length,
           total_absent: result.rows.filter(r => r.status === 'Absent').length,
-          total_late: result.rows.filter(r => r.status === 'Late').length
+          total_late: result.rows.filter(r => r.status === 'Late').length,
+          total_excused: result.rows.filter(r => r.status === 'Excused').length
         }
       }
     };
@@ -5819,107 +6744,120 @@ router.get('/attendance/date/:date', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/classes/attendance/today-summary?date= - Branch attendance for a day ("today" in the
+// branch timezone by default): totals for teachers, staff and students plus per-standard and per-class rows
 router.get('/attendance/today-summary', authenticateToken, async (req, res) => {
   try {
     const { branchId } = req.user;
+    const settings = await getAttendanceSettings(pool, branchId);
+    const date = req.query.date || getBranchClock(settings).date;
 
-    // ✅ Get today's date (YYYY-MM-DD)
-    const today = new Date().toISOString().split('T')[0];
-
-    // =====================================================
-    // 1️⃣ Get Active Teachers & Staff
-    // =====================================================
-    const usersResult = await pool.query(
-      `SELECT id, role
-       FROM public.users
-       WHERE branch_id = $1
-         AND role IN ('teacher', 'staff')
-         AND status = 'Active'
-         AND is_active = true`,
-      [branchId]
-    );
-
-    const teachers = usersResult.rows.filter(u => u.role === 'teacher');
-    const staff = usersResult.rows.filter(u => u.role === 'staff');
-
-    const teacherIds = teachers.map(t => t.id);
-    const staffIds = staff.map(s => s.id);
-
-    // =====================================================
-    // 2️⃣ Get Active Students
-    // =====================================================
-    const studentsResult = await pool.query(
-      `SELECT id
-       FROM branch.students
-       WHERE branch_id = $1
-         AND status = 'Active'`,
-      [branchId]
-    );
-
-    const studentIds = studentsResult.rows.map(s => s.id);
+    if (!isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date. Use a valid YYYY-MM-DD date'
+      });
+    }
 
     // =====================================================
-    // 3️⃣ Get Today's Employee Attendance
+    // 1️⃣ One aggregate over the branch's employees and students
     // =====================================================
-    const employeeAttendance = await pool.query(
-      `SELECT employee_id, status
-       FROM branch.employee_attendance
-       WHERE branch_id = $1
-         AND date = $2`,
-      [branchId, today]
+    const result = await pool.query(
+      `WITH employee_rows AS (
+         SELECT u.role, ea.status
+         FROM public.users u
+         LEFT JOIN branch.employee_attendance ea
+           ON ea.employee_id = u.id AND ea.branch_id = $1 AND ea.date = $2
+         WHERE u.branch_id = $1
+           AND u.role IN ('teacher', 'staff')
+           AND u.status = 'Active'
+           AND u.is_active = true
+       ),
+       student_rows AS (
+         SELECT s.class_id, c.class_name, c.standard, a.status
+         FROM branch.students s
+         LEFT JOIN branch.classes c ON s.class_id = c.id
+         LEFT JOIN branch.attendance a
+           ON a.student_id = s.id AND a.class_id = s.class_id AND a.attendance_date = $2
+         WHERE s.branch_id = $1
+           AND s.status = 'Active'
+       )
+       SELECT
+         role AS scope,
+         NULL::text AS standard,
+         NULL::uuid AS class_id,
+         NULL::text AS class_name,
+         COUNT(*) AS total,
+         COUNT(*) FILTER (WHERE status = 'Present') AS present,
+         COUNT(*) FILTER (WHERE status = 'Absent') AS absent,
+         COUNT(*) FILTER (WHERE status = 'Late') AS late,
+         COUNT(*) FILTER (WHERE status IN ('Excused', 'On Leave')) AS excused,
+         COUNT(status) AS marked
+       FROM employee_rows
+       GROUP BY role
+       UNION ALL
+       SELECT
+         CASE
+           WHEN GROUPING(standard) = 1 THEN 'students'
+           WHEN GROUPING(class_id) = 1 THEN 'standard'
+           ELSE 'class'
+         END AS scope,
+         standard::text,
+         class_id,
+         class_name::text,
+         COUNT(*),
+         COUNT(*) FILTER (WHERE status = 'Present'),
+         COUNT(*) FILTER (WHERE status = 'Absent'),
+         COUNT(*) FILTER (WHERE status = 'Late'),
+         COUNT(*) FILTER (WHERE status = 'Excused'),
+         COUNT(status)
+       FROM student_rows
+       GROUP BY GROUPING SETS ((standard, class_id, class_name), (standard), ())`,
+      [branchId, date]
     );
 
-    const empAttendanceData = employeeAttendance.rows;
-
-    // =====================================================
-    // 4️⃣ Get Today's Student Attendance
-    // =====================================================
-    const studentAttendance = await pool.query(
-      `SELECT student_id, status
-       FROM branch.attendance
-       WHERE attendance_date = $1`,
-      [today]
+    const holidayResult = await pool.query(
+      'SELECT 1 FROM branch.holidays WHERE branch_id = $1 AND date = $2',
+      [branchId, date]
     );
 
-    const studentAttendanceData = studentAttendance.rows;
-
     // =====================================================
-    // 5️⃣ Helper Function
+    // 2️⃣ Shape the rows
     // =====================================================
-    const calculateEmployeeStats = (ids) => {
-      const filtered = empAttendanceData.filter(a =>
-        ids.includes(a.employee_id)
-      );
-
-      return {
-        total: ids.length,
-        present: filtered.filter(a => a.status === 'Present').length,
-        absent: filtered.filter(a => a.status === 'Absent').length
-      };
-    };
-
-    const calculateStudentStats = () => {
-      const filtered = studentAttendanceData.filter(a =>
-        studentIds.includes(a.student_id)
-      );
-
-      return {
-        total: studentIds.length,
-        present: filtered.filter(a => a.status === 'Present').length,
-        absent: filtered.filter(a => a.status === 'Absent').length
-      };
-    };
+    const toStats = row => ({
+      total: parseInt(row?.total || 0),
+      present: parseInt(row?.present || 0),
+      absent: parseInt(row?.absent || 0),
+      late: parseInt(row?.late || 0),
+      excused: parseInt(row?.excused || 0),
+      marked: parseInt(row?.marked || 0)
+    });
+    const byScope = scope => result.rows.filter(row => row.scope === scope);
 
-    // =====================================================
-    // 6️⃣ Final Response
-    // =====================================================
     res.json({
       success: true,
-      date: today,
+      date,
+      timezone: settings.timezone,
+      holiday: holidayResult.rows.length > 0,
       data: {
-        teachers: calculateEmployeeStats(teacherIds),
-        staff: calculateEmployeeStats(staffIds),
-        students: calculateStudentStats()
+        teachers: toStats(byScope('teacher')[0]),
+        staff: toStats(byScope('staff')[0]),
+        students: toStats(byScope('students')[0]),
+        by_standard: byScope('standard')
+          .map(row => ({ standard: row.standard, ...toStats(row) }))
+          .sort((a, b) => String(a.standard).localeCompare(String(b.standard), undefined, { numeric: true })),
+        by_class: byScope('class')
+          .map(row => {
+            const stats = toStats(row);
+            return {
+              class_id: row.class_id,
+              class_name: row.class_name,
+              standard: row.standard,
+              ...stats,
+              attendance_marked: stats.marked > 0
+            };
+          })
+          .sort((a, b) => String(a.class_name).localeCompare(String(b.class_name), undefined, { numeric: true }))
       }
     });
 
@@ -5979,7 +6917,7 @@ router.get('/:classId/students/:studentId/attendance-summary', authenticateToken
 
     // 3️⃣ Get Attendance Records for this student
     const attendanceResult = await pool.query(
-      `SELECT id, attendance_date, status, remarks, subject, marked_at
+      `SELECT id, attendance_date, status, remarks, subject, arrival_time, minutes_late, marked_at
        FROM branch.attendance
        WHERE student_id = $1 AND class_id = $2
          AND attendance_date BETWEEN $3 AND $4
@@ -5999,6 +6937,16 @@ router.get('/:classId/students/:studentId/attendance-summary', authenticateToken
     const presentCount = attendanceRecords.filter(a => a.status === 'Present').length;
     const absentCount = attendanceRecords.filter(a => a.status === 'Absent').length;
     const lateCount = attendanceRecords.filter(a => a.status === 'Late').length;
+    const excusedCount = attendanceRecords.filter(a => a.status === 'Excused').length;
+    const minutesLate = attendanceRecords.reduce((sum, a) => sum + (a.status === 'Late' ? a.minutes_late || 0 : 0), 0);
+
+    // 5️⃣ Per-subject breakdown from period-wise sessions
+    const subjectAttendance = await getSubjectAttendance(pool, {
+      classId,
+      startDate,
+      endDate,
+      studentId
+    });
 
     res.json({
       success: true,
@@ -6018,10 +6966,11 @@ router.get('/:classId/students/:studentId/attendance-summary', authenticateToken
           present: presentCount,
           absent: absentCount,
           late: lateCount,
-          attendance_percentage: workingDays > 0
-            ? ((presentCount / workingDays) * 100).toFixed(2)
-            : "0.00"
+          total_minutes_late: minutesLate,
+          excused: excusedCount,
+          attendance_percentage: calculateAttendancePercentage(presentCount, workingDays, excusedCount)
         },
+        subject_attendance: subjectAttendance.get(studentId) || [],
         attendance_records: attendanceRecords
       }
     });
@@ -6133,6 +7082,13 @@ router.get('/:classId/students-attendance-summary', authenticateToken, async (re
     const holidaysCount = holidayDates.length;
     const workingDays = totalDays - holidaysCount;
 
+    // Per-subject breakdown from period-wise sessions
+    const subjectAttendance = await getSubjectAttendance(pool, {
+      classId,
+      startDate,
+      endDate
+    });
+
     // =====================================
     // 6️⃣ Build Student Summary
     // =====================================
@@ -6150,6 +7106,10 @@ router.get('/:classId/students-attendance-summary', authenticateToken, async (re
         a => a.status === 'Absent'
       ).length;
 
+      const excusedCount = studentAttendance.filter(
+        a => a.status === 'Excused'
+      ).length;
+
       return {
         student_id: student.student_id,
         name: student.name,
@@ -6159,10 +7119,9 @@ router.get('/:classId/students-attendance-summary', authenticateToken, async (re
         working_days: workingDays,
         present: presentCount,
         absent: absentCount,
-        attendance_percentage:
-          workingDays > 0
-            ? ((presentCount / workingDays) * 100).toFixed(2)
-            : "0.00"
+        excused: excusedCount,
+        attendance_percentage: calculateAttendancePercentage(presentCount, workingDays, excusedCount),
+        subject_attendance: subjectAttendance.get(student.id) || []
       };
     });
 
@@ -6201,7 +7160,7 @@ router.put('/attendance/:id', authenticateToken, async (req, res) => {
 
   try {
     const { id } = req.params;
-    const { status, remarks, subject } = req.body;
+    const { status, remarks, subject, arrival_time } = req.body;
 
     console.log('📋 PUT /api/attendance/:id - Updating attendance:', {
       id,
@@ -6240,33 +7199,154 @@ router.put('/attendance/:id', authenticateToken, async (req, res) => {
     }
 
     // Validate required fields
-    if (!status || !['Present', 'Absent', 'Late'].includes(status)) {
+    const statuses = getWritableAttendanceStatuses(req.user.role);
+    if (!status || !statuses.includes(status)) {
       return res.status(400).json({
         success: false,
-        error: 'Valid status (Present, Absent, Late) is required'
+        error: `Valid status (${statuses.join(', ')}) is required`
+      });
+    }
+
+    if (arrival_time && !ARRIVAL_TIME_PATTERN.test(arrival_time)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid arrival_time. Use HH:MM'
+      });
+    }
+
+    // Past the branch lock window, the change becomes an amendment request for review
+    const attendanceSettings = await getAttendanceSettings(pool, req.user.branchId);
+    if (!LOCK_EXEMPT_ROLES.includes(req.user.role) &&
+        isAttendanceLocked(attendanceSettings, recordData.attendance_date)) {
+      const { reason } = req.body;
+
+      if (!reason || !reason.trim()) {
+        console.log('⚠️ PUT /api/attendance/:id - Attendance locked:', id);
+        return res.status(409).json({
+          success: false,
+          locked: true,
+          error: 'This attendance record is locked. Provide a reason to request an amendment.'
+        });
+      }
+
+      // Replacing the teacher's earlier pending request and adding this one happen together
+      const amendmentClient = await pool.connect();
+      let amendments;
+      try {
+        await amendmentClient.query('BEGIN');
+
+        amendments = await createAttendanceAmendments(amendmentClient, {
+          branchId: req.user.branchId,
+          classId: recordData.class_id,
+          attendanceDate: recordData.attendance_date,
+          reason: reason.trim(),
+          requestedBy: req.user.userId,
+          changes: [{
+            attendance_id: recordData.id,
+            student_id: recordData.student_id,
+            status,
+            remarks,
+            previous_status: recordData.status,
+            previous_remarks: recordData.remarks
+          }]
+        });
+
+        await amendmentClient.query('COMMIT');
+      } catch (dbError) {
+        await amendmentClient.query('ROLLBACK');
+        console.log('🔴 PUT /api/attendance/:id - Amendment transaction error:', dbError);
+        throw dbError;
+      } finally {
+        amendmentClient.release();
+      }
+
+      console.log('✅ PUT /api/attendance/:id - Amendment request created:', {
+        attendanceId: id,
+        amendments: amendments.length
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: amendments.length > 0
+          ? 'Attendance is locked; amendment request sent for approval'
+          : 'No changes to request',
+        data: amendments[0] || null
       });
     }
 
+    // Minutes late against the class's first period, when an arrival time is given. Without
+    // arrival_time in the body, a record that stays Late keeps its stored arrival and minutes late.
+    const keepArrival = arrival_time === undefined && status === 'Late';
+    const firstPeriodStart = arrival_time
+      ? await getFirstPeriodStart(pool, { branchId: req.user.branchId, classId: recordData.class_id })
+      : null;
+    const arrivalTime = keepArrival ? recordData.arrival_time : arrival_time || null;
+    const minutesLate = keepArrival
+      ? recordData.minutes_late
+      : computeMinutesLate(status, arrival_time, firstPeriodStart);
+
     // Update attendance record
     const updateQuery = `
       UPDATE branch.attendance SET
         status = $1,
         remarks = $2,
         subject = $3,
+        arrival_time = $4,
+        minutes_late = $5,
         updated_at = NOW()
-      WHERE id = $4 AND branch_id = $5
+      WHERE id = $6 AND branch_id = $7
       RETURNING *
     `;
 
-    const result = await pool.query(updateQuery, [
-      status,
-      remarks || null,
-      subject || null,
-      id,
-      req.user.branchId
-    ]);
+    // Update and audit entry succeed or fail together
+    const client = await pool.connect();
+    let updatedRecord;
+    try {
+      await client.query('BEGIN');
 
-    const updatedRecord = result.rows[0];
+      const result = await client.query(updateQuery, [
+        status,
+        remarks || null,
+        subject || null,
+        arrivalTime,
+        minutesLate,
+        id,
+        req.user.branchId
+      ]);
+
+      updatedRecord = result.rows[0];
+
+      await recordAttendanceHistory(client, {
+        attendance: updatedRecord,
+        action: 'update',
+        oldStatus: recordData.status,
+        oldRemarks: recordData.remarks,
+        actor: req.user,
+        source: 'PUT /attendance/:id'
+      });
+
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      console.log('🔴 PUT /api/attendance/:id - Transaction error:', dbError);
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    await processAttendanceAlerts(pool, {
+      branchId: req.user.branchId,
+      changes: [{ attendance: updatedRecord, oldStatus: recordData.status }],
+      actorId: req.user.userId,
+      broadcast: req.app.get('broadcastNotificationToStudents')
+    });
+
+    await publishAttendanceEvents(pool, {
+      branchId: req.user.branchId,
+      changes: [{ attendance: updatedRecord, oldStatus: recordData.status }],
+      publish: req.app.get('broadcastAttendanceEvent'),
+      source: 'PUT /attendance/:id'
+    });
 
     const response = {
       success: true,
@@ -6276,6 +7356,8 @@ router.put('/attendance/:id', authenticateToken, async (req, res) => {
         status: updatedRecord.status,
         subject: updatedRecord.subject,
         remarks: updatedRecord.remarks,
+        arrival_time: updatedRecord.arrival_time,
+        minutes_late: updatedRecord.minutes_late,
         marked_at: updatedRecord.marked_at,
         updated_at: updatedRecord.updated_at
       },
@@ -6386,7 +7468,7 @@ router.get('/:classId/students/:studentId/attendance', authenticateToken, async
       idx++;
     }
 
-    if (status && ['Present', 'Absent', 'Late'].includes(status)) {
+    if (status && ALL_ATTENDANCE_STATUSES.includes(status)) {
       query += ` AND a.status = $${idx}`;
       params.push(status);
       idx++;
@@ -6421,7 +7503,7 @@ router.get('/:classId/students/:studentId/attendance', authenticateToken, async
       cidx++;
     }
 
-    if (status && ['Present', 'Absent', 'Late'].includes(status)) {
+    if (status && ALL_ATTENDANCE_STATUSES.includes(status)) {
       countQuery += ` AND a.status = $${cidx}`;
       countParams.push(status);
       cidx++;
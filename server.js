@@ -4,6 +4,19 @@ const dotenv = require('dotenv');
 const router = require('./router');
 const http = require('http');
 const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
+const { registerJob, startScheduler } = require('./utils/scheduler');
+const { runAbsenteeismCheck } = require('./utils/absenteeism');
+const { runAttendanceReminders } = require('./utils/attendanceReminders');
+const { runSyllabusLagDigest } = require('./utils/syllabusLag');
+const pool = require('./config/database');
+const {
+  getCheckinCode,
+  toSessionResponse,
+  findCheckinSession,
+  canManageCheckinSession,
+  runCheckinSessionClose
+} = require('./utils/attendanceCheckin');
 
 // Load environment variables
 dotenv.config();
@@ -20,6 +33,113 @@ const wss = new WebSocket.Server({ server, path: '/ws' });
 // Store active WebSocket connections by student ID
 const activeConnections = new Map();
 
+// Attendance dashboard subscribers by branch ID
+const attendanceSubscribers = new Map();
+const ATTENDANCE_SUBSCRIBER_ROLES = ['admin', 'superadmin'];
+
+// Check-in screens by session ID: { session, sockets, timer }
+const checkinSubscribers = new Map();
+const CHECKIN_SUBSCRIBER_ROLES = ['admin', 'superadmin', 'teacher'];
+
+function removeAttendanceSubscriber(ws) {
+  const subscribers = attendanceSubscribers.get(ws.attendanceBranchId);
+  if (!subscribers) return;
+  subscribers.delete(ws);
+  if (subscribers.size === 0) attendanceSubscribers.delete(ws.attendanceBranchId);
+  ws.attendanceBranchId = null;
+}
+
+function sendToCheckinSubscribers(sessionId, message) {
+  const entry = checkinSubscribers.get(sessionId);
+  if (!entry) return 0;
+
+  const payload = JSON.stringify({ ...message, timestamp: new Date().toISOString() });
+  let sentCount = 0;
+  entry.sockets.forEach(ws => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(payload);
+      sentCount++;
+    }
+  });
+  return sentCount;
+}
+
+// Push the current code, then again each time it rotates until the session expires
+function pushCheckinCode(sessionId) {
+  const entry = checkinSubscribers.get(sessionId);
+  if (!entry) return;
+
+  const now = Date.now();
+  if (new Date(entry.session.expires_at).getTime() <= now) {
+    entry.timer = null;
+    return;
+  }
+
+  const code = getCheckinCode(entry.session, now);
+  sendToCheckinSubscribers(sessionId, { type: 'checkin_code', data: code });
+  entry.timer = setTimeout(() => pushCheckinCode(sessionId), new Date(code.rotates_at).getTime() - now);
+}
+
+function removeCheckinSubscriber(ws) {
+  const entry = checkinSubscribers.get(ws.checkinSessionId);
+  if (!entry) return;
+  entry.sockets.delete(ws);
+  if (entry.sockets.size === 0) {
+    clearTimeout(entry.timer);
+    checkinSubscribers.delete(ws.checkinSessionId);
+  }
+  ws.checkinSessionId = null;
+}
+
+async function subscribeToCheckin(ws, data) {
+  let user;
+  try {
+    user = jwt.verify(data.token, process.env.JWT_SECRET);
+  } catch (err) {
+    ws.send(JSON.stringify({ type: 'error', channel: 'checkin', error: 'Invalid or expired token' }));
+    return;
+  }
+
+  const session = CHECKIN_SUBSCRIBER_ROLES.includes(user.role) && data.sessionId
+    ? await findCheckinSession(pool, data.sessionId, user.branchId)
+    : null;
+
+  if (!session || !canManageCheckinSession(user, session)) {
+    ws.send(JSON.stringify({ type: 'error', channel: 'checkin', error: 'Access denied' }));
+    return;
+  }
+
+  if (session.status !== 'open') {
+    ws.send(JSON.stringify({ type: 'checkin_closed', data: toSessionResponse(session) }));
+    return;
+  }
+
+  removeCheckinSubscriber(ws);
+  let entry = checkinSubscribers.get(session.id);
+  if (!entry) {
+    entry = { session, sockets: new Set(), timer: null };
+    checkinSubscribers.set(session.id, entry);
+  }
+  entry.sockets.add(ws);
+  ws.checkinSessionId = session.id;
+
+  console.log(`🔢 User ${user.userId} subscribed to check-in codes for session ${session.id}`);
+
+  ws.send(JSON.stringify({
+    type: 'subscribed',
+    channel: 'checkin',
+    sessionId: session.id,
+    timestamp: new Date().toISOString()
+  }));
+
+  // The first subscriber starts the rotation; later ones get the current code straight away
+  if (entry.timer) {
+    ws.send(JSON.stringify({ type: 'checkin_code', data: getCheckinCode(session), timestamp: new Date().toISOString() }));
+  } else {
+    pushCheckinCode(session.id);
+  }
+}
+
 // WebSocket connection handler
 wss.on('connection', (ws, req) => {
   console.log('🔌 New WebSocket connection established');
@@ -42,6 +162,54 @@ wss.on('connection', (ws, req) => {
           timestamp: new Date().toISOString()
         }));
       }
+
+      // Handle attendance dashboard subscription (admins, authenticated with their API token)
+      if (data.type === 'subscribe' && data.channel === 'attendance') {
+        let user;
+        try {
+          user = jwt.verify(data.token, process.env.JWT_SECRET);
+        } catch (err) {
+          ws.send(JSON.stringify({ type: 'error', channel: 'attendance', error: 'Invalid or expired token' }));
+          return;
+        }
+
+        if (!ATTENDANCE_SUBSCRIBER_ROLES.includes(user.role) || !user.branchId) {
+          ws.send(JSON.stringify({ type: 'error', channel: 'attendance', error: 'Access denied' }));
+          return;
+        }
+
+        removeAttendanceSubscriber(ws);
+        if (!attendanceSubscribers.has(user.branchId)) attendanceSubscribers.set(user.branchId, new Set());
+        attendanceSubscribers.get(user.branchId).add(ws);
+        ws.attendanceBranchId = user.branchId;
+
+        console.log(`📊 User ${user.userId} subscribed to attendance events for branch ${user.branchId}`);
+
+        ws.send(JSON.stringify({
+          type: 'subscribed',
+          channel: 'attendance',
+          branchId: user.branchId,
+          timestamp: new Date().toISOString()
+        }));
+      }
+
+      if (data.type === 'unsubscribe' && data.channel === 'attendance') {
+        removeAttendanceSubscriber(ws);
+        ws.send(JSON.stringify({ type: 'unsubscribed', channel: 'attendance' }));
+      }
+
+      // Handle check-in code subscription (the teacher's screen for one session)
+      if (data.type === 'subscribe' && data.channel === 'checkin') {
+        subscribeToCheckin(ws, data).catch(error => {
+          console.error('WebSocket check-in subscription error:', error);
+          ws.send(JSON.stringify({ type: 'error', channel: 'checkin', error: 'Subscription failed' }));
+        });
+      }
+
+      if (data.type === 'unsubscribe' && data.channel === 'checkin') {
+        removeCheckinSubscriber(ws);
+        ws.send(JSON.stringify({ type: 'unsubscribed', channel: 'checkin' }));
+      }
       
     } catch (error) {
       console.error('WebSocket message error:', error);
@@ -49,6 +217,8 @@ wss.on('connection', (ws, req) => {
   });
   
   ws.on('close', () => {
+    removeAttendanceSubscriber(ws);
+    removeCheckinSubscriber(ws);
     if (ws.studentId) {
       activeConnections.delete(ws.studentId);
       console.log(`📱 Student ${ws.studentId} disconnected from WebSocket`);
@@ -85,9 +255,48 @@ function broadcastNotificationToStudents(studentIds, notification) {
   return sentCount;
 }
 
+// Function to push an attendance event to a branch's dashboard subscribers
+function broadcastAttendanceEvent(branchId, event) {
+  const subscribers = attendanceSubscribers.get(branchId);
+  if (!subscribers) return 0;
+
+  const message = JSON.stringify({
+    type: 'attendance_event',
+    data: event,
+    timestamp: new Date().toISOString()
+  });
+
+  let sentCount = 0;
+  subscribers.forEach(ws => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(message);
+      sentCount++;
+    }
+  });
+  return sentCount;
+}
+
+// Function to push a check-in update (e.g. a student checked in) to a session's screens
+function broadcastCheckinEvent(sessionId, event) {
+  return sendToCheckinSubscribers(sessionId, { type: 'checkin_event', data: event });
+}
+
+// Function to tell a session's screens it has closed and stop rotating its code
+function endCheckinSession(sessionId, session) {
+  const entry = checkinSubscribers.get(sessionId);
+  if (!entry) return;
+  sendToCheckinSubscribers(sessionId, { type: 'checkin_closed', data: session });
+  clearTimeout(entry.timer);
+  entry.sockets.forEach(ws => { ws.checkinSessionId = null; });
+  checkinSubscribers.delete(sessionId);
+}
+
 // Make broadcast functions available to routers
 app.set('broadcastNotificationToStudent', broadcastNotificationToStudent);
 app.set('broadcastNotificationToStudents', broadcastNotificationToStudents);
+app.set('broadcastAttendanceEvent', broadcastAttendanceEvent);
+app.set('broadcastCheckinEvent', broadcastCheckinEvent);
+app.set('endCheckinSession', endCheckinSession);
 app.set('activeConnections', activeConnections);
 
 // Middleware
@@ -112,7 +321,9 @@ app.get('/health', (req, res) => {
 app.get('/ws/status', (req, res) => {
   res.json({
     activeConnections: activeConnections.size,
-    connectedStudents: Array.from(activeConnections.keys())
+    connectedStudents: Array.from(activeConnections.keys()),
+    attendanceSubscribers: Array.from(attendanceSubscribers.values()).reduce((sum, set) => sum + set.size, 0),
+    checkinSessions: checkinSubscribers.size
   });
 });
 
@@ -125,9 +336,31 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Background jobs
+const ABSENTEEISM_CHECK_INTERVAL_MINUTES = parseInt(process.env.ABSENTEEISM_CHECK_INTERVAL_MINUTES) || 360;
+registerJob('absenteeism-check', ABSENTEEISM_CHECK_INTERVAL_MINUTES * 60 * 1000, runAbsenteeismCheck);
+// Reminders go out on the first run after each branch's cut-off time
+const ATTENDANCE_REMINDER_INTERVAL_MINUTES = parseInt(process.env.ATTENDANCE_REMINDER_INTERVAL_MINUTES) || 5;
+registerJob('attendance-reminders', ATTENDANCE_REMINDER_INTERVAL_MINUTES * 60 * 1000, runAttendanceReminders);
+// Expired check-in sessions are closed (and non-attendees marked Absent) on the next run
+const CHECKIN_CLOSE_INTERVAL_MINUTES = parseInt(process.env.CHECKIN_CLOSE_INTERVAL_MINUTES) || 1;
+registerJob('checkin-session-close', CHECKIN_CLOSE_INTERVAL_MINUTES * 60 * 1000, runCheckinSessionClose);
+// Each recipient gets at most one digest per day (in the branch timezone), however often this runs
+const SYLLABUS_LAG_DIGEST_INTERVAL_MINUTES = parseInt(process.env.SYLLABUS_LAG_DIGEST_INTERVAL_MINUTES) || 60;
+registerJob('syllabus-lag-digest', SYLLABUS_LAG_DIGEST_INTERVAL_MINUTES * 60 * 1000, runSyllabusLagDigest);
+
 server.listen(PORT, () => {
   console.log(`🚀 ClassesService running on port ${PORT}`);
   console.log(`🔌 WebSocket server available at ws://localhost:${PORT}/ws`);
+  startScheduler({ broadcastNotificationToStudents, broadcastAttendanceEvent, endCheckinSession });
 });
 
-module.exports = { app, server, broadcastNotificationToStudent, broadcastNotificationToStudents };
\ No newline at end of file
+module.exports = {
+  app,
+  server,
+  broadcastNotificationToStudent,
+  broadcastNotificationToStudents,
+  broadcastAttendanceEvent,
+  broadcastCheckinEvent,
+  endCheckinSession
+};
\ No newline at end of file
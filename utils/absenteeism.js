@@ -0,0 +1,119 @@
+// Chronic absenteeism: students whose rolling attendance falls below the branch threshold
+const pool = require('../config/database');
+const { getAttendanceSettings, getBranchClock, getWindowStart, computeAttendanceRates } = require('./attendance');
+const { createNotice } = require('./notices');
+
+// Helper: Students below the threshold over the window ending on endDate
+async function findAtRiskStudents(db, { branchId, threshold, windowDays, endDate, teacherId = null, classIds = null }) {
+  const startDate = getWindowStart(endDate, windowDays);
+  const rates = await computeAttendanceRates(db, { branchId, startDate, endDate, teacherId, classIds });
+
+  return {
+    startDate,
+    endDate,
+    ...rates,
+    atRisk: rates.students.filter(s => parseFloat(s.attendance_percentage) < threshold)
+  };
+}
+
+// Scheduled job: open a flag and notify the class teacher when a student newly drops below
+// the threshold; close the flag once they recover so a later drop notifies again
+async function runAbsenteeismCheck({ broadcastNotificationToStudents } = {}) {
+  const branchesResult = await pool.query(
+    'SELECT branch_id FROM branch.attendance_settings WHERE absenteeism_alerts_enabled = true'
+  );
+
+  for (const { branch_id: branchId } of branchesResult.rows) {
+    const settings = await getAttendanceSettings(pool, branchId);
+    const threshold = parseFloat(settings.absenteeism_threshold);
+    const report = await findAtRiskStudents(pool, {
+      branchId,
+      threshold,
+      windowDays: settings.absenteeism_window_days,
+      endDate: getBranchClock(settings).date
+    });
+
+    const openFlags = await pool.query(
+      'SELECT id, student_id FROM branch.absenteeism_flags WHERE branch_id = $1 AND cleared_at IS NULL',
+      [branchId]
+    );
+    const flaggedIds = new Set(openFlags.rows.map(f => f.student_id));
+    const atRiskIds = new Set(report.atRisk.map(s => s.student_id));
+
+    // Recovered students
+    const recovered = openFlags.rows.filter(f => !atRiskIds.has(f.student_id)).map(f => f.id);
+    if (recovered.length > 0) {
+      await pool.query(
+        'UPDATE branch.absenteeism_flags SET cleared_at = NOW() WHERE id = ANY($1::uuid[])',
+        [recovered]
+      );
+    }
+
+    // Newly at risk, grouped per class teacher so each gets one notice
+    const newlyAtRisk = report.atRisk.filter(s => !flaggedIds.has(s.student_id));
+    const byTeacher = new Map();
+    newlyAtRisk.forEach(student => {
+      const key = student.class_teacher_id || 'none';
+      if (!byTeacher.has(key)) byTeacher.set(key, []);
+      byTeacher.get(key).push(student);
+    });
+
+    for (const [teacherId, students] of byTeacher.entries()) {
+      let noticeId = null;
+
+      if (teacherId !== 'none') {
+        const title = `${students.length} student(s) below ${threshold}% attendance`;
+        const content = [
+          `Attendance over the last ${settings.absenteeism_window_days} days (${report.startDate} to ${report.endDate}):`,
+          ...students.map(s => `- ${s.name} (${s.class_name}, roll ${s.roll_number || '-'}): ${s.attendance_percentage}%`)
+        ].join('\n');
+
+        const notice = await createNotice(pool, {
+          title,
+          content,
+          priority: 'high',
+          audienceType: 'teachers',
+          createdBy: teacherId,
+          branchId,
+          userIds: [teacherId]
+        });
+        noticeId = notice.noticeId;
+
+        if (broadcastNotificationToStudents) {
+          broadcastNotificationToStudents([teacherId], {
+            id: noticeId,
+            title,
+            content,
+            priority: 'high',
+            publish_date: new Date().toISOString(),
+            audience_type: 'teachers',
+            category: 'chronic_absenteeism'
+          });
+        }
+      }
+
+      for (const student of students) {
+        await pool.query(
+          `INSERT INTO branch.absenteeism_flags (
+            branch_id, student_id, class_id, attendance_percentage, threshold, notice_id
+          ) VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT DO NOTHING`,
+          [branchId, student.student_id, student.class_id, student.attendance_percentage, threshold,
+            noticeId === null ? null : String(noticeId)]
+        );
+      }
+    }
+
+    console.log('✅ Absenteeism check:', {
+      branchId,
+      atRisk: report.atRisk.length,
+      newlyFlagged: newlyAtRisk.length,
+      recovered: recovered.length
+    });
+  }
+}
+
+module.exports = {
+  findAtRiskStudents,
+  runAbsenteeismCheck
+};
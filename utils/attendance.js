@@ -0,0 +1,542 @@
+// Attendance helpers shared by the attendance endpoints
+const { getFirstPeriodStart } = require('./timetable');
+
+// Roles that may edit attendance past the lock window without an amendment request
+const LOCK_EXEMPT_ROLES = ['admin', 'superadmin'];
+
+// Statuses teachers record. Excused is written by the leave flow (or an admin) and is kept
+// out of the percentage maths.
+const ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late'];
+const ALL_ATTENDANCE_STATUSES = [...ATTENDANCE_STATUSES, 'Excused'];
+
+// Teacher and staff statuses; On Leave plays the part of Excused in the percentage maths
+const EMPLOYEE_ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late', 'On Leave'];
+
+const DEFAULT_ATTENDANCE_SETTINGS = {
+  lock_window_hours: null,
+  absence_alerts_enabled: false,
+  absence_alert_statuses: ['Absent', 'Late'],
+  absence_alert_template: '{student_name} was marked {status} in {class_name} on {date}.',
+  absence_alert_grace_minutes: 30,
+  absenteeism_threshold: 75,
+  absenteeism_window_days: 30,
+  absenteeism_alerts_enabled: false,
+  attendance_reminders_enabled: false,
+  attendance_reminder_cutoff: '10:30',
+  timezone: null
+};
+
+// Helper: Statuses a user may send when writing attendance
+function getWritableAttendanceStatuses(role) {
+  return LOCK_EXEMPT_ROLES.includes(role) ? ALL_ATTENDANCE_STATUSES : ATTENDANCE_STATUSES;
+}
+
+// Helper: Branch attendance settings with defaults for anything not configured
+async function getAttendanceSettings(db, branchId) {
+  const result = await db.query(
+    'SELECT * FROM branch.attendance_settings WHERE branch_id = $1',
+    [branchId]
+  );
+
+  const settings = { ...DEFAULT_ATTENDANCE_SETTINGS };
+  Object.entries(result.rows[0] || {}).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) settings[key] = value;
+  });
+
+  return settings;
+}
+
+// Helper: A day's attendance locks once lock_window_hours have passed since the end of that day
+function isAttendanceLocked(settings, attendanceDate, now = new Date()) {
+  if (settings.lock_window_hours === null || settings.lock_window_hours === undefined) return false;
+
+  const day = attendanceDate instanceof Date
+    ? new Date(attendanceDate.getFullYear(), attendanceDate.getMonth(), attendanceDate.getDate())
+    : new Date(`${String(attendanceDate).slice(0, 10)}T00:00:00`);
+
+  const lockAt = day.getTime() + (24 + Number(settings.lock_window_hours)) * 60 * 60 * 1000;
+  return now.getTime() > lockAt;
+}
+
+// Helper: Queue amendment requests for locked records; unchanged rows are skipped and an
+// earlier pending request for the same student/day by the same requester is replaced
+async function createAttendanceAmendments(db, {
+  branchId,
+  classId,
+  attendanceDate,
+  changes,
+  reason,
+  requestedBy
+}) {
+  const created = [];
+
+  for (const change of changes) {
+    const unchanged = change.attendance_id &&
+      change.status === change.previous_status &&
+      (change.remarks || null) === (change.previous_remarks || null);
+    if (unchanged) continue;
+
+    await db.query(
+      `DELETE FROM branch.attendance_amendments
+       WHERE class_id = $1 AND student_id = $2 AND attendance_date = $3
+         AND requested_by = $4 AND status = 'pending'`,
+      [classId, change.student_id, attendanceDate, requestedBy]
+    );
+
+    const result = await db.query(
+      `INSERT INTO branch.attendance_amendments (
+        branch_id, attendance_id, class_id, student_id, attendance_date,
+        requested_status, requested_remarks, previous_status, previous_remarks,
+        reason, requested_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [
+        branchId,
+        change.attendance_id || null,
+        classId,
+        change.student_id,
+        attendanceDate,
+        change.status,
+        change.remarks || null,
+        change.previous_status || null,
+        change.previous_remarks || null,
+        reason,
+        requestedBy
+      ]
+    );
+
+    created.push(result.rows[0]);
+  }
+
+  return created;
+}
+
+// Helper: Append one entry to the attendance audit trail
+async function recordAttendanceHistory(db, {
+  attendance,
+  action,
+  oldStatus = null,
+  oldRemarks = null,
+  actor,
+  source,
+  amendmentId = null
+}) {
+  await db.query(
+    `INSERT INTO branch.attendance_history (
+      attendance_id, branch_id, class_id, student_id, attendance_date, action,
+      old_status, new_status, old_remarks, new_remarks,
+      actor_id, actor_role, source, amendment_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+    [
+      attendance.id,
+      attendance.branch_id,
+      attendance.class_id,
+      attendance.student_id,
+      attendance.attendance_date,
+      action,
+      oldStatus,
+      attendance.status,
+      oldRemarks,
+      attendance.remarks,
+      actor?.userId || null,
+      actor?.role || null,
+      source,
+      amendmentId
+    ]
+  );
+}
+
+const ARRIVAL_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Helper: Minutes after the first period started, for a Late entry with an 'HH:MM[:SS]' arrival time
+function computeMinutesLate(status, arrivalTime, firstPeriodStart) {
+  if (status !== 'Late' || !arrivalTime || firstPeriodStart === null || firstPeriodStart === undefined) return null;
+
+  const [hours, minutes] = String(arrivalTime).split(':').map(Number);
+  return Math.max(0, hours * 60 + minutes - firstPeriodStart);
+}
+
+// Helper: 'HH:MM[:SS]' (or a stored TIME) as 'HH:MM:SS', or null
+function toTimeString(value) {
+  return value ? String(value).padEnd(8, ':00') : null;
+}
+
+// Helper: Create or update one day's register entries for a class (the write behind
+// POST /:id/attendance). Returns counts and the changed records for alert processing; entries
+// that match the stored record are counted as unchanged and left alone.
+async function upsertClassAttendance(db, {
+  branchId,
+  classData,
+  attendanceDate,
+  students,
+  subject = null,
+  actor,
+  source
+}) {
+  let created = 0;
+  let updated = 0;
+  let unchanged = 0;
+  const changedRecords = [];
+
+  // Only looked up when someone's arrival time was recorded
+  const firstPeriodStart = students.some(student => student.arrival_time)
+    ? await getFirstPeriodStart(db, { branchId, classId: classData.id })
+    : null;
+
+  for (const student of students) {
+    // Check if attendance record already exists
+    const existingRecord = await db.query(
+      `SELECT id, status, subject, remarks, arrival_time, minutes_late
+       FROM branch.attendance WHERE student_id = $1 AND attendance_date = $2 AND class_id = $3`,
+      [student.student_id, attendanceDate, classData.id]
+    );
+
+    if (existingRecord.rows.length > 0) {
+      // As with PUT /attendance/:id, a record that stays Late keeps its stored arrival and
+      // minutes late when the entry carries no arrival_time
+      const keepArrival = !student.arrival_time && student.status === 'Late';
+      const arrivalTime = keepArrival ? existingRecord.rows[0].arrival_time : student.arrival_time || null;
+      const minutesLate = keepArrival
+        ? existingRecord.rows[0].minutes_late
+        : computeMinutesLate(student.status, arrivalTime, firstPeriodStart);
+
+      // Re-posting an unchanged entry writes nothing, so the student's history only shows real changes
+      const current = existingRecord.rows[0];
+      if (current.status === student.status &&
+        (current.subject || null) === (subject || null) &&
+        (current.remarks || null) === (student.remarks || null) &&
+        toTimeString(current.arrival_time) === toTimeString(arrivalTime)) {
+        unchanged++;
+        continue;
+      }
+
+      // Update existing record
+      const result = await db.query(
+        `UPDATE branch.attendance SET
+          status = $1,
+          subject = $2,
+          remarks = $3,
+          arrival_time = $4,
+          minutes_late = $5,
+          marked_at = NOW(),
+          updated_at = NOW()
+         WHERE id = $6
+         RETURNING *`,
+        [student.status, subject || null, student.remarks || null, arrivalTime, minutesLate, existingRecord.rows[0].id]
+      );
+      await recordAttendanceHistory(db, {
+        attendance: result.rows[0],
+        action: 'update',
+        oldStatus: existingRecord.rows[0].status,
+        oldRemarks: existingRecord.rows[0].remarks,
+        actor,
+        source
+      });
+      changedRecords.push({ attendance: result.rows[0], oldStatus: existingRecord.rows[0].status });
+      updated++;
+    } else {
+      const arrivalTime = student.arrival_time || null;
+      const minutesLate = computeMinutesLate(student.status, arrivalTime, firstPeriodStart);
+
+      // Create new record
+      const result = await db.query(
+        `INSERT INTO branch.attendance (
+          branch_id, student_id, class_id, teacher_id,
+          attendance_date, status, subject, remarks, academic_year,
+          arrival_time, minutes_late
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *`,
+        [
+          branchId,
+          student.student_id,
+          classData.id,
+          actor.userId,
+          attendanceDate,
+          student.status,
+          subject || null,
+          student.remarks || null,
+          classData.academic_year,
+          arrivalTime,
+          minutesLate
+        ]
+      );
+      await recordAttendanceHistory(db, {
+        attendance: result.rows[0],
+        action: 'insert',
+        actor,
+        source
+      });
+      changedRecords.push({ attendance: result.rows[0], oldStatus: null });
+      created++;
+    }
+  }
+
+  return { created, updated, unchanged, changedRecords };
+}
+
+// Helper: Whether a user may see a student's attendance (staff, the student, or a linked parent)
+async function canViewStudentAttendance(db, user, studentId) {
+  if (['admin', 'superadmin', 'teacher'].includes(user.role)) return true;
+
+  if (user.role === 'student') {
+    const result = await db.query(
+      'SELECT 1 FROM branch.students WHERE id = $1 AND user_id = $2',
+      [studentId, user.userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  if (user.role === 'parent') {
+    const result = await db.query(
+      'SELECT 1 FROM branch.parent_student_relations WHERE student_id = $1 AND parent_id = $2',
+      [studentId, user.userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  return false;
+}
+
+// Helper: Format a DATE column or YYYY-MM-DD string as YYYY-MM-DD
+function toDateString(date) {
+  if (date instanceof Date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+  return String(date).slice(0, 10);
+}
+
+// Helper: Whether a value is a real YYYY-MM-DD date; round-tripping rejects dates like 2026-02-30
+function isValidDateString(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && toDateString(new Date(`${value}T00:00:00`)) === value;
+}
+
+// Helper: Whether a string is an IANA timezone name the runtime knows
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper: Today's date and the minutes past midnight in the branch timezone
+// (server local time when the branch has none configured)
+function getBranchClock(settings, now = new Date()) {
+  if (!settings.timezone) {
+    return { date: toDateString(now), minutes: now.getHours() * 60 + now.getMinutes() };
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: settings.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+// Helper: Start of a rolling window of `days` days ending on endDate (inclusive)
+function getWindowStart(endDate, days) {
+  const start = new Date(`${endDate}T00:00:00`);
+  start.setDate(start.getDate() - (days - 1));
+  return toDateString(start);
+}
+
+// Helper: Present days as a percentage of the working days the student was expected in
+// (excused days are taken out of the denominator instead of counting as absences)
+function calculateAttendancePercentage(present, workingDays, excused = 0) {
+  const expectedDays = workingDays - excused;
+  return expectedDays > 0
+    ? ((present / expectedDays) * 100).toFixed(2)
+    : "0.00";
+}
+
+// Helper: Attendance percentage of every active student in the active year over a date range,
+// using the same maths as the summaries: present / (days in range - holidays)
+async function computeAttendanceRates(db, { branchId, startDate, endDate, classIds = null, teacherId = null }) {
+  const holidayResult = await db.query(
+    `SELECT COUNT(*) AS count FROM branch.holidays
+     WHERE branch_id = $1 AND date BETWEEN $2 AND $3`,
+    [branchId, startDate, endDate]
+  );
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const totalDays = Math.floor((end - start) / (1000 * 60 * 60 * 24)) + 1;
+  const holidaysCount = parseInt(holidayResult.rows[0].count);
+  const workingDays = totalDays - holidaysCount;
+
+  const result = await db.query(
+    `SELECT
+       s.id AS student_id,
+       s.student_id AS student_number,
+       s.roll_number,
+       COALESCE(u.name, 'Unknown Student') AS name,
+       c.id AS class_id,
+       c.class_name,
+       c.standard,
+       c.teacher_id AS class_teacher_id,
+       teacher.name AS class_teacher_name,
+       COUNT(a.id) FILTER (WHERE a.status = 'Present') AS present,
+       COUNT(a.id) FILTER (WHERE a.status = 'Absent') AS absent,
+       COUNT(a.id) FILTER (WHERE a.status = 'Late') AS late,
+       COUNT(a.id) FILTER (WHERE a.status = 'Excused') AS excused
+     FROM branch.students s
+     JOIN branch.classes c ON s.class_id = c.id
+     LEFT JOIN public.users u ON s.user_id = u.id
+     LEFT JOIN public.users teacher ON c.teacher_id = teacher.id
+     LEFT JOIN branch.attendance a
+       ON a.student_id = s.id AND a.class_id = c.id AND a.attendance_date BETWEEN $2 AND $3
+     WHERE s.branch_id = $1
+       AND s.status = 'Active'
+       AND c.status = 'Active'
+       AND c.academic_year = (
+         SELECT year_name FROM public.academic_years
+         WHERE status = 'active' AND branch_id = $1
+         ORDER BY start_date DESC LIMIT 1
+       )
+       AND ($4::uuid[] IS NULL OR c.id = ANY($4::uuid[]))
+       AND ($5::uuid IS NULL OR c.teacher_id = $5::uuid)
+     GROUP BY s.id, u.name, c.id, teacher.name
+     ORDER BY c.class_name, s.roll_number`,
+    [branchId, startDate, endDate, classIds, teacherId]
+  );
+
+  const students = result.rows.map(row => {
+    const present = parseInt(row.present);
+    const excused = parseInt(row.excused);
+    return {
+      ...row,
+      present,
+      absent: parseInt(row.absent),
+      late: parseInt(row.late),
+      excused,
+      attendance_percentage: calculateAttendancePercentage(present, workingDays, excused)
+    };
+  });
+
+  return { totalDays, holidays: holidaysCount, workingDays, students };
+}
+
+// Helper: Active classes of the active academic year with no register entries on a date
+// (none on holidays). Pass teacherId to limit the list to one class teacher.
+async function findUnmarkedClasses(db, { branchId, date, teacherId = null }) {
+  const holidayResult = await db.query(
+    'SELECT 1 FROM branch.holidays WHERE branch_id = $1 AND date = $2',
+    [branchId, date]
+  );
+
+  if (holidayResult.rows.length > 0) return { holiday: true, classes: [] };
+
+  const result = await db.query(
+    `SELECT
+       c.id AS class_id,
+       c.class_name,
+       c.standard,
+       c.teacher_id AS class_teacher_id,
+       teacher.name AS class_teacher_name,
+       (SELECT COUNT(*) FROM branch.students s
+        WHERE s.class_id = c.id AND s.status = 'Active') AS active_students
+     FROM branch.classes c
+     LEFT JOIN public.users teacher ON c.teacher_id = teacher.id
+     WHERE c.branch_id = $1
+       AND c.status = 'Active'
+       AND c.academic_year = (
+         SELECT year_name FROM public.academic_years
+         WHERE status = 'active' AND branch_id = $1
+         ORDER BY start_date DESC LIMIT 1
+       )
+       AND ($3::uuid IS NULL OR c.teacher_id = $3::uuid)
+       AND NOT EXISTS (
+         SELECT 1 FROM branch.attendance a
+         WHERE a.class_id = c.id AND a.attendance_date = $2
+       )
+     ORDER BY c.class_name`,
+    [branchId, date, teacherId]
+  );
+
+  return {
+    holiday: false,
+    classes: result.rows.map(row => ({ ...row, active_students: parseInt(row.active_students) }))
+  };
+}
+
+// Helper: Per-subject attendance from period sessions, as a Map of student id → subject rows
+async function getSubjectAttendance(db, { classId, startDate, endDate, studentId = null }) {
+  const result = await db.query(
+    `SELECT
+       pa.student_id,
+       s.subject_id,
+       sub.name AS subject_name,
+       COUNT(*) AS sessions,
+       COUNT(*) FILTER (WHERE pa.status = 'Present') AS present,
+       COUNT(*) FILTER (WHERE pa.status = 'Absent') AS absent,
+       COUNT(*) FILTER (WHERE pa.status = 'Late') AS late,
+       COUNT(*) FILTER (WHERE pa.status = 'Excused') AS excused
+     FROM branch.period_attendance pa
+     JOIN branch.attendance_sessions s ON pa.session_id = s.id
+     LEFT JOIN branch.subjects sub ON s.subject_id = sub.id
+     WHERE s.class_id = $1
+       AND s.session_date BETWEEN $2 AND $3
+       AND ($4::uuid IS NULL OR pa.student_id = $4::uuid)
+     GROUP BY pa.student_id, s.subject_id, sub.name
+     ORDER BY sub.name`,
+    [classId, startDate, endDate, studentId]
+  );
+
+  const byStudent = new Map();
+
+  result.rows.forEach(row => {
+    const sessions = parseInt(row.sessions);
+    const present = parseInt(row.present);
+    const excused = parseInt(row.excused);
+
+    if (!byStudent.has(row.student_id)) byStudent.set(row.student_id, []);
+    byStudent.get(row.student_id).push({
+      subject_id: row.subject_id,
+      subject_name: row.subject_name,
+      sessions,
+      present,
+      absent: parseInt(row.absent),
+      late: parseInt(row.late),
+      excused,
+      attendance_percentage: calculateAttendancePercentage(present, sessions, excused)
+    });
+  });
+
+  return byStudent;
+}
+
+module.exports = {
+  LOCK_EXEMPT_ROLES,
+  ATTENDANCE_STATUSES,
+  ALL_ATTENDANCE_STATUSES,
+  EMPLOYEE_ATTENDANCE_STATUSES,
+  getWritableAttendanceStatuses,
+  getAttendanceSettings,
+  isAttendanceLocked,
+  createAttendanceAmendments,
+  recordAttendanceHistory,
+  ARRIVAL_TIME_PATTERN,
+  computeMinutesLate,
+  upsertClassAttendance,
+  canViewStudentAttendance,
+  toDateString,
+  isValidDateString,
+  isValidTimezone,
+  getBranchClock,
+  getWindowStart,
+  calculateAttendancePercentage,
+  computeAttendanceRates,
+  findUnmarkedClasses,
+  getSubjectAttendance
+};
@@ -0,0 +1,123 @@
+// Absence/late alerts to the student and linked parents when attendance is marked
+const { getAttendanceSettings, toDateString } = require('./attendance');
+const { createNotice, withdrawNotice } = require('./notices');
+
+// Helper: Fill {placeholders} in the branch template
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match);
+}
+
+// Send, replace or withdraw alerts for changed attendance records.
+// changes: [{ attendance: <branch.attendance row>, oldStatus }]
+// Never throws: alerting must not fail the attendance write that triggered it.
+async function processAttendanceAlerts(db, { branchId, changes, actorId, broadcast }) {
+  try {
+    const settings = await getAttendanceSettings(db, branchId);
+    if (!settings.absence_alerts_enabled || changes.length === 0) return { sent: 0, withdrawn: 0 };
+
+    const alertStatuses = settings.absence_alert_statuses;
+    const graceMs = settings.absence_alert_grace_minutes * 60 * 1000;
+    let sent = 0;
+    let withdrawn = 0;
+
+    for (const { attendance, oldStatus } of changes) {
+      if (attendance.status === oldStatus) continue;
+
+      const activeAlert = await db.query(
+        `SELECT * FROM branch.attendance_alerts
+         WHERE attendance_id = $1 AND state = 'sent'
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [attendance.id]
+      );
+      const alert = activeAlert.rows[0];
+
+      // Corrected inside the grace period: take the earlier alert back
+      if (alert && Date.now() - new Date(alert.created_at).getTime() <= graceMs) {
+        await withdrawNotice(db, alert.notice_id);
+        await db.query(
+          `UPDATE branch.attendance_alerts SET state = 'withdrawn', withdrawn_at = NOW() WHERE id = $1`,
+          [alert.id]
+        );
+        withdrawn++;
+
+        if (broadcast) {
+          broadcast(alert.recipient_user_ids, { id: alert.notice_id, withdrawn: true });
+        }
+      }
+
+      if (!alertStatuses.includes(attendance.status)) continue;
+
+      const studentResult = await db.query(
+        `SELECT s.user_id, COALESCE(u.name, 'Your child') AS student_name, c.class_name
+         FROM branch.students s
+         LEFT JOIN public.users u ON s.user_id = u.id
+         LEFT JOIN branch.classes c ON c.id = $2
+         WHERE s.id = $1`,
+        [attendance.student_id, attendance.class_id]
+      );
+      if (studentResult.rows.length === 0) continue;
+
+      const student = studentResult.rows[0];
+      const parentsResult = await db.query(
+        'SELECT parent_id FROM branch.parent_student_relations WHERE student_id = $1',
+        [attendance.student_id]
+      );
+      const userIds = [student.user_id, ...parentsResult.rows.map(r => r.parent_id)].filter(Boolean);
+      if (userIds.length === 0) continue;
+
+      const date = toDateString(attendance.attendance_date);
+      const content = renderTemplate(settings.absence_alert_template, {
+        student_name: student.student_name,
+        status: attendance.status,
+        date,
+        class_name: student.class_name,
+        remarks: attendance.remarks || ''
+      });
+      const title = `Attendance alert: ${student.student_name} marked ${attendance.status}`;
+
+      const { noticeId, recipients } = await createNotice(db, {
+        title,
+        content,
+        priority: attendance.status === 'Absent' ? 'high' : 'medium',
+        createdBy: actorId,
+        branchId,
+        userIds
+      });
+
+      await db.query(
+        `INSERT INTO branch.attendance_alerts (
+          branch_id, attendance_id, student_id, attendance_date, alerted_status, notice_id, recipient_user_ids
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [branchId, attendance.id, attendance.student_id, date, attendance.status, String(noticeId), JSON.stringify(recipients)]
+      );
+      sent++;
+
+      if (broadcast) {
+        broadcast(recipients, {
+          id: noticeId,
+          title,
+          content,
+          priority: attendance.status === 'Absent' ? 'high' : 'medium',
+          publish_date: new Date().toISOString(),
+          audience_type: 'students',
+          category: 'attendance_alert'
+        });
+      }
+    }
+
+    if (sent > 0 || withdrawn > 0) {
+      console.log('📨 Attendance alerts processed:', { branchId, sent, withdrawn });
+    }
+
+    return { sent, withdrawn };
+  } catch (error) {
+    console.error('❌ Attendance alerts - Error:', error.message);
+    return { sent: 0, withdrawn: 0, error: error.message };
+  }
+}
+
+module.exports = {
+  processAttendanceAlerts
+};
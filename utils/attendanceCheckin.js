@@ -0,0 +1,206 @@
+// Student self check-in: rotating codes, session close and the expiry job
+//
+// Codes are 6-digit HMAC-based one-time codes derived from the session secret and the current
+// 30-second step. The previous step's code is still accepted so a student typing it as it
+// rotates is not rejected.
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { upsertClassAttendance } = require('./attendance');
+const { getApprovedLeaveStudentIds } = require('./leaveRequests');
+const { processAttendanceAlerts } = require('./attendanceAlerts');
+const { publishAttendanceEvents } = require('./attendanceEvents');
+
+const CHECKIN_CODE_STEP_MS = 30 * 1000;
+const CHECKIN_CODE_DIGITS = 6;
+const MAX_FAILED_CHECKIN_ATTEMPTS = 5;
+const CLOSE_SOURCE = 'checkin-session-close';
+
+function generateCheckinSecret() {
+  return crypto.randomBytes(20).toString('hex');
+}
+
+// Helper: Code for one 30-second step (HOTP-style dynamic truncation)
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** CHECKIN_CODE_DIGITS).padStart(CHECKIN_CODE_DIGITS, '0');
+}
+
+// Helper: The code currently shown for a session, and when it rotates
+function getCheckinCode(session, now = Date.now()) {
+  const step = Math.floor(now / CHECKIN_CODE_STEP_MS);
+  const rotatesAt = (step + 1) * CHECKIN_CODE_STEP_MS;
+  return {
+    session_id: session.id,
+    code: codeForStep(session.secret, step),
+    rotates_at: new Date(rotatesAt).toISOString(),
+    seconds_remaining: Math.ceil((rotatesAt - now) / 1000),
+    expires_at: new Date(session.expires_at).toISOString()
+  };
+}
+
+function verifyCheckinCode(secret, code, now = Date.now()) {
+  const submitted = Buffer.from(String(code || '').trim());
+  const step = Math.floor(now / CHECKIN_CODE_STEP_MS);
+  return [step, step - 1].some(s => {
+    const expected = Buffer.from(codeForStep(secret, s));
+    return submitted.length === expected.length && crypto.timingSafeEqual(submitted, expected);
+  });
+}
+
+// Helper: Session fields safe to return to clients
+function toSessionResponse(session) {
+  const { secret, ...rest } = session;
+  return rest;
+}
+
+// Helper: Session with its class, scoped to the branch
+async function findCheckinSession(db, sessionId, branchId) {
+  const result = await db.query(
+    `SELECT cs.*, c.class_name, c.teacher_id AS class_teacher_id
+     FROM branch.attendance_checkin_sessions cs
+     JOIN branch.classes c ON cs.class_id = c.id
+     WHERE cs.id = $1 AND cs.branch_id = $2::uuid`,
+    [sessionId, branchId]
+  );
+  return result.rows[0] || null;
+}
+
+// Helper: Admins, the teacher who opened the session, or the class teacher
+function canManageCheckinSession(user, session) {
+  return ['admin', 'superadmin'].includes(user.role) ||
+    session.opened_by === user.userId ||
+    session.class_teacher_id === user.userId;
+}
+
+// Helper: Close a claimed session inside a transaction. Active students with no register entry
+// for the day are marked Absent (Excused when on approved leave); existing entries are kept.
+async function closeCheckinSession(db, { session, actor = null }) {
+  const classResult = await db.query(
+    'SELECT id, class_name, academic_year FROM branch.classes WHERE id = $1',
+    [session.class_id]
+  );
+  const classData = classResult.rows[0];
+
+  const missingResult = await db.query(
+    `SELECT s.id
+     FROM branch.students s
+     WHERE s.class_id = $1 AND s.status = 'Active'
+       AND NOT EXISTS (
+         SELECT 1 FROM branch.attendance a
+         WHERE a.student_id = s.id AND a.class_id = $1 AND a.attendance_date = $2
+       )`,
+    [session.class_id, session.attendance_date]
+  );
+  const studentIds = missingResult.rows.map(r => r.id);
+
+  let changedRecords = [];
+  if (classData && studentIds.length > 0) {
+    const onLeave = await getApprovedLeaveStudentIds(db, { studentIds, date: session.attendance_date });
+    ({ changedRecords } = await upsertClassAttendance(db, {
+      branchId: session.branch_id,
+      classData,
+      attendanceDate: session.attendance_date,
+      students: studentIds.map(studentId => ({
+        student_id: studentId,
+        status: onLeave.has(studentId) ? 'Excused' : 'Absent',
+        remarks: 'Did not check in'
+      })),
+      // Expired sessions are closed on behalf of the teacher who opened them
+      actor: actor || { userId: session.opened_by, role: null },
+      source: CLOSE_SOURCE
+    }));
+  }
+
+  const closed = await db.query(
+    `UPDATE branch.attendance_checkin_sessions SET
+       status = 'closed',
+       closed_by = $1,
+       closed_at = NOW(),
+       absent_marked = $2
+     WHERE id = $3
+     RETURNING *`,
+    [actor ? actor.userId : null, changedRecords.length, session.id]
+  );
+
+  return { session: closed.rows[0], changedRecords };
+}
+
+// Scheduled job: close sessions whose window has passed
+async function runCheckinSessionClose({
+  broadcastNotificationToStudents,
+  broadcastAttendanceEvent,
+  endCheckinSession
+} = {}) {
+  const expiredResult = await pool.query(
+    `SELECT id FROM branch.attendance_checkin_sessions
+     WHERE status = 'open' AND expires_at <= NOW()`
+  );
+
+  for (const { id } of expiredResult.rows) {
+    const client = await pool.connect();
+    let result = null;
+    try {
+      await client.query('BEGIN');
+
+      // Claim the session; a teacher closing it at the same moment wins
+      const claimed = await client.query(
+        `SELECT * FROM branch.attendance_checkin_sessions
+         WHERE id = $1 AND status = 'open'
+         FOR UPDATE SKIP LOCKED`,
+        [id]
+      );
+      if (claimed.rows.length > 0) {
+        result = await closeCheckinSession(client, { session: claimed.rows[0] });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Check-in session close - Error:', { sessionId: id, error: error.message });
+      continue;
+    } finally {
+      client.release();
+    }
+
+    if (!result) continue;
+
+    await processAttendanceAlerts(pool, {
+      branchId: result.session.branch_id,
+      changes: result.changedRecords,
+      actorId: result.session.opened_by,
+      broadcast: broadcastNotificationToStudents
+    });
+
+    await publishAttendanceEvents(pool, {
+      branchId: result.session.branch_id,
+      changes: result.changedRecords,
+      publish: broadcastAttendanceEvent,
+      source: CLOSE_SOURCE
+    });
+
+    if (endCheckinSession) endCheckinSession(id, toSessionResponse(result.session));
+
+    console.log('✅ Check-in session closed on expiry:', {
+      sessionId: id,
+      classId: result.session.class_id,
+      absentMarked: result.changedRecords.length
+    });
+  }
+}
+
+module.exports = {
+  CHECKIN_CODE_STEP_MS,
+  MAX_FAILED_CHECKIN_ATTEMPTS,
+  generateCheckinSecret,
+  getCheckinCode,
+  verifyCheckinCode,
+  toSessionResponse,
+  findCheckinSession,
+  canManageCheckinSession,
+  closeCheckinSession,
+  runCheckinSessionClose
+};
@@ -0,0 +1,86 @@
+// Live attendance events for dashboard subscribers (see the 'subscribe' message in server.js)
+const { toDateString } = require('./attendance');
+
+const COUNTED_STATUSES = {
+  Present: 'present',
+  Absent: 'absent',
+  Late: 'late',
+  Excused: 'excused'
+};
+
+// Publish one event per class and date touched by a write.
+// changes: [{ attendance: <branch.attendance row>, oldStatus }], as for processAttendanceAlerts.
+// Errors are logged and reported as 0 events published rather than thrown to the caller.
+async function publishAttendanceEvents(db, { branchId, changes, publish, source }) {
+  try {
+    if (!publish || changes.length === 0) return 0;
+
+    const groups = new Map();
+    changes.forEach(({ attendance, oldStatus }) => {
+      if (attendance.status === oldStatus) return;
+
+      const date = toDateString(attendance.attendance_date);
+      const key = `${attendance.class_id}|${date}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          classId: attendance.class_id,
+          date,
+          inserted: 0,
+          deltas: { present: 0, absent: 0, late: 0, excused: 0 },
+          lateStudentIds: []
+        });
+      }
+
+      const group = groups.get(key);
+      if (oldStatus === null || oldStatus === undefined) group.inserted++;
+      if (COUNTED_STATUSES[oldStatus]) group.deltas[COUNTED_STATUSES[oldStatus]]--;
+      if (COUNTED_STATUSES[attendance.status]) group.deltas[COUNTED_STATUSES[attendance.status]]++;
+      if (attendance.status === 'Late') group.lateStudentIds.push(attendance.student_id);
+    });
+
+    for (const group of groups.values()) {
+      const classResult = await db.query(
+        `SELECT
+           c.class_name,
+           (SELECT COUNT(*) FROM branch.attendance a
+            WHERE a.class_id = c.id AND a.attendance_date = $2) AS marked_records
+         FROM branch.classes c
+         WHERE c.id = $1`,
+        [group.classId, group.date]
+      );
+      const classRow = classResult.rows[0] || {};
+
+      const lateArrivals = group.lateStudentIds.length > 0
+        ? (await db.query(
+            `SELECT s.id AS student_id, s.roll_number, COALESCE(u.name, 'Unknown Student') AS name
+             FROM branch.students s
+             LEFT JOIN public.users u ON s.user_id = u.id
+             WHERE s.id = ANY($1::uuid[])`,
+            [group.lateStudentIds]
+          )).rows
+        : [];
+
+      publish(branchId, {
+        event: 'attendance_changed',
+        class_id: group.classId,
+        class_name: classRow.class_name || null,
+        date: group.date,
+        // Every record for the class/date was created by this write: the register was just taken
+        class_marked: group.inserted > 0 && parseInt(classRow.marked_records) === group.inserted,
+        deltas: group.deltas,
+        late_arrivals: lateArrivals,
+        source
+      });
+    }
+
+    return groups.size;
+  } catch (error) {
+    console.error('❌ Attendance events - Error:', error.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  publishAttendanceEvents
+};
@@ -0,0 +1,177 @@
+// CSV attendance import: parse and validate rows against the class before applying them
+const { parseCsv } = require('./csv');
+const {
+  ALL_ATTENDANCE_STATUSES,
+  LOCK_EXEMPT_ROLES,
+  getWritableAttendanceStatuses,
+  ARRIVAL_TIME_PATTERN,
+  isAttendanceLocked,
+  toDateString,
+  isValidDateString,
+  getBranchClock
+} = require('./attendance');
+
+const STATUS_ALIASES = {
+  p: 'Present',
+  a: 'Absent',
+  l: 'Late',
+  e: 'Excused'
+};
+
+// Accepted header names for each column
+const COLUMN_ALIASES = {
+  roll_number: ['roll_number', 'roll no', 'roll_no', 'roll'],
+  student_id: ['student_id', 'student id', 'admission_number'],
+  date: ['date', 'attendance_date'],
+  status: ['status'],
+  remarks: ['remarks', 'remark', 'note'],
+  arrival_time: ['arrival_time', 'arrival time', 'arrival']
+};
+
+// Helper: Map header labels to column indexes
+function mapColumns(header) {
+  const normalized = header.map(label => label.trim().toLowerCase());
+  const columns = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([column, aliases]) => {
+    const index = normalized.findIndex(label => aliases.includes(label));
+    if (index !== -1) columns[column] = index;
+  });
+
+  return columns;
+}
+
+// Helper: "present", "P", "Present" → "Present"
+function normalizeStatus(value) {
+  const text = String(value || '').trim();
+  const byName = ALL_ATTENDANCE_STATUSES.find(status => status.toLowerCase() === text.toLowerCase());
+  return byName || STATUS_ALIASES[text.toLowerCase()] || null;
+}
+
+// Validate every CSV row for a class. Returns the valid entries (one per student and date)
+// and a row-by-row error report; row numbers count the header as row 1.
+async function validateAttendanceImport(db, { branchId, classData, csvText, user, settings }) {
+  const rows = parseCsv(csvText);
+
+  if (rows.length < 2) {
+    return { fatal: 'The CSV needs a header row and at least one data row' };
+  }
+
+  const columns = mapColumns(rows[0]);
+  if (columns.roll_number === undefined && columns.student_id === undefined) {
+    return { fatal: 'The CSV needs a roll_number or student_id column' };
+  }
+  if (columns.date === undefined || columns.status === undefined) {
+    return { fatal: 'The CSV needs date and status columns' };
+  }
+
+  const yearResult = await db.query(
+    `SELECT start_date, end_date FROM public.academic_years
+     WHERE year_name = $1 AND branch_id = $2
+     LIMIT 1`,
+    [classData.academic_year, branchId]
+  );
+
+  if (yearResult.rows.length === 0) {
+    return { fatal: `Academic year ${classData.academic_year} of this class was not found` };
+  }
+
+  const yearStart = toDateString(yearResult.rows[0].start_date);
+  const yearEnd = toDateString(yearResult.rows[0].end_date);
+
+  const studentsResult = await db.query(
+    `SELECT id, student_id, roll_number FROM branch.students
+     WHERE class_id = $1 AND branch_id = $2 AND status = 'Active'`,
+    [classData.id, branchId]
+  );
+  const byRoll = new Map(studentsResult.rows.map(s => [String(s.roll_number).trim().toLowerCase(), s]));
+  const byStudentNumber = new Map(studentsResult.rows.map(s => [String(s.student_id).trim().toLowerCase(), s]));
+
+  const holidayResult = await db.query(
+    `SELECT date FROM branch.holidays
+     WHERE branch_id = $1 AND date BETWEEN $2 AND $3`,
+    [branchId, yearStart, yearEnd]
+  );
+  const holidays = new Set(holidayResult.rows.map(h => toDateString(h.date)));
+
+  const today = getBranchClock(settings).date;
+  const lockApplies = !LOCK_EXEMPT_ROLES.includes(user.role);
+  const writableStatuses = getWritableAttendanceStatuses(user.role);
+  const seen = new Map();
+  const entries = [];
+  const errors = [];
+
+  rows.slice(1).forEach((row, i) => {
+    const rowNumber = i + 2;
+    const cell = column => (columns[column] === undefined ? '' : String(row[columns[column]] || '').trim());
+    const rowErrors = [];
+
+    const rollNumber = cell('roll_number');
+    const studentNumber = cell('student_id');
+    const date = cell('date');
+    const status = normalizeStatus(cell('status'));
+
+    let student = null;
+    if (!rollNumber && !studentNumber) {
+      rowErrors.push('roll_number or student_id is required');
+    } else {
+      student = (studentNumber && byStudentNumber.get(studentNumber.toLowerCase())) ||
+        (rollNumber && byRoll.get(rollNumber.toLowerCase())) || null;
+      if (!student) rowErrors.push(`No active student ${studentNumber || rollNumber} in this class`);
+    }
+
+    if (!isValidDateString(date)) {
+      rowErrors.push(`Invalid date "${date}" (use YYYY-MM-DD)`);
+    } else if (date < yearStart || date > yearEnd) {
+      rowErrors.push(`${date} is outside academic year ${classData.academic_year}`);
+    } else if (date > today) {
+      rowErrors.push(`${date} is in the future`);
+    } else if (holidays.has(date)) {
+      rowErrors.push(`${date} is a holiday`);
+    } else if (lockApplies && isAttendanceLocked(settings, date)) {
+      rowErrors.push(`Attendance for ${date} is locked; request an amendment instead`);
+    }
+
+    const arrivalTime = cell('arrival_time');
+    if (arrivalTime && !ARRIVAL_TIME_PATTERN.test(arrivalTime)) {
+      rowErrors.push(`Invalid arrival_time "${arrivalTime}" (use HH:MM)`);
+    }
+
+    if (!status) {
+      rowErrors.push(`Invalid status "${cell('status')}" (use ${ALL_ATTENDANCE_STATUSES.join(', ')} or P/A/L/E)`);
+    } else if (!writableStatuses.includes(status)) {
+      rowErrors.push(`${status} is recorded from approved leave; only admins can import it`);
+    }
+
+    if (student && rowErrors.length === 0) {
+      const key = `${student.id}|${date}`;
+      if (seen.has(key)) {
+        rowErrors.push(`Duplicate of row ${seen.get(key)}`);
+      } else {
+        seen.set(key, rowNumber);
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, values: row, errors: rowErrors });
+      return;
+    }
+
+    entries.push({
+      row: rowNumber,
+      student_id: student.id,
+      student_number: student.student_id,
+      roll_number: student.roll_number,
+      date,
+      status,
+      remarks: cell('remarks') || null,
+      arrival_time: arrivalTime || null
+    });
+  });
+
+  return { totalRows: rows.length - 1, entries, errors };
+}
+
+module.exports = {
+  validateAttendanceImport
+};
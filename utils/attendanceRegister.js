@@ -0,0 +1,260 @@
+// Monthly attendance register: students down the side, days across the top
+const { toDateString, calculateAttendancePercentage } = require('./attendance');
+const { createPdf, textWidth } = require('./pdf');
+const { csvField } = require('./csv');
+
+const STATUS_CODES = {
+  Present: 'P',
+  Absent: 'A',
+  Late: 'L',
+  Excused: 'E'
+};
+const HOLIDAY_CODE = 'H';
+
+// Helper: Build the register grid for a class and month (YYYY-MM). Working days run to the
+// end of the month, or to today for the current month, as in the attendance summaries.
+async function buildAttendanceRegister(db, { branchId, classData, month }) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const daysInMonth = new Date(year, monthNumber, 0).getDate();
+  const startDate = `${month}-01`;
+  const endDate = `${month}-${String(daysInMonth).padStart(2, '0')}`;
+  const today = toDateString(new Date());
+  const countedUntil = endDate < today ? endDate : today;
+
+  const holidayResult = await db.query(
+    `SELECT date FROM branch.holidays
+     WHERE branch_id = $1 AND date BETWEEN $2 AND $3`,
+    [branchId, startDate, endDate]
+  );
+  const holidays = new Set(holidayResult.rows.map(h => toDateString(h.date)));
+
+  const days = [];
+  for (let d = 1; d <= daysInMonth; d++) {
+    const date = `${month}-${String(d).padStart(2, '0')}`;
+    days.push({
+      day: d,
+      date,
+      weekday: new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short' }),
+      holiday: holidays.has(date),
+      present: 0
+    });
+  }
+
+  // Current members of the class plus anyone with a record this month (e.g. since transferred)
+  const studentsResult = await db.query(
+    `SELECT s.id, s.student_id, s.roll_number, COALESCE(u.name, 'Unknown Student') AS name
+     FROM branch.students s
+     LEFT JOIN public.users u ON s.user_id = u.id
+     WHERE (s.class_id = $1 AND s.status = 'Active')
+        OR s.id IN (
+          SELECT student_id FROM branch.attendance
+          WHERE class_id = $1 AND attendance_date BETWEEN $2 AND $3
+        )
+     ORDER BY s.roll_number, u.name`,
+    [classData.id, startDate, endDate]
+  );
+
+  const attendanceResult = await db.query(
+    `SELECT student_id, attendance_date, status
+     FROM branch.attendance
+     WHERE class_id = $1 AND attendance_date BETWEEN $2 AND $3`,
+    [classData.id, startDate, endDate]
+  );
+  const statusByKey = new Map(attendanceResult.rows.map(a =>
+    [`${a.student_id}|${toDateString(a.attendance_date)}`, a.status]));
+
+  const workingDays = days.filter(d => d.date <= countedUntil && !d.holiday).length;
+
+  const students = studentsResult.rows.map(student => {
+    const totals = { present: 0, absent: 0, late: 0, excused: 0 };
+
+    const codes = days.map(day => {
+      const status = statusByKey.get(`${student.id}|${day.date}`);
+      if (status === 'Present') { totals.present++; day.present++; }
+      if (status === 'Absent') totals.absent++;
+      if (status === 'Late') totals.late++;
+      if (status === 'Excused') totals.excused++;
+      if (status) return STATUS_CODES[status] || status;
+      return day.holiday ? HOLIDAY_CODE : '';
+    });
+
+    return {
+      id: student.id,
+      student_id: student.student_id,
+      roll_number: student.roll_number,
+      name: student.name,
+      codes,
+      ...totals,
+      attendance_percentage: calculateAttendancePercentage(totals.present, workingDays, totals.excused)
+    };
+  });
+
+  return {
+    class_id: classData.id,
+    class_name: classData.class_name,
+    academic_year: classData.academic_year,
+    month,
+    start_date: startDate,
+    end_date: endDate,
+    working_days: workingDays,
+    holidays: holidays.size,
+    days,
+    students
+  };
+}
+
+function registerToCsv(register) {
+  const header = [
+    'Roll No', 'Student ID', 'Name',
+    ...register.days.map(d => d.day),
+    'P', 'A', 'L', 'E', 'Working Days', 'Attendance %'
+  ];
+
+  const rows = register.students.map(student => [
+    student.roll_number,
+    student.student_id,
+    student.name,
+    ...student.codes,
+    student.present,
+    student.absent,
+    student.late,
+    student.excused,
+    register.working_days,
+    student.attendance_percentage
+  ]);
+
+  const footer = [
+    '', '', 'Present',
+    ...register.days.map(d => (d.holiday ? HOLIDAY_CODE : d.present)),
+    '', '', '', '', '', ''
+  ];
+
+  return [header, ...rows, footer]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// A4 landscape layout
+const PAGE_MARGIN = 20;
+const ROW_HEIGHT = 13;
+const HEADER_HEIGHT = 22;
+const COLUMNS = { roll: 26, name: 104, day: 16, total: 22, working: 24, percent: 34 };
+const TOTAL_LABELS = ['P', 'A', 'L', 'E'];
+
+function registerToPdf(register) {
+  const doc = createPdf();
+  const daysX = PAGE_MARGIN + COLUMNS.roll + COLUMNS.name;
+  const totalsX = daysX + register.days.length * COLUMNS.day;
+  const tableWidth = totalsX + TOTAL_LABELS.length * COLUMNS.total + COLUMNS.working + COLUMNS.percent - PAGE_MARGIN;
+  const monthLabel = new Date(`${register.start_date}T00:00:00`)
+    .toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  const fit = (value, width, size) => {
+    let text = String(value ?? '');
+    while (text.length > 1 && textWidth(text, size) > width - 4) text = text.slice(0, -1);
+    return text;
+  };
+
+  // Shade holiday columns from the header down to the last row on the page
+  const shadeHolidays = (top, bottom) => {
+    register.days.forEach((day, i) => {
+      if (day.holiday) {
+        doc.rect(daysX + i * COLUMNS.day, top, COLUMNS.day, bottom - top, { fill: 0.85, stroke: false });
+      }
+    });
+  };
+
+  const drawHeader = (y) => {
+    doc.rect(PAGE_MARGIN, y, tableWidth, HEADER_HEIGHT, { fill: 0.93 });
+    doc.text(PAGE_MARGIN + 2, y + 14, 'Roll', { size: 7, bold: true });
+    doc.text(PAGE_MARGIN + COLUMNS.roll + 2, y + 14, 'Name', { size: 7, bold: true });
+
+    register.days.forEach((day, i) => {
+      const x = daysX + i * COLUMNS.day;
+      doc.text(x, y + 9, day.day, { size: 7, bold: true, align: 'center', width: COLUMNS.day });
+      doc.text(x, y + 18, day.weekday.slice(0, 2), { size: 5, align: 'center', width: COLUMNS.day });
+    });
+
+    TOTAL_LABELS.forEach((label, i) => {
+      doc.text(totalsX + i * COLUMNS.total, y + 14, label, { size: 7, bold: true, align: 'center', width: COLUMNS.total });
+    });
+    const workingX = totalsX + TOTAL_LABELS.length * COLUMNS.total;
+    doc.text(workingX, y + 14, 'WD', { size: 7, bold: true, align: 'center', width: COLUMNS.working });
+    doc.text(workingX + COLUMNS.working, y + 14, '%', { size: 7, bold: true, align: 'center', width: COLUMNS.percent });
+  };
+
+  const drawRow = (y, cells, { bold = false } = {}) => {
+    doc.rect(PAGE_MARGIN, y, tableWidth, ROW_HEIGHT);
+    doc.text(PAGE_MARGIN + 2, y + 9, fit(cells.roll, COLUMNS.roll, 7), { size: 7, bold });
+    doc.text(PAGE_MARGIN + COLUMNS.roll + 2, y + 9, fit(cells.name, COLUMNS.name, 7), { size: 7, bold });
+
+    cells.codes.forEach((code, i) => {
+      doc.text(daysX + i * COLUMNS.day, y + 9, code, { size: 7, bold, align: 'center', width: COLUMNS.day });
+    });
+
+    cells.totals.forEach((value, i) => {
+      doc.text(totalsX + i * COLUMNS.total, y + 9, value, { size: 7, bold, align: 'center', width: COLUMNS.total });
+    });
+    const workingX = totalsX + TOTAL_LABELS.length * COLUMNS.total;
+    doc.text(workingX, y + 9, cells.working, { size: 7, bold, align: 'center', width: COLUMNS.working });
+    doc.text(workingX + COLUMNS.working, y + 9, cells.percent, { size: 7, bold, align: 'center', width: COLUMNS.percent });
+  };
+
+  const drawGridLines = (top, bottom) => {
+    const verticals = [PAGE_MARGIN + COLUMNS.roll, daysX];
+    register.days.forEach((day, i) => verticals.push(daysX + (i + 1) * COLUMNS.day));
+    TOTAL_LABELS.forEach((label, i) => verticals.push(totalsX + (i + 1) * COLUMNS.total));
+    verticals.push(totalsX + TOTAL_LABELS.length * COLUMNS.total + COLUMNS.working);
+    verticals.forEach(x => doc.line(x, top, x, bottom));
+  };
+
+  const rows = register.students.map(student => ({
+    roll: student.roll_number,
+    name: student.name,
+    codes: student.codes,
+    totals: [student.present, student.absent, student.late, student.excused],
+    working: register.working_days,
+    percent: student.attendance_percentage
+  }));
+  rows.push({
+    roll: '',
+    name: 'Present',
+    codes: register.days.map(d => (d.holiday ? HOLIDAY_CODE : d.present)),
+    totals: ['', '', '', ''],
+    working: '',
+    percent: '',
+    bold: true
+  });
+
+  const tableTop = PAGE_MARGIN + 34;
+  const rowsPerPage = Math.floor((doc.height - tableTop - HEADER_HEIGHT - PAGE_MARGIN - 12) / ROW_HEIGHT);
+  const pageCount = Math.max(1, Math.ceil(rows.length / rowsPerPage));
+
+  for (let page = 0; page < pageCount; page++) {
+    const pageRows = rows.slice(page * rowsPerPage, (page + 1) * rowsPerPage);
+    const bottom = tableTop + HEADER_HEIGHT + pageRows.length * ROW_HEIGHT;
+
+    doc.addPage();
+    doc.text(PAGE_MARGIN, PAGE_MARGIN + 10, `Attendance Register - ${register.class_name}`, { size: 12, bold: true });
+    doc.text(PAGE_MARGIN, PAGE_MARGIN + 24,
+      [register.academic_year, monthLabel].filter(Boolean).join('  |  '), { size: 8 });
+    doc.text(PAGE_MARGIN, PAGE_MARGIN + 24,
+      'P Present  A Absent  L Late  E Excused  H Holiday (shaded)',
+      { size: 7, align: 'right', width: tableWidth });
+
+    shadeHolidays(tableTop, bottom);
+    drawHeader(tableTop);
+    pageRows.forEach((row, i) => drawRow(tableTop + HEADER_HEIGHT + i * ROW_HEIGHT, row, { bold: row.bold }));
+    drawGridLines(tableTop, bottom);
+
+    doc.text(PAGE_MARGIN, doc.height - PAGE_MARGIN, `Page ${page + 1} of ${pageCount}`, { size: 7 });
+  }
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  buildAttendanceRegister,
+  registerToCsv,
+  registerToPdf
+};
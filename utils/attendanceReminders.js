@@ -0,0 +1,117 @@
+// Missing-attendance reminders: nudge class teachers whose register is still empty at the cut-off
+const pool = require('../config/database');
+const { getAttendanceSettings, getBranchClock, findUnmarkedClasses } = require('./attendance');
+const { createNotice } = require('./notices');
+
+// Helper: Minutes since midnight for an 'HH:MM' cut-off
+function cutoffMinutes(cutoff) {
+  const [hours, minutes] = String(cutoff).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Scheduled job: one reminder per class per day, grouped into a single notice per teacher
+async function runAttendanceReminders({ broadcastNotificationToStudents } = {}) {
+  const branchesResult = await pool.query(
+    'SELECT branch_id FROM branch.attendance_settings WHERE attendance_reminders_enabled = true'
+  );
+
+  const now = new Date();
+
+  for (const { branch_id: branchId } of branchesResult.rows) {
+    // The cut-off is a wall-clock time in the branch timezone
+    const settings = await getAttendanceSettings(pool, branchId);
+    const { date: today, minutes } = getBranchClock(settings, now);
+    if (minutes < cutoffMinutes(settings.attendance_reminder_cutoff)) continue;
+
+    const { holiday, classes } = await findUnmarkedClasses(pool, { branchId, date: today });
+    if (holiday) continue;
+
+    const byTeacher = new Map();
+    for (const classRow of classes) {
+      if (!classRow.class_teacher_id) continue;
+      if (!byTeacher.has(classRow.class_teacher_id)) byTeacher.set(classRow.class_teacher_id, []);
+      byTeacher.get(classRow.class_teacher_id).push(classRow);
+    }
+
+    let teachersReminded = 0;
+    for (const [teacherId, unmarked] of byTeacher.entries()) {
+      // Claim the teacher's classes for today and send the notice together, so a failed notice
+      // leaves nothing claimed and the next run tries again; classes already reminded are skipped
+      const client = await pool.connect();
+      let reminder = null;
+      try {
+        await client.query('BEGIN');
+
+        const teacherClasses = [];
+        for (const classRow of unmarked) {
+          const claimed = await client.query(
+            `INSERT INTO branch.attendance_reminders (branch_id, class_id, reminder_date, teacher_id)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (class_id, reminder_date) DO NOTHING
+             RETURNING id`,
+            [branchId, classRow.class_id, today, teacherId]
+          );
+          if (claimed.rows.length > 0) teacherClasses.push({ ...classRow, reminder_id: claimed.rows[0].id });
+        }
+
+        if (teacherClasses.length > 0) {
+          const title = 'Attendance not marked yet';
+          const content = `Attendance for ${today} has not been marked for: ` +
+            `${teacherClasses.map(c => c.class_name).join(', ')}. Please mark it as soon as possible.`;
+
+          const { noticeId } = await createNotice(client, {
+            title,
+            content,
+            priority: 'high',
+            audienceType: 'teachers',
+            createdBy: teacherId,
+            branchId,
+            userIds: [teacherId]
+          });
+
+          await client.query(
+            'UPDATE branch.attendance_reminders SET notice_id = $1 WHERE id = ANY($2::uuid[])',
+            [String(noticeId), teacherClasses.map(c => c.reminder_id)]
+          );
+
+          reminder = { noticeId, title, content, classIds: teacherClasses.map(c => c.class_id) };
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Attendance reminders - Error:', { branchId, teacherId, error: error.message });
+        continue;
+      } finally {
+        client.release();
+      }
+
+      if (!reminder) continue;
+      teachersReminded++;
+
+      if (broadcastNotificationToStudents) {
+        broadcastNotificationToStudents([teacherId], {
+          id: reminder.noticeId,
+          title: reminder.title,
+          content: reminder.content,
+          priority: 'high',
+          publish_date: now.toISOString(),
+          audience_type: 'teachers',
+          category: 'attendance_reminder',
+          class_ids: reminder.classIds,
+          date: today
+        });
+      }
+    }
+
+    console.log('✅ Attendance reminders:', {
+      branchId,
+      unmarkedClasses: classes.length,
+      teachersReminded
+    });
+  }
+}
+
+module.exports = {
+  runAttendanceReminders
+};
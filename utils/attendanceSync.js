@@ -0,0 +1,228 @@
+// Offline attendance sync: idempotent, timestamp-ordered application of device mutations
+//
+// Conflict rule (last edit wins, by when the edit was made):
+//   - A record's edit time is the client_timestamp of the sync mutation that last wrote it,
+//     or the server time of its last write through any other endpoint.
+//   - A mutation is applied when its client_timestamp is at or after that edit time, and is
+//     reported as a conflict (with the server's current record) when the server edit is newer.
+//   - client_timestamp values ahead of the server clock are clamped to the time of receipt,
+//     so a device with a fast clock cannot win every conflict.
+//   - A mutation ID already processed for the user returns the logged outcome (replay).
+const {
+  LOCK_EXEMPT_ROLES,
+  getWritableAttendanceStatuses,
+  isAttendanceLocked,
+  isValidDateString,
+  recordAttendanceHistory
+} = require('./attendance');
+
+const SYNC_SOURCE = 'POST /attendance/sync';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Helper: Log the outcome of a mutation and shape it for the response
+async function logMutation(db, { branchId, user, deviceId, mutation, clientTimestamp, result, reason = null, attendance = null }) {
+  await db.query(
+    `INSERT INTO branch.attendance_sync_mutations (
+      branch_id, user_id, device_id, client_mutation_id, client_timestamp,
+      class_id, student_id, attendance_date, status, remarks,
+      result, reason, attendance_id, server_status
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+    [
+      branchId,
+      user.userId,
+      deviceId || null,
+      mutation.client_mutation_id,
+      clientTimestamp,
+      mutation.class_id || null,
+      mutation.student_id || null,
+      mutation.attendance_date || null,
+      mutation.status || null,
+      mutation.remarks || null,
+      result,
+      reason,
+      attendance?.id || null,
+      attendance?.status || null
+    ]
+  );
+
+  return {
+    client_mutation_id: mutation.client_mutation_id,
+    result,
+    reason,
+    server_record: attendance
+  };
+}
+
+// Helper: Previously logged outcome of a mutation ID, if any
+async function findLoggedMutation(db, { user, clientMutationId }) {
+  const result = await db.query(
+    `SELECT m.client_mutation_id, m.result, m.reason, a.*
+     FROM branch.attendance_sync_mutations m
+     LEFT JOIN branch.attendance a ON a.id = m.attendance_id
+     WHERE m.user_id = $1 AND m.client_mutation_id = $2`,
+    [user.userId, clientMutationId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const { client_mutation_id, result: outcome, reason, ...attendance } = result.rows[0];
+  return {
+    client_mutation_id,
+    result: outcome,
+    reason,
+    replayed: true,
+    server_record: attendance.id ? attendance : null
+  };
+}
+
+// Apply one mutation inside the caller's transaction. Returns the outcome for the response
+// and, when applied, the change for alert processing.
+async function applySyncMutation(db, { branchId, user, deviceId, mutation, settings, classCache, onLeave }) {
+  const logged = await findLoggedMutation(db, { user, clientMutationId: mutation.client_mutation_id });
+  if (logged) return { outcome: logged };
+
+  const now = new Date();
+  const parsedTimestamp = new Date(mutation.client_timestamp);
+  const clientTimestamp = isNaN(parsedTimestamp.getTime()) || parsedTimestamp > now ? now : parsedTimestamp;
+  const log = (result, reason, attendance = null) =>
+    logMutation(db, { branchId, user, deviceId, mutation, clientTimestamp, result, reason, attendance });
+
+  // 1️⃣ Validate the mutation (invalid ones are logged by ID only)
+  const valid = UUID_PATTERN.test(mutation.class_id || '') &&
+    UUID_PATTERN.test(mutation.student_id || '') &&
+    isValidDateString(mutation.attendance_date) &&
+    getWritableAttendanceStatuses(user.role).includes(mutation.status) &&
+    !isNaN(parsedTimestamp.getTime());
+
+  if (!valid) {
+    const outcome = await logMutation(db, {
+      branchId,
+      user,
+      deviceId,
+      mutation: { client_mutation_id: mutation.client_mutation_id },
+      clientTimestamp,
+      result: 'skipped',
+      reason: 'invalid'
+    });
+    return { outcome };
+  }
+
+  if (!classCache.has(mutation.class_id)) {
+    const classResult = await db.query(
+      'SELECT id, teacher_id, academic_year FROM branch.classes WHERE id = $1 AND branch_id = $2::uuid',
+      [mutation.class_id, branchId]
+    );
+    classCache.set(mutation.class_id, classResult.rows[0] || null);
+  }
+  const classData = classCache.get(mutation.class_id);
+
+  if (!classData) return { outcome: await log('skipped', 'class_not_found') };
+
+  if (user.role === 'teacher' && classData.teacher_id !== user.userId) {
+    return { outcome: await log('skipped', 'forbidden') };
+  }
+
+  if (!LOCK_EXEMPT_ROLES.includes(user.role) && isAttendanceLocked(settings, mutation.attendance_date)) {
+    return { outcome: await log('skipped', 'locked') };
+  }
+
+  const studentCheck = await db.query(
+    'SELECT id FROM branch.students WHERE id = $1 AND class_id = $2',
+    [mutation.student_id, mutation.class_id]
+  );
+  if (studentCheck.rows.length === 0) return { outcome: await log('skipped', 'student_not_in_class') };
+
+  // Students on approved leave that day are Excused rather than Absent
+  const status = mutation.status === 'Absent' && onLeave.has(`${mutation.student_id}|${mutation.attendance_date}`)
+    ? 'Excused'
+    : mutation.status;
+
+  // 2️⃣ Current record and when it was last edited (by a device or on the server)
+  const existing = await db.query(
+    `SELECT
+       a.*,
+       COALESCE(
+         (SELECT m.client_timestamp FROM branch.attendance_sync_mutations m
+          WHERE m.attendance_id = a.id AND m.result = 'applied'
+            AND m.processed_at >= COALESCE(a.updated_at, a.marked_at)
+          ORDER BY m.processed_at DESC LIMIT 1),
+         COALESCE(a.updated_at, a.marked_at)::timestamptz
+       ) > $4::timestamptz AS newer_on_server
+     FROM branch.attendance a
+     WHERE a.student_id = $1 AND a.attendance_date = $2 AND a.class_id = $3
+     FOR UPDATE OF a`,
+    [mutation.student_id, mutation.attendance_date, mutation.class_id, clientTimestamp]
+  );
+
+  if (existing.rows.length > 0) {
+    const { newer_on_server: newerOnServer, ...current } = existing.rows[0];
+
+    if (newerOnServer) return { outcome: await log('conflict', 'newer_server_edit', current) };
+
+    if (current.status === status && (current.remarks || null) === (mutation.remarks || null)) {
+      return { outcome: await log('skipped', 'unchanged', current) };
+    }
+
+    const updated = await db.query(
+      `UPDATE branch.attendance SET
+        status = $1,
+        remarks = $2,
+        arrival_time = CASE WHEN $1::text = 'Late' THEN arrival_time END,
+        minutes_late = CASE WHEN $1::text = 'Late' THEN minutes_late END,
+        marked_at = NOW(),
+        updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [status, mutation.remarks || null, current.id]
+    );
+
+    await recordAttendanceHistory(db, {
+      attendance: updated.rows[0],
+      action: 'update',
+      oldStatus: current.status,
+      oldRemarks: current.remarks,
+      actor: user,
+      source: SYNC_SOURCE
+    });
+
+    return {
+      outcome: await log('applied', null, updated.rows[0]),
+      change: { attendance: updated.rows[0], oldStatus: current.status }
+    };
+  }
+
+  const inserted = await db.query(
+    `INSERT INTO branch.attendance (
+      branch_id, student_id, class_id, teacher_id,
+      attendance_date, status, remarks, academic_year
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *`,
+    [
+      branchId,
+      mutation.student_id,
+      mutation.class_id,
+      user.userId,
+      mutation.attendance_date,
+      status,
+      mutation.remarks || null,
+      classData.academic_year
+    ]
+  );
+
+  await recordAttendanceHistory(db, {
+    attendance: inserted.rows[0],
+    action: 'insert',
+    actor: user,
+    source: SYNC_SOURCE
+  });
+
+  return {
+    outcome: await log('applied', null, inserted.rows[0]),
+    change: { attendance: inserted.rows[0], oldStatus: null }
+  };
+}
+
+module.exports = {
+  applySyncMutation,
+  findLoggedMutation
+};
@@ -0,0 +1,67 @@
+// Leave request helpers: approved leave turns a student's absence into Excused
+const { recordAttendanceHistory, toDateString } = require('./attendance');
+
+// Helper: The students (of the given ids) on approved leave on a date
+async function getApprovedLeaveStudentIds(db, { studentIds, date }) {
+  const result = await db.query(
+    `SELECT DISTINCT student_id FROM branch.leave_requests
+     WHERE student_id = ANY($1::uuid[])
+       AND status = 'approved'
+       AND $2::date BETWEEN start_date AND end_date`,
+    [studentIds, date]
+  );
+
+  return new Set(result.rows.map(r => r.student_id));
+}
+
+// Helper: Turn the student's Absent entries on the days of an approved leave (up to today) into
+// Excused. Days not yet marked are left alone: the register excuses them when it is taken, so
+// unmarked-class reminders and live "class marked" events still fire for them.
+// Returns the changed records as [{ attendance, oldStatus }] for alert processing.
+async function applyApprovedLeave(db, { leave, actor }) {
+  const today = toDateString(new Date());
+  const startDate = toDateString(leave.start_date);
+  const lastDate = toDateString(leave.end_date) < today ? toDateString(leave.end_date) : today;
+  if (startDate > lastDate) return [];
+
+  const absentResult = await db.query(
+    `SELECT id, status, remarks FROM branch.attendance
+     WHERE student_id = $1 AND class_id = $2 AND status = 'Absent'
+       AND attendance_date BETWEEN $3 AND $4
+     ORDER BY attendance_date
+     FOR UPDATE`,
+    [leave.student_id, leave.class_id, startDate, lastDate]
+  );
+
+  const remarks = `Approved leave: ${leave.reason}`;
+  const changes = [];
+
+  for (const before of absentResult.rows) {
+    const updated = await db.query(
+      `UPDATE branch.attendance SET
+        status = 'Excused',
+        remarks = $1,
+        updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [remarks, before.id]
+    );
+
+    await recordAttendanceHistory(db, {
+      attendance: updated.rows[0],
+      action: 'update',
+      oldStatus: before.status,
+      oldRemarks: before.remarks,
+      actor,
+      source: 'leave_request'
+    });
+    changes.push({ attendance: updated.rows[0], oldStatus: before.status });
+  }
+
+  return changes;
+}
+
+module.exports = {
+  getApprovedLeaveStudentIds,
+  applyApprovedLeave
+};
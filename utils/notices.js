@@ -0,0 +1,63 @@
+// Notice helpers: in-app notices with per-user deliveries, as sent by POST /teachers/notify
+
+const BATCH_SIZE = 500; // safe batch size for parameterized queries
+
+// Helper: Create a published in-app notice and a pending delivery for every user
+async function createNotice(db, {
+  title,
+  content,
+  priority = 'medium',
+  audienceType = 'students',
+  createdBy,
+  branchId,
+  userIds
+}) {
+  const noticeResult = await db.query(
+    `INSERT INTO notices (
+      title, content, priority, audience_type, status, publish_date,
+      created_by, branch_id, enable_in_app, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+    RETURNING id`,
+    [title, content, priority, audienceType, 'published', new Date(), createdBy, branchId, true]
+  );
+
+  const noticeId = noticeResult.rows[0].id;
+  const recipients = [...new Set(userIds.filter(Boolean))];
+
+  for (let i = 0; i < recipients.length; i += BATCH_SIZE) {
+    const batch = recipients.slice(i, i + BATCH_SIZE);
+
+    const valueClauses = [];
+    const params = [];
+    let paramIndex = 1;
+
+    for (const userId of batch) {
+      // notice_id, user_id, delivery_method, status, created_at
+      valueClauses.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, NOW())`);
+      params.push(noticeId, userId, 'in_app', 'pending');
+    }
+
+    await db.query(
+      `INSERT INTO notice_deliveries (
+        notice_id, user_id, delivery_method, status, created_at
+      ) VALUES ${valueClauses.join(',')}`,
+      params
+    );
+  }
+
+  return { noticeId, recipients };
+}
+
+// Helper: Take a notice back out of every inbox
+async function withdrawNotice(db, noticeId) {
+  await db.query('DELETE FROM notice_deliveries WHERE notice_id = $1', [noticeId]);
+  await db.query(
+    `UPDATE notices SET status = 'withdrawn', updated_at = NOW() WHERE id = $1`,
+    [noticeId]
+  );
+}
+
+module.exports = {
+  createNotice,
+  withdrawNotice
+};
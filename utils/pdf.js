@@ -0,0 +1,100 @@
+// Minimal in-process PDF writer: text in the standard Helvetica fonts, lines and shaded boxes.
+// Coordinates are in points from the top-left corner of the page.
+
+// Helper: Escape a string for a PDF literal, keeping to the WinAnsi (Latin-1) range
+function escapePdfText(value) {
+  return String(value ?? '')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+// Helper: Approximate Helvetica text width (average glyph width) for fitting text into cells
+function textWidth(value, size) {
+  return String(value ?? '').length * size * 0.5;
+}
+
+function createPdf({ width = 842, height = 595 } = {}) {
+  const pages = [];
+  let current = null;
+
+  const num = value => Number(value.toFixed(2));
+  const toY = y => num(height - y);
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      current = [];
+      pages.push(current);
+      return doc;
+    },
+
+    // Text with its baseline at y
+    text(x, y, value, { size = 8, bold = false, align = 'left', width: boxWidth = 0 } = {}) {
+      let left = x;
+      if (align === 'center') left = x + (boxWidth - textWidth(value, size)) / 2;
+      if (align === 'right') left = x + boxWidth - textWidth(value, size);
+      current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${num(left)} ${toY(y)} Td (${escapePdfText(value)}) Tj ET`);
+      return doc;
+    },
+
+    // Rectangle with its top-left corner at (x, y); fill is a grey level from 0 (black) to 1 (white)
+    rect(x, y, w, h, { fill = null, stroke = true } = {}) {
+      const box = `${num(x)} ${toY(y + h)} ${num(w)} ${num(h)} re`;
+      if (fill !== null) current.push(`q ${fill} g ${box} f Q`);
+      if (stroke) current.push(`0.5 w ${box} S`);
+      return doc;
+    },
+
+    line(x1, y1, x2, y2) {
+      current.push(`0.5 w ${num(x1)} ${toY(y1)} m ${num(x2)} ${toY(y2)} l S`);
+      return doc;
+    },
+
+    toBuffer() {
+      if (pages.length === 0) doc.addPage();
+
+      const objects = [];
+      const pageIds = [];
+      // 1: catalog, 2: page tree, 3-4: fonts, then a page and its content stream per page
+      pages.forEach((content, i) => {
+        const pageId = 5 + i * 2;
+        const stream = content.join('\n');
+        pageIds.push(pageId);
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+      });
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+      let output = '%PDF-1.4\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(output, 'latin1');
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc;
+}
+
+module.exports = {
+  createPdf,
+  textWidth
+};
@@ -0,0 +1,42 @@
+// In-process runner for periodic background jobs (started from server.js)
+
+const jobs = [];
+
+// Helper: Register a job that runs every intervalMs once the scheduler starts
+function registerJob(name, intervalMs, handler) {
+  jobs.push({ name, intervalMs, handler, timer: null, running: false });
+}
+
+// Start every registered job; context is passed to each run (e.g. WebSocket broadcast helpers)
+function startScheduler(context = {}) {
+  jobs.forEach(job => {
+    const run = async () => {
+      // Skip a tick rather than overlap a slow run
+      if (job.running) return;
+      job.running = true;
+      try {
+        await job.handler(context);
+      } catch (error) {
+        console.error(`❌ Scheduled job ${job.name} - Error:`, error.message);
+      } finally {
+        job.running = false;
+      }
+    };
+
+    job.timer = setInterval(run, job.intervalMs);
+    console.log(`⏰ Scheduled job ${job.name} every ${Math.round(job.intervalMs / 60000)} min`);
+  });
+}
+
+function stopScheduler() {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+}
+
+module.exports = {
+  registerJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,210 @@
+// Syllabus helpers: subtopic coverage and planned-vs-actual progress per chapter
+const { toDateString } = require('./attendance');
+const { getTimetableCells } = require('./timetable');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const DEFAULT_SYLLABUS_SETTINGS = {
+  lag_digest_enabled: false
+};
+
+// Helper: Whole days from one YYYY-MM-DD date to another
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+// Helper: Branch syllabus settings with defaults for anything not configured
+async function getSyllabusSettings(db, branchId) {
+  const result = await db.query(
+    'SELECT * FROM branch.syllabus_settings WHERE branch_id = $1',
+    [branchId]
+  );
+
+  const settings = { ...DEFAULT_SYLLABUS_SETTINGS };
+  Object.entries(result.rows[0] || {}).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) settings[key] = value;
+  });
+
+  return settings;
+}
+
+// Helper: Whether a teacher has a period of the subject in the class's timetable
+async function isTimetabledTeacher(db, { branchId, teacherId, classId, subjectId }) {
+  const result = await db.query(
+    `SELECT tm.timetable_data
+     FROM branch.timetables_master tm
+     JOIN branch.classes c ON c.id = $2
+     WHERE tm.branch_id = $1
+       AND (tm.class_id = c.id OR (tm.class_id IS NULL AND tm.class_name = c.class_name))`,
+    [branchId, classId]
+  );
+
+  return result.rows.some(row => getTimetableCells(row.timetable_data)
+    .some(({ cell }) => cell.faculty === teacherId && cell.subject === subjectId));
+}
+
+// Helper: Coverage rows keyed by subtopic ID
+async function getSubtopicCoverage(db, subtopicIds) {
+  if (subtopicIds.length === 0) return new Map();
+
+  const result = await db.query(
+    `SELECT sc.subtopic_id, sc.taught_on, sc.time_slot, sc.notes, sc.taught_by, u.name AS taught_by_name
+     FROM branch.syllabus_coverage sc
+     LEFT JOIN public.users u ON sc.taught_by = u.id
+     WHERE sc.subtopic_id = ANY($1::uuid[])`,
+    [subtopicIds]
+  );
+  return new Map(result.rows.map(row => [row.subtopic_id, row]));
+}
+
+function coveragePercentage(taught, total) {
+  return total > 0 ? ((taught / total) * 100).toFixed(2) : '0.00';
+}
+
+// Helper: Planned vs actual for one chapter. A chapter starts when its first subtopic is taught
+// and ends when its last one is; days_late counts past the planned end date.
+function summarizeChapterCoverage(chapter, today) {
+  const subtopics = chapter.subtopic_details;
+  const taughtDates = subtopics.filter(s => s.taught).map(s => s.taught_on).sort();
+  const completed = subtopics.length > 0 && taughtDates.length === subtopics.length;
+  const actualEnd = completed ? taughtDates[taughtDates.length - 1] : null;
+
+  let status = 'not_started';
+  if (completed) status = 'completed';
+  else if (taughtDates.length > 0) status = 'in_progress';
+
+  // Completed chapters are measured by their last lesson, open ones by today
+  const measuredAt = actualEnd || today;
+  const daysLate = chapter.endDate && measuredAt > chapter.endDate ? daysBetween(chapter.endDate, measuredAt) : 0;
+
+  return {
+    total_subtopics: subtopics.length,
+    taught_subtopics: taughtDates.length,
+    coverage_percentage: coveragePercentage(taughtDates.length, subtopics.length),
+    status,
+    planned_start: chapter.startDate,
+    planned_end: chapter.endDate,
+    actual_start: taughtDates[0] || null,
+    actual_end: actualEnd,
+    days_late: daysLate
+  };
+}
+
+// Helper: Fill in coverage on nested syllabi ({ chapters: [{ startDate, endDate,
+// subtopic_details: [{ id, subtopic }] }] }), adding per-chapter and per-syllabus summaries
+async function applySyllabusCoverage(db, syllabi, today) {
+  const subtopicIds = syllabi.flatMap(syllabus =>
+    syllabus.chapters.flatMap(chapter => chapter.subtopic_details.map(s => s.id)));
+  const coverage = await getSubtopicCoverage(db, subtopicIds);
+
+  syllabi.forEach(syllabus => {
+    let total = 0;
+    let taught = 0;
+
+    syllabus.chapters.forEach(chapter => {
+      chapter.subtopic_details.forEach(subtopic => {
+        const row = coverage.get(subtopic.id);
+        subtopic.taught = Boolean(row);
+        subtopic.taught_on = row ? toDateString(row.taught_on) : null;
+        subtopic.time_slot = row ? row.time_slot : null;
+        subtopic.notes = row ? row.notes : null;
+        subtopic.taught_by = row ? row.taught_by : null;
+        subtopic.taught_by_name = row ? row.taught_by_name : null;
+      });
+
+      chapter.coverage = summarizeChapterCoverage(chapter, today);
+      total += chapter.coverage.total_subtopics;
+      taught += chapter.coverage.taught_subtopics;
+    });
+
+    syllabus.coverage = {
+      total_subtopics: total,
+      taught_subtopics: taught,
+      coverage_percentage: coveragePercentage(taught, total)
+    };
+  });
+
+  return syllabi;
+}
+
+// Helper: Coverage for a syllabus keyed by chapter and subtopic name, taken before
+// replaceSyllabusChapters rewrites the chapters
+async function snapshotSyllabusCoverage(db, syllabusId) {
+  const result = await db.query(
+    `SELECT ch.chapter_name, st.subtopic_name, sc.taught_on, sc.time_slot, sc.notes, sc.taught_by, sc.created_at
+     FROM branch.syllabus_coverage sc
+     JOIN branch.syllabus_subtopics st ON sc.subtopic_id = st.id
+     JOIN branch.syllabus_chapters ch ON st.chapter_id = ch.id
+     WHERE ch.syllabus_id = $1`,
+    [syllabusId]
+  );
+  return result.rows;
+}
+
+// Helper: Re-attach a snapshot to subtopics that kept their chapter and name
+async function restoreSyllabusCoverage(db, syllabusId, snapshot) {
+  if (snapshot.length === 0) return { restored: 0, dropped: 0 };
+
+  const subtopicsResult = await db.query(
+    `SELECT st.id, st.subtopic_name, ch.chapter_name
+     FROM branch.syllabus_subtopics st
+     JOIN branch.syllabus_chapters ch ON st.chapter_id = ch.id
+     WHERE ch.syllabus_id = $1`,
+    [syllabusId]
+  );
+  const subtopicIds = new Map(subtopicsResult.rows.map(r => [`${r.chapter_name}|${r.subtopic_name}`, r.id]));
+
+  let restored = 0;
+  for (const row of snapshot) {
+    const subtopicId = subtopicIds.get(`${row.chapter_name}|${row.subtopic_name}`);
+    if (!subtopicId) continue;
+
+    await db.query(
+      `INSERT INTO branch.syllabus_coverage (subtopic_id, taught_on, time_slot, notes, taught_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (subtopic_id) DO NOTHING`,
+      [subtopicId, row.taught_on, row.time_slot, row.notes, row.taught_by, row.created_at]
+    );
+    restored++;
+  }
+
+  return { restored, dropped: snapshot.length - restored };
+}
+
+// Helper: Replace a syllabus's chapters and subtopics (PUT /syllabus/:id and version restores),
+// keeping coverage for subtopics that kept their chapter and name. Call inside a transaction.
+async function replaceSyllabusChapters(db, syllabusId, chapters) {
+  const coverageSnapshot = await snapshotSyllabusCoverage(db, syllabusId);
+
+  await db.query('DELETE FROM branch.syllabus_subtopics WHERE chapter_id IN (SELECT id FROM branch.syllabus_chapters WHERE syllabus_id = $1)', [syllabusId]);
+  await db.query('DELETE FROM branch.syllabus_chapters WHERE syllabus_id = $1', [syllabusId]);
+
+  for (const chapter of chapters) {
+    const chapterResult = await db.query(
+      'INSERT INTO branch.syllabus_chapters (syllabus_id, chapter_name, start_date, end_date) VALUES ($1, $2, $3, $4) RETURNING id',
+      [syllabusId, chapter.chapter, chapter.startDate, chapter.endDate]
+    );
+    const chapterId = chapterResult.rows[0].id;
+
+    for (const subtopic of chapter.subtopics) {
+      await db.query(
+        'INSERT INTO branch.syllabus_subtopics (chapter_id, subtopic_name) VALUES ($1, $2)',
+        [chapterId, subtopic]
+      );
+    }
+  }
+
+  await db.query('UPDATE branch.syllabi SET updated_at = NOW() WHERE id = $1', [syllabusId]);
+
+  return restoreSyllabusCoverage(db, syllabusId, coverageSnapshot);
+}
+
+module.exports = {
+  daysBetween,
+  getSyllabusSettings,
+  isTimetabledTeacher,
+  getSubtopicCoverage,
+  summarizeChapterCoverage,
+  applySyllabusCoverage,
+  replaceSyllabusChapters
+};
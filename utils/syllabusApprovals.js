@@ -0,0 +1,236 @@
+// Syllabus approvals: who may publish a syllabus directly, subject teachers' drafts, and
+// applying a draft once the department incharge approves it
+const { createNotice } = require('./notices');
+const { isTimetabledTeacher, replaceSyllabusChapters } = require('./syllabus');
+const { toVersionChapters, recordSyllabusVersion } = require('./syllabusVersions');
+
+const OPEN_DRAFT_STATUSES = ['draft', 'submitted'];
+
+// Helper: users.id of the active department incharges for a subject
+async function getSubjectIncharges(db, subjectId) {
+  const result = await db.query(
+    `SELECT t.user_id
+     FROM branch.department_incharges di
+     JOIN branch.teachers t ON di.teacher_id = t.id
+     WHERE di.subject_id = $1 AND di.status = 'active'`,
+    [subjectId]
+  );
+  return result.rows.map(r => r.user_id);
+}
+
+// Helper: How a user may change a class's syllabus for a subject. Admins and the subject's
+// department incharge publish directly ('publish'); teachers timetabled for the subject in
+// the class write drafts ('draft'); anyone else gets null.
+async function getSyllabusAccess(db, user, { branchId, classId, subjectId }) {
+  if (['admin', 'superadmin'].includes(user.role)) return 'publish';
+  if (user.role !== 'teacher') return null;
+
+  const incharges = await getSubjectIncharges(db, subjectId);
+  if (incharges.includes(user.userId)) return 'publish';
+
+  const teaches = await isTimetabledTeacher(db, { branchId, teacherId: user.userId, classId, subjectId });
+  return teaches ? 'draft' : null;
+}
+
+// Helper: Whether a user reviews drafts for a subject (admins, or its department incharge)
+async function canReviewSyllabusDraft(db, user, subjectId) {
+  if (['admin', 'superadmin'].includes(user.role)) return true;
+  if (user.role !== 'teacher') return false;
+  return (await getSubjectIncharges(db, subjectId)).includes(user.userId);
+}
+
+// Helper: Draft with its class, subject and people, scoped to the branch
+async function findSyllabusDraft(db, draftId, branchId) {
+  const result = await db.query(
+    `SELECT d.*, c.class_name, sub.name AS subject_name,
+       author.name AS created_by_name, reviewer.name AS reviewed_by_name
+     FROM branch.syllabus_drafts d
+     JOIN branch.classes c ON d.class_id = c.id
+     JOIN branch.subjects sub ON d.subject_id = sub.id
+     LEFT JOIN public.users author ON d.created_by = author.id
+     LEFT JOIN public.users reviewer ON d.reviewed_by = reviewer.id
+     WHERE d.id = $1 AND d.branch_id = $2::uuid`,
+    [draftId, branchId]
+  );
+  return result.rows[0] || null;
+}
+
+// Helper: Latest version of a syllabus (the live plan), or null
+async function getLatestSyllabusVersion(db, syllabusId) {
+  if (!syllabusId) return null;
+  const result = await db.query(
+    `SELECT version_number, chapters FROM branch.syllabus_versions
+     WHERE syllabus_id = $1
+     ORDER BY version_number DESC
+     LIMIT 1`,
+    [syllabusId]
+  );
+  return result.rows[0] || null;
+}
+
+// Helper: Save a teacher's change as their open draft for the class and subject, creating it or
+// replacing its chapters. A submitted draft that is edited goes back to 'draft' and has to be
+// resubmitted. Returns { conflict } when another teacher already has an open draft.
+async function saveSyllabusDraft(db, { branchId, syllabusId = null, classId, subjectId, chapters, actor }) {
+  const latest = await getLatestSyllabusVersion(db, syllabusId);
+  const chaptersValue = JSON.stringify(toVersionChapters(chapters));
+
+  const openResult = await db.query(
+    `SELECT * FROM branch.syllabus_drafts
+     WHERE class_id = $1 AND subject_id = $2 AND status = ANY($3::text[])
+     FOR UPDATE`,
+    [classId, subjectId, OPEN_DRAFT_STATUSES]
+  );
+  const open = openResult.rows[0];
+
+  if (open && open.created_by !== actor.userId) {
+    return { conflict: open };
+  }
+
+  if (open) {
+    const updated = await db.query(
+      `UPDATE branch.syllabus_drafts SET
+         chapters = $1,
+         base_version = $2,
+         status = 'draft',
+         submitted_at = NULL,
+         updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [chaptersValue, latest ? latest.version_number : null, open.id]
+    );
+    return { draft: updated.rows[0], created: false };
+  }
+
+  const inserted = await db.query(
+    `INSERT INTO branch.syllabus_drafts (
+       branch_id, draft_type, syllabus_id, class_id, subject_id, chapters, base_version, created_by
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      branchId,
+      syllabusId ? 'update' : 'create',
+      syllabusId,
+      classId,
+      subjectId,
+      chaptersValue,
+      latest ? latest.version_number : null,
+      actor.userId
+    ]
+  );
+  return { draft: inserted.rows[0], created: true };
+}
+
+// Helper: Write an approved draft to the syllabus tables inside a transaction, recording the
+// version under the draft's author. Returns { error } when the syllabus changed shape since the
+// draft was written (deleted, or created by someone else).
+async function applySyllabusDraft(db, { draft, reviewer, comment }) {
+  let syllabus;
+  let coverage = { restored: 0, dropped: 0 };
+
+  if (draft.draft_type === 'update') {
+    const existing = draft.syllabus_id && await db.query(
+      'SELECT id, class_id, subject_id FROM branch.syllabi WHERE id = $1',
+      [draft.syllabus_id]
+    );
+    if (!existing || existing.rows.length === 0) {
+      return { error: 'The syllabus has been deleted since this draft was written' };
+    }
+    syllabus = existing.rows[0];
+    coverage = await replaceSyllabusChapters(db, syllabus.id, draft.chapters);
+
+    // A hand-edited syllabus stops following its template, as with PUT /syllabus/:id
+    await db.query(
+      'UPDATE branch.syllabi SET template_linked = false WHERE id = $1 AND template_linked = true',
+      [syllabus.id]
+    );
+  } else {
+    const existing = await db.query(
+      'SELECT id FROM branch.syllabi WHERE class_id = $1 AND subject_id = $2',
+      [draft.class_id, draft.subject_id]
+    );
+    if (existing.rows.length > 0) {
+      return { error: 'A syllabus has been created for this class and subject since this draft was written' };
+    }
+    const inserted = await db.query(
+      'INSERT INTO branch.syllabi (class_id, subject_id) VALUES ($1, $2) RETURNING id, class_id, subject_id',
+      [draft.class_id, draft.subject_id]
+    );
+    syllabus = inserted.rows[0];
+    await replaceSyllabusChapters(db, syllabus.id, draft.chapters);
+  }
+
+  const version = await recordSyllabusVersion(db, {
+    syllabus,
+    chapters: draft.chapters,
+    changeType: draft.draft_type,
+    actor: { userId: draft.created_by },
+    draftId: draft.id,
+    approvedBy: reviewer.userId
+  });
+
+  const approved = await db.query(
+    `UPDATE branch.syllabus_drafts SET
+       status = 'approved',
+       syllabus_id = $1,
+       reviewed_by = $2,
+       reviewed_at = NOW(),
+       review_comment = $3,
+       applied_version = $4,
+       updated_at = NOW()
+     WHERE id = $5
+     RETURNING *`,
+    [syllabus.id, reviewer.userId, comment || null, version.version_number, draft.id]
+  );
+
+  return { draft: approved.rows[0], version, coverage };
+}
+
+// Helper: In-app notice about a draft (submitted, approved, rejected), pushed live when possible.
+// Sent after the draft change has committed, so errors are logged and returned as null rather
+// than failing a request whose change was already saved.
+async function sendSyllabusDraftNotice(db, { draft, title, content, userIds, createdBy, broadcast }) {
+  try {
+    const recipients = userIds.filter(id => id && id !== createdBy);
+    if (recipients.length === 0) return null;
+
+    const { noticeId } = await createNotice(db, {
+      title,
+      content,
+      priority: 'medium',
+      audienceType: 'teachers',
+      createdBy,
+      branchId: draft.branch_id,
+      userIds: recipients
+    });
+
+    if (broadcast) {
+      broadcast(recipients, {
+        id: noticeId,
+        title,
+        content,
+        priority: 'medium',
+        publish_date: new Date().toISOString(),
+        audience_type: 'teachers',
+        category: 'syllabus_draft',
+        draft_id: draft.id
+      });
+    }
+    return noticeId;
+  } catch (error) {
+    console.error('❌ Syllabus draft notice - Error:', { draftId: draft.id, error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  OPEN_DRAFT_STATUSES,
+  getSubjectIncharges,
+  getSyllabusAccess,
+  canReviewSyllabusDraft,
+  findSyllabusDraft,
+  getLatestSyllabusVersion,
+  saveSyllabusDraft,
+  applySyllabusDraft,
+  sendSyllabusDraftNotice
+};
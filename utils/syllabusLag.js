@@ -0,0 +1,241 @@
+// Syllabus lag: chapters past their planned end date with subtopics still untaught
+const pool = require('../config/database');
+const { getAttendanceSettings, getBranchClock, toDateString } = require('./attendance');
+const { getTimetableCells } = require('./timetable');
+const { daysBetween } = require('./syllabus');
+const { createNotice } = require('./notices');
+
+const DIGEST_MAX_LINES = 20;
+
+// Helper: Subject teachers per class from the timetable grids, keyed 'classId|subjectId'
+async function getSubjectTeachers(db, branchId) {
+  const result = await db.query(
+    `SELECT c.id AS class_id, tm.timetable_data
+     FROM branch.timetables_master tm
+     JOIN branch.classes c
+       ON c.branch_id = tm.branch_id
+       AND (tm.class_id = c.id OR (tm.class_id IS NULL AND tm.class_name = c.class_name))
+     WHERE tm.branch_id = $1`,
+    [branchId]
+  );
+
+  const teacherIds = new Map();
+  result.rows.forEach(row => {
+    getTimetableCells(row.timetable_data).forEach(({ cell }) => {
+      if (!cell.subject || !cell.faculty) return;
+      const key = `${row.class_id}|${cell.subject}`;
+      if (!teacherIds.has(key)) teacherIds.set(key, new Set());
+      teacherIds.get(key).add(cell.faculty);
+    });
+  });
+
+  const allIds = [...new Set([...teacherIds.values()].flatMap(ids => [...ids]))];
+  const namesResult = allIds.length > 0
+    ? await db.query('SELECT id, name FROM public.users WHERE id = ANY($1::uuid[])', [allIds])
+    : { rows: [] };
+  const names = new Map(namesResult.rows.map(u => [u.id, u.name]));
+
+  const teachers = new Map();
+  teacherIds.forEach((ids, key) => {
+    teachers.set(key, [...ids].map(id => ({ id, name: names.get(id) || 'Unknown Teacher' })));
+  });
+  return teachers;
+}
+
+// Helper: Subjects each active department incharge looks after, keyed by users.id
+async function getDepartmentIncharges(db, branchId) {
+  const result = await db.query(
+    `SELECT t.user_id, di.subject_id
+     FROM branch.department_incharges di
+     JOIN branch.teachers t ON di.teacher_id = t.id
+     JOIN branch.subjects sub ON di.subject_id = sub.id
+     WHERE di.status = 'active' AND sub.branch_id = $1`,
+    [branchId]
+  );
+
+  const incharges = new Map();
+  result.rows.forEach(row => {
+    if (!incharges.has(row.user_id)) incharges.set(row.user_id, new Set());
+    incharges.get(row.user_id).add(row.subject_id);
+  });
+  return incharges;
+}
+
+// Helper: Lagging chapters in the branch's active classes as of today (YYYY-MM-DD)
+async function findLaggingChapters(db, { branchId, today }) {
+  const result = await db.query(
+    `SELECT
+       s.id AS syllabus_id,
+       s.class_id,
+       c.class_name,
+       c.teacher_id AS class_teacher_id,
+       ct.name AS class_teacher_name,
+       s.subject_id,
+       sub.name AS subject_name,
+       ch.id AS chapter_id,
+       ch.chapter_name,
+       ch.start_date,
+       ch.end_date,
+       COUNT(st.id) AS total_subtopics,
+       COUNT(cov.id) AS taught_subtopics,
+       MAX(cov.taught_on) AS last_taught_on
+     FROM branch.syllabi s
+     JOIN branch.classes c ON s.class_id = c.id
+     JOIN branch.subjects sub ON s.subject_id = sub.id
+     JOIN branch.syllabus_chapters ch ON ch.syllabus_id = s.id
+     JOIN branch.syllabus_subtopics st ON st.chapter_id = ch.id
+     LEFT JOIN branch.syllabus_coverage cov ON cov.subtopic_id = st.id
+     LEFT JOIN public.users ct ON c.teacher_id = ct.id
+     WHERE c.branch_id = $1
+       AND c.status = 'Active'
+       AND ch.end_date < $2
+     GROUP BY s.id, s.class_id, c.class_name, c.teacher_id, ct.name, s.subject_id, sub.name,
+       ch.id, ch.chapter_name, ch.start_date, ch.end_date
+     HAVING COUNT(cov.id) < COUNT(st.id)
+     ORDER BY ch.end_date, c.class_name, sub.name`,
+    [branchId, today]
+  );
+
+  const subjectTeachers = await getSubjectTeachers(db, branchId);
+
+  return result.rows.map(row => {
+    const plannedEnd = toDateString(row.end_date);
+    const total = parseInt(row.total_subtopics);
+    const taught = parseInt(row.taught_subtopics);
+
+    return {
+      syllabus_id: row.syllabus_id,
+      class_id: row.class_id,
+      class_name: row.class_name,
+      class_teacher_id: row.class_teacher_id,
+      class_teacher_name: row.class_teacher_name,
+      subject_id: row.subject_id,
+      subject_name: row.subject_name,
+      chapter_id: row.chapter_id,
+      chapter_name: row.chapter_name,
+      planned_start: toDateString(row.start_date),
+      planned_end: plannedEnd,
+      total_subtopics: total,
+      taught_subtopics: taught,
+      remaining_subtopics: total - taught,
+      last_taught_on: row.last_taught_on ? toDateString(row.last_taught_on) : null,
+      days_behind: daysBetween(plannedEnd, today),
+      teachers: subjectTeachers.get(`${row.class_id}|${row.subject_id}`) || []
+    };
+  });
+}
+
+// Scheduled job: one digest a day for each incharge (their subjects) and class teacher (their
+// classes); someone who is both gets a single notice
+async function runSyllabusLagDigest({ broadcastNotificationToStudents } = {}) {
+  const branchesResult = await pool.query(
+    'SELECT branch_id FROM branch.syllabus_settings WHERE lag_digest_enabled = true'
+  );
+
+  for (const { branch_id: branchId } of branchesResult.rows) {
+    const settings = await getAttendanceSettings(pool, branchId);
+    const { date: today } = getBranchClock(settings);
+
+    const chapters = await findLaggingChapters(pool, { branchId, today });
+    if (chapters.length === 0) continue;
+
+    const incharges = await getDepartmentIncharges(pool, branchId);
+
+    const recipients = new Map();
+    const addFor = (userId, chapter) => {
+      if (!recipients.has(userId)) recipients.set(userId, new Map());
+      recipients.get(userId).set(chapter.chapter_id, chapter);
+    };
+    chapters.forEach(chapter => {
+      incharges.forEach((subjectIds, userId) => {
+        if (subjectIds.has(chapter.subject_id)) addFor(userId, chapter);
+      });
+      if (chapter.class_teacher_id) addFor(chapter.class_teacher_id, chapter);
+    });
+
+    let sent = 0;
+    for (const [userId, chapterMap] of recipients.entries()) {
+      const userChapters = [...chapterMap.values()].sort((a, b) => b.days_behind - a.days_behind);
+
+      const title = `${userChapters.length} syllabus chapter(s) behind schedule`;
+      const lines = userChapters.slice(0, DIGEST_MAX_LINES).map(c =>
+        `- ${c.class_name} · ${c.subject_name}: ${c.chapter_name} — ${c.days_behind} day(s) behind, ` +
+        `${c.taught_subtopics}/${c.total_subtopics} subtopics taught` +
+        (c.teachers.length > 0 ? ` (${c.teachers.map(t => t.name).join(', ')})` : ''));
+      if (userChapters.length > DIGEST_MAX_LINES) {
+        lines.push(`...and ${userChapters.length - DIGEST_MAX_LINES} more`);
+      }
+      const content = [`Chapters past their planned end date as of ${today}:`, ...lines].join('\n');
+
+      // Claim today's digest and send it in one transaction, so a failed notice leaves the
+      // recipient unclaimed for the next run
+      const client = await pool.connect();
+      let noticeId = null;
+      try {
+        await client.query('BEGIN');
+
+        // A rerun the same day skips recipients already claimed
+        const claimed = await client.query(
+          `INSERT INTO branch.syllabus_lag_digests (branch_id, recipient_id, digest_date, lagging_chapters)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (recipient_id, digest_date) DO NOTHING
+           RETURNING id`,
+          [branchId, userId, today, userChapters.length]
+        );
+
+        if (claimed.rows.length > 0) {
+          ({ noticeId } = await createNotice(client, {
+            title,
+            content,
+            priority: 'medium',
+            audienceType: 'teachers',
+            createdBy: userId,
+            branchId,
+            userIds: [userId]
+          }));
+
+          await client.query(
+            'UPDATE branch.syllabus_lag_digests SET notice_id = $1 WHERE id = $2',
+            [String(noticeId), claimed.rows[0].id]
+          );
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Syllabus lag digest - Error:', { branchId, userId, error: error.message });
+        continue;
+      } finally {
+        client.release();
+      }
+
+      if (noticeId === null) continue;
+
+      if (broadcastNotificationToStudents) {
+        broadcastNotificationToStudents([userId], {
+          id: noticeId,
+          title,
+          content,
+          priority: 'medium',
+          publish_date: new Date().toISOString(),
+          audience_type: 'teachers',
+          category: 'syllabus_lag',
+          chapter_ids: userChapters.map(c => c.chapter_id)
+        });
+      }
+      sent++;
+    }
+
+    console.log('✅ Syllabus lag digest:', {
+      branchId,
+      laggingChapters: chapters.length,
+      digestsSent: sent
+    });
+  }
+}
+
+module.exports = {
+  getDepartmentIncharges,
+  findLaggingChapters,
+  runSyllabusLagDigest
+};
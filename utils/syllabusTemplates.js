@@ -0,0 +1,147 @@
+// Syllabus templates: one plan per standard and subject, applied to any of its sections
+const { replaceSyllabusChapters } = require('./syllabus');
+const { recordSyllabusVersion } = require('./syllabusVersions');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper: Validate a template plan. Chapter names must be unique because date overrides
+// (and coverage across re-applies) are matched by name.
+function validateTemplateChapters(chapters) {
+  if (!Array.isArray(chapters) || chapters.length === 0) {
+    return 'chapters array is required and must not be empty';
+  }
+
+  const names = new Set();
+  for (const chapter of chapters) {
+    if (!chapter.chapter || !DATE_PATTERN.test(chapter.startDate || '') || !DATE_PATTERN.test(chapter.endDate || '')) {
+      return 'Each chapter must have chapter name, startDate, and endDate (YYYY-MM-DD)';
+    }
+    if (chapter.endDate < chapter.startDate) {
+      return `endDate is before startDate for chapter ${chapter.chapter}`;
+    }
+    if (!Array.isArray(chapter.subtopics) || chapter.subtopics.some(s => typeof s !== 'string' || !s.trim())) {
+      return `subtopics must be an array of names for chapter ${chapter.chapter}`;
+    }
+    if (names.has(chapter.chapter)) {
+      return `Chapter names must be unique (${chapter.chapter})`;
+    }
+    names.add(chapter.chapter);
+  }
+
+  return null;
+}
+
+// Helper: Validate one class's overrides ({ "<chapter name>": { startDate, endDate } })
+// against the template plan
+function validateDateOverrides(overrides, chapters) {
+  if (overrides === null || overrides === undefined) return null;
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'date overrides must be an object keyed by chapter name';
+  }
+
+  for (const [name, dates] of Object.entries(overrides)) {
+    const chapter = chapters.find(c => c.chapter === name);
+    if (!chapter) return `No chapter named ${name} in the template`;
+
+    const startDate = dates?.startDate || chapter.startDate;
+    const endDate = dates?.endDate || chapter.endDate;
+    if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate) || endDate < startDate) {
+      return `Invalid date override for chapter ${name}`;
+    }
+  }
+
+  return null;
+}
+
+// Helper: Template chapters with a class's date overrides applied
+function applyDateOverrides(chapters, overrides) {
+  return chapters.map(chapter => ({
+    ...chapter,
+    startDate: overrides?.[chapter.chapter]?.startDate || chapter.startDate,
+    endDate: overrides?.[chapter.chapter]?.endDate || chapter.endDate,
+    subtopics: [...chapter.subtopics]
+  }));
+}
+
+// Helper: Apply a template to one class inside a transaction. An existing syllabus for the
+// class and subject is skipped unless replaceExisting is set.
+async function applyTemplateToClass(db, { template, classData, linked, overrides, replaceExisting, actor }) {
+  const existingResult = await db.query(
+    'SELECT id, class_id, subject_id FROM branch.syllabi WHERE class_id = $1 AND subject_id = $2 FOR UPDATE',
+    [classData.id, template.subject_id]
+  );
+  const existing = existingResult.rows[0];
+
+  if (existing && !replaceExisting) {
+    return { class_id: classData.id, class_name: classData.class_name, syllabus_id: existing.id, result: 'skipped', reason: 'Syllabus already exists' };
+  }
+
+  const chapters = applyDateOverrides(template.chapters, overrides);
+  const overridesValue = overrides && Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : null;
+
+  let syllabus = existing;
+  if (existing) {
+    await db.query(
+      'UPDATE branch.syllabi SET template_id = $1, template_linked = $2, date_overrides = $3 WHERE id = $4',
+      [template.id, linked, overridesValue, existing.id]
+    );
+  } else {
+    const inserted = await db.query(
+      `INSERT INTO branch.syllabi (class_id, subject_id, template_id, template_linked, date_overrides)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, class_id, subject_id`,
+      [classData.id, template.subject_id, template.id, linked, overridesValue]
+    );
+    syllabus = inserted.rows[0];
+  }
+
+  const coverage = await replaceSyllabusChapters(db, syllabus.id, chapters);
+  const version = await recordSyllabusVersion(db, {
+    syllabus,
+    chapters,
+    changeType: existing ? 'template' : 'create',
+    actor
+  });
+
+  return {
+    class_id: classData.id,
+    class_name: classData.class_name,
+    syllabus_id: syllabus.id,
+    result: existing ? 'replaced' : 'created',
+    version: version.version_number,
+    coverage_dropped: coverage.dropped
+  };
+}
+
+// Helper: Copy a template's plan to every syllabus still linked to it (inside a transaction)
+async function propagateTemplate(db, { template, actor }) {
+  const linkedResult = await db.query(
+    `SELECT id, class_id, subject_id, date_overrides
+     FROM branch.syllabi
+     WHERE template_id = $1 AND template_linked = true
+     FOR UPDATE`,
+    [template.id]
+  );
+
+  const updated = [];
+  for (const syllabus of linkedResult.rows) {
+    const chapters = applyDateOverrides(template.chapters, syllabus.date_overrides);
+    const coverage = await replaceSyllabusChapters(db, syllabus.id, chapters);
+    const version = await recordSyllabusVersion(db, { syllabus, chapters, changeType: 'template', actor });
+    updated.push({
+      syllabus_id: syllabus.id,
+      class_id: syllabus.class_id,
+      version: version.version_number,
+      coverage_dropped: coverage.dropped
+    });
+  }
+
+  return updated;
+}
+
+module.exports = {
+  validateTemplateChapters,
+  validateDateOverrides,
+  applyTemplateToClass,
+  propagateTemplate
+};
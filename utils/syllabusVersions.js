@@ -0,0 +1,119 @@
+// Syllabus versions: immutable snapshots of a syllabus plan on every save, and diffs between them
+
+// Helper: Snapshot shape for a chapters array as accepted by POST/PUT /syllabus
+function toVersionChapters(chapters) {
+  return chapters.map(chapter => ({
+    chapter: chapter.chapter,
+    startDate: chapter.startDate,
+    endDate: chapter.endDate,
+    subtopics: [...chapter.subtopics]
+  }));
+}
+
+// Helper: Store the next version of a syllabus. Call inside the transaction that saved it;
+// the syllabus row is locked so concurrent saves get consecutive numbers. Approved drafts pass
+// draftId and approvedBy; actor is then the draft's author.
+async function recordSyllabusVersion(db, {
+  syllabus,
+  chapters,
+  changeType,
+  restoredFromVersion = null,
+  actor,
+  draftId = null,
+  approvedBy = null
+}) {
+  await db.query('SELECT id FROM branch.syllabi WHERE id = $1 FOR UPDATE', [syllabus.id]);
+
+  const result = await db.query(
+    `INSERT INTO branch.syllabus_versions (
+      syllabus_id, class_id, subject_id, version_number, chapters, change_type, restored_from_version,
+      created_by, draft_id, approved_by
+    )
+    SELECT $1, $2, $3, COALESCE(MAX(version_number), 0) + 1, $4, $5, $6, $7, $8, $9
+    FROM branch.syllabus_versions
+    WHERE syllabus_id = $1
+    RETURNING id, version_number, change_type, restored_from_version, created_by, draft_id, approved_by, created_at`,
+    [
+      syllabus.id,
+      syllabus.class_id,
+      syllabus.subject_id,
+      JSON.stringify(toVersionChapters(chapters)),
+      changeType,
+      restoredFromVersion,
+      actor.userId,
+      draftId,
+      approvedBy
+    ]
+  );
+  return result.rows[0];
+}
+
+// Helper: Multiset difference of two name lists (a minus b)
+function subtractNames(a, b) {
+  const remaining = new Map();
+  b.forEach(name => remaining.set(name, (remaining.get(name) || 0) + 1));
+  return a.filter(name => {
+    const count = remaining.get(name) || 0;
+    if (count === 0) return true;
+    remaining.set(name, count - 1);
+    return false;
+  });
+}
+
+// Helper: Chapter- and subtopic-level diff between two snapshots. Chapters are matched by name
+// (in order, when a name repeats); a matched chapter is changed when its dates or subtopics differ.
+function diffSyllabusVersions(fromChapters, toChapters) {
+  const unmatched = [...toChapters];
+  const chapters = [];
+  let unchanged = 0;
+
+  fromChapters.forEach(before => {
+    const index = unmatched.findIndex(c => c.chapter === before.chapter);
+    if (index === -1) {
+      chapters.push({ chapter: before.chapter, change: 'removed', subtopics_removed: before.subtopics });
+      return;
+    }
+
+    const after = unmatched.splice(index, 1)[0];
+    const subtopicsAdded = subtractNames(after.subtopics, before.subtopics);
+    const subtopicsRemoved = subtractNames(before.subtopics, after.subtopics);
+    const datesChanged = before.startDate !== after.startDate || before.endDate !== after.endDate;
+
+    if (!datesChanged && subtopicsAdded.length === 0 && subtopicsRemoved.length === 0) {
+      unchanged++;
+      return;
+    }
+
+    chapters.push({
+      chapter: before.chapter,
+      change: 'changed',
+      ...(before.startDate !== after.startDate && { start_date: { from: before.startDate, to: after.startDate } }),
+      ...(before.endDate !== after.endDate && { end_date: { from: before.endDate, to: after.endDate } }),
+      subtopics_added: subtopicsAdded,
+      subtopics_removed: subtopicsRemoved
+    });
+  });
+
+  unmatched.forEach(after => {
+    chapters.push({ chapter: after.chapter, change: 'added', subtopics_added: after.subtopics });
+  });
+
+  const count = change => chapters.filter(c => c.change === change).length;
+  return {
+    summary: {
+      chapters_added: count('added'),
+      chapters_removed: count('removed'),
+      chapters_changed: count('changed'),
+      chapters_unchanged: unchanged,
+      subtopics_added: chapters.reduce((sum, c) => sum + (c.subtopics_added || []).length, 0),
+      subtopics_removed: chapters.reduce((sum, c) => sum + (c.subtopics_removed || []).length, 0)
+    },
+    chapters
+  };
+}
+
+module.exports = {
+  toVersionChapters,
+  recordSyllabusVersion,
+  diffSyllabusVersions
+};
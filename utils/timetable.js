@@ -0,0 +1,263 @@
+// Timetable grid helpers shared by the timetable endpoints
+//
+// timetable_data is stored as { [day]: { [timeSlot]: { subject, faculty, room_number? } } }
+// where timeSlot is the label from time_slots, e.g. "09:00-09:45" or "9:00 AM - 9:45 AM".
+
+// Helper: Convert "9:05", "09:05" or "9:05 PM" to minutes since midnight
+function toMinutes(hours, minutes, meridiem) {
+  let h = parseInt(hours, 10) % 24;
+  const m = parseInt(minutes, 10);
+
+  if (meridiem) {
+    const isPm = meridiem.toUpperCase() === 'PM';
+    if (h === 12) h = 0;
+    if (isPm) h += 12;
+  }
+
+  return h * 60 + m;
+}
+
+// Helper: Parse a time slot label into { start, end } minutes, or null if it is not a time range
+function parseTimeSlot(slot) {
+  const match = String(slot || '').match(
+    /(\d{1,2})[:.](\d{2})\s*(AM|PM)?\s*(?:-|–|to)\s*(\d{1,2})[:.](\d{2})\s*(AM|PM)?/i
+  );
+
+  if (!match) return null;
+
+  // "9:00 - 9:45 AM" carries the meridiem on the end time only
+  const endMeridiem = match[6];
+  const end = toMinutes(match[4], match[5], endMeridiem);
+  let start = toMinutes(match[1], match[2], match[3] || endMeridiem);
+
+  // "11:30 - 12:15 PM" starts in the morning
+  if (!match[3] && endMeridiem && start > end) {
+    start = toMinutes(match[1], match[2], 'AM');
+  }
+
+  return { start, end };
+}
+
+// Helper: Two slots clash when their time ranges overlap (or their labels match when unparseable)
+function slotsOverlap(slotA, slotB) {
+  const a = parseTimeSlot(slotA);
+  const b = parseTimeSlot(slotB);
+
+  if (!a || !b) {
+    return String(slotA).trim().toLowerCase() === String(slotB).trim().toLowerCase();
+  }
+
+  return a.start < b.end && b.start < a.end;
+}
+
+// Helper: Flatten a timetable grid into filled cells
+function getTimetableCells(timetableData) {
+  const cells = [];
+
+  Object.entries(timetableData || {}).forEach(([day, slots]) => {
+    if (!slots || typeof slots !== 'object') return;
+
+    Object.entries(slots).forEach(([slot, cell]) => {
+      if (!cell || typeof cell !== 'object') return;
+      if (!cell.subject && !cell.faculty) return;
+      cells.push({ day, slot, cell });
+    });
+  });
+
+  return cells;
+}
+
+// Helper: Find faculty and room double-bookings between a grid and the other grids
+// of the branch for the same academic year
+async function findTimetableClashes(db, {
+  branchId,
+  academicYear,
+  timetableData,
+  classId = null,
+  excludeTimetableId = null
+}) {
+  const ownCells = getTimetableCells(timetableData);
+  if (ownCells.length === 0) return [];
+
+  // A cell without its own room_number is taught in the class's home room
+  let ownRoom = null;
+  if (classId) {
+    const classResult = await db.query(
+      'SELECT room_number FROM branch.classes WHERE id = $1 AND branch_id = $2',
+      [classId, branchId]
+    );
+    ownRoom = classResult.rows[0]?.room_number || null;
+  }
+
+  const othersResult = await db.query(
+    `SELECT tm.id, tm.class_id, tm.class_name, tm.timetable_data, c.room_number AS class_room
+     FROM branch.timetables_master tm
+     LEFT JOIN branch.classes c ON c.id = tm.class_id
+     WHERE tm.branch_id = $1
+       AND tm.academic_year = $2
+       AND ($3::uuid IS NULL OR tm.id <> $3::uuid)
+       AND ($4::uuid IS NULL OR tm.class_id IS NULL OR tm.class_id <> $4::uuid)`,
+    [branchId, academicYear, excludeTimetableId, classId]
+  );
+
+  const clashes = [];
+
+  for (const other of othersResult.rows) {
+    const otherCells = getTimetableCells(other.timetable_data);
+
+    for (const own of ownCells) {
+      const ownDay = String(own.day).trim().toLowerCase();
+      const ownRoomNumber = own.cell.room_number || ownRoom;
+
+      for (const theirs of otherCells) {
+        if (String(theirs.day).trim().toLowerCase() !== ownDay) continue;
+        if (!slotsOverlap(own.slot, theirs.slot)) continue;
+
+        const base = {
+          day: own.day,
+          slot: own.slot,
+          conflicting_timetable_id: other.id,
+          conflicting_class_id: other.class_id,
+          conflicting_class_name: other.class_name,
+          conflicting_slot: theirs.slot
+        };
+
+        if (own.cell.faculty && own.cell.faculty === theirs.cell.faculty) {
+          clashes.push({ type: 'faculty', faculty: own.cell.faculty, ...base });
+        }
+
+        const theirRoomNumber = theirs.cell.room_number || other.class_room;
+        if (ownRoomNumber && theirRoomNumber &&
+            String(ownRoomNumber).trim().toLowerCase() === String(theirRoomNumber).trim().toLowerCase()) {
+          clashes.push({ type: 'room', room_number: ownRoomNumber, ...base });
+        }
+      }
+    }
+  }
+
+  // Attach faculty names so the client can render the list directly
+  const facultyIds = [...new Set(clashes.filter(c => c.faculty).map(c => c.faculty))];
+  if (facultyIds.length > 0) {
+    const namesResult = await db.query(
+      'SELECT id, name FROM public.users WHERE id::text = ANY($1::text[])',
+      [facultyIds]
+    );
+    const names = new Map(namesResult.rows.map(r => [r.id, r.name]));
+    clashes.forEach(c => {
+      if (c.faculty) c.faculty_name = names.get(c.faculty) || null;
+    });
+  }
+
+  return clashes;
+}
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Helper: Weekday name for a YYYY-MM-DD date
+function getWeekdayName(date) {
+  return WEEKDAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// Helper: Find the grid day label ("Monday", "monday", "Mon") for a weekday name
+function findDayKey(days, weekdayName) {
+  const target = weekdayName.toLowerCase();
+  return (days || []).find(day => {
+    const label = String(day).trim().toLowerCase();
+    return label === target || (label.length >= 3 && target.startsWith(label));
+  }) || null;
+}
+
+// Helper: Substitutions recorded for a date, optionally limited to a class or teacher
+async function getSubstitutionsForDate(db, { branchId, date, classId = null, teacherId = null }) {
+  const result = await db.query(
+    `SELECT
+       ts.*,
+       sub.name AS substitute_teacher_name,
+       absent.name AS absent_teacher_name,
+       subj.name AS subject_name,
+       c.class_name
+     FROM branch.teacher_substitutions ts
+     LEFT JOIN public.users sub ON ts.substitute_teacher_id = sub.id
+     LEFT JOIN public.users absent ON ts.absent_teacher_id = absent.id
+     LEFT JOIN branch.subjects subj ON ts.subject_id = subj.id
+     LEFT JOIN branch.classes c ON ts.class_id = c.id
+     WHERE ts.branch_id = $1
+       AND ts.substitution_date = $2
+       AND ($3::uuid IS NULL OR ts.class_id = $3::uuid)
+       AND ($4::uuid IS NULL OR ts.substitute_teacher_id = $4::uuid OR ts.absent_teacher_id = $4::uuid)
+     ORDER BY ts.time_slot`,
+    [branchId, date, classId, teacherId]
+  );
+
+  return result.rows;
+}
+
+// Helper: A class's periods on a date, with substitutes applied to the teaching faculty
+async function getClassSlotsForDate(db, { branchId, classId, date }) {
+  const timetableResult = await db.query(
+    `SELECT tm.id, tm.time_slots, tm.days, tm.timetable_data, tm.academic_year
+     FROM branch.timetables_master tm
+     JOIN branch.classes c ON c.id = $2
+     WHERE tm.branch_id = $1
+       AND (tm.class_id = c.id OR (tm.class_id IS NULL AND tm.class_name = c.class_name))
+     ORDER BY tm.created_at DESC
+     LIMIT 1`,
+    [branchId, classId]
+  );
+
+  if (timetableResult.rows.length === 0) return null;
+
+  const timetable = timetableResult.rows[0];
+  const dayKey = findDayKey(timetable.days, getWeekdayName(date));
+  const substitutions = await getSubstitutionsForDate(db, { branchId, date, classId });
+
+  const slots = (dayKey ? timetable.time_slots : []).map(timeSlot => {
+    const cell = timetable.timetable_data?.[dayKey]?.[timeSlot];
+    if (!cell || (!cell.subject && !cell.faculty)) return null;
+
+    const substitution = substitutions.find(s => s.time_slot === timeSlot);
+
+    return {
+      time_slot: timeSlot,
+      subject_id: cell.subject || null,
+      scheduled_faculty_id: cell.faculty || null,
+      faculty_id: substitution ? substitution.substitute_teacher_id : (cell.faculty || null),
+      substitution: substitution || null
+    };
+  }).filter(Boolean);
+
+  return { timetable, dayKey, slots };
+}
+
+// Helper: Start of a class's first period (minutes since midnight) from its timetable's time_slots
+async function getFirstPeriodStart(db, { branchId, classId }) {
+  const result = await db.query(
+    `SELECT tm.time_slots
+     FROM branch.timetables_master tm
+     JOIN branch.classes c ON c.id = $2
+     WHERE tm.branch_id = $1
+       AND (tm.class_id = c.id OR (tm.class_id IS NULL AND tm.class_name = c.class_name))
+     ORDER BY tm.created_at DESC
+     LIMIT 1`,
+    [branchId, classId]
+  );
+
+  const starts = (result.rows[0]?.time_slots || [])
+    .map(parseTimeSlot)
+    .filter(Boolean)
+    .map(range => range.start);
+
+  return starts.length > 0 ? Math.min(...starts) : null;
+}
+
+module.exports = {
+  getClassSlotsForDate,
+  getFirstPeriodStart,
+  getWeekdayName,
+  findDayKey,
+  getSubstitutionsForDate,
+  parseTimeSlot,
+  slotsOverlap,
+  getTimetableCells,
+  findTimetableClashes
+};
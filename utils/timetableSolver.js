@@ -0,0 +1,279 @@
+// Constraint solver for generating class timetables
+//
+// Every lesson (one period of a subject for a class, taught by a fixed teacher) is
+// placed on a (day, slot) so that:
+//   - a class has at most one lesson per slot
+//   - a teacher has at most one lesson per slot, and never in a blocked slot
+//     (declared unavailability or a period already booked in another timetable)
+//   - a subject is taught at most maxDailyPerSubject times a day in a class
+//
+// The search is a depth-first backtracking search that always expands the lesson with
+// the fewest remaining positions. When it cannot finish within the time limit, a greedy
+// pass places as many lessons as possible, a repair pass moves single lessons aside to
+// make room for the rest, and whatever is left is reported as unplaced.
+//
+// The search is CPU-bound, so request handlers call runTimetableSolver, which runs it in a
+// worker thread and leaves the event loop free while it works.
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const DEFAULT_TIME_LIMIT_MS = 2000;
+const SEARCH_LIMIT_REACHED = Symbol('SEARCH_LIMIT_REACHED');
+
+// Helper: Key for a teacher blocked for a slot ('*' blocks the whole day)
+function blockKey(teacherId, day, slot) {
+  return `${teacherId}|${day}|${slot}`;
+}
+
+function solveTimetable({
+  days,
+  timeSlots,
+  lessons,
+  blocked = new Set(),
+  maxDailyPerSubject = 2,
+  timeLimitMs = DEFAULT_TIME_LIMIT_MS
+}) {
+  const slotCount = timeSlots.length;
+  const positionCount = days.length * slotCount;
+  const dayOf = index => Math.floor(index / slotCount);
+
+  // Index classes, teachers and class/subject groups so state fits in typed arrays
+  const classIndex = new Map();
+  const teacherIndex = new Map();
+  const groups = new Map();
+
+  lessons.forEach(lesson => {
+    if (!classIndex.has(lesson.classId)) classIndex.set(lesson.classId, classIndex.size);
+    if (!teacherIndex.has(lesson.teacherId)) teacherIndex.set(lesson.teacherId, teacherIndex.size);
+    const key = `${lesson.classId}|${lesson.subjectId}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        id: groups.size,
+        classIdx: classIndex.get(lesson.classId),
+        teacherIdx: teacherIndex.get(lesson.teacherId),
+        lessons: [],
+        positions: [],
+        lastPosition: -1
+      });
+    }
+    groups.get(key).lessons.push(lesson);
+  });
+
+  // Lessons of the same class/subject are interchangeable, so each group is filled
+  // in increasing position order to avoid exploring the same grid twice
+  const groupList = [...groups.values()];
+
+  const classBusy = new Uint8Array(classIndex.size * positionCount);
+  const teacherBusy = new Uint8Array(teacherIndex.size * positionCount);
+  const teacherBlocked = new Uint8Array(teacherIndex.size * positionCount);
+  const dailyCount = new Uint8Array(groupList.length * days.length);
+  const teacherDaily = new Uint16Array(teacherIndex.size * days.length);
+
+  teacherIndex.forEach((t, teacherId) => {
+    days.forEach((day, d) => {
+      const wholeDay = blocked.has(blockKey(teacherId, day, '*'));
+      timeSlots.forEach((slot, s) => {
+        if (wholeDay || blocked.has(blockKey(teacherId, day, slot))) {
+          teacherBlocked[t * positionCount + d * slotCount + s] = 1;
+        }
+      });
+    });
+  });
+
+  const canPlace = (group, p) =>
+    !classBusy[group.classIdx * positionCount + p] &&
+    !teacherBusy[group.teacherIdx * positionCount + p] &&
+    !teacherBlocked[group.teacherIdx * positionCount + p] &&
+    dailyCount[group.id * days.length + dayOf(p)] < maxDailyPerSubject;
+
+  const place = (group, p) => {
+    classBusy[group.classIdx * positionCount + p] = 1;
+    teacherBusy[group.teacherIdx * positionCount + p] = 1;
+    dailyCount[group.id * days.length + dayOf(p)]++;
+    teacherDaily[group.teacherIdx * days.length + dayOf(p)]++;
+    group.positions.push(p);
+  };
+
+  const unplace = (group, p) => {
+    classBusy[group.classIdx * positionCount + p] = 0;
+    teacherBusy[group.teacherIdx * positionCount + p] = 0;
+    dailyCount[group.id * days.length + dayOf(p)]--;
+    teacherDaily[group.teacherIdx * days.length + dayOf(p)]--;
+    group.positions.splice(group.positions.lastIndexOf(p), 1);
+  };
+
+  // Spread a subject across the week and keep each teacher's day light
+  const orderCandidates = (group, candidates) => candidates.sort((a, b) => {
+    const subjectA = dailyCount[group.id * days.length + dayOf(a)];
+    const subjectB = dailyCount[group.id * days.length + dayOf(b)];
+    if (subjectA !== subjectB) return subjectA - subjectB;
+    const teacherA = teacherDaily[group.teacherIdx * days.length + dayOf(a)];
+    const teacherB = teacherDaily[group.teacherIdx * days.length + dayOf(b)];
+    if (teacherA !== teacherB) return teacherA - teacherB;
+    return a - b;
+  });
+
+  const countCandidates = (group, ordered, limit) => {
+    let count = 0;
+    for (let p = ordered ? group.lastPosition + 1 : 0; p < positionCount && count < limit; p++) {
+      if (canPlace(group, p)) count++;
+    }
+    return count;
+  };
+
+  const listCandidates = (group, ordered) => {
+    const candidates = [];
+    for (let p = ordered ? group.lastPosition + 1 : 0; p < positionCount; p++) {
+      if (canPlace(group, p)) candidates.push(p);
+    }
+    return candidates;
+  };
+
+  const isPending = group => group.positions.length + (group.skipped || 0) < group.lessons.length;
+
+  // Helper: Pick the pending group with the fewest options for its next lesson
+  const pickGroup = (ordered) => {
+    let best = null;
+    let bestCount = Infinity;
+    for (const group of groupList) {
+      if (!isPending(group)) continue;
+      const count = countCandidates(group, ordered, bestCount);
+      if (count < bestCount) {
+        best = group;
+        bestCount = count;
+        if (count === 0) break;
+      }
+    }
+    return best;
+  };
+
+  const deadline = Date.now() + timeLimitMs;
+  let nodes = 0;
+
+  const search = () => {
+    const group = pickGroup(true);
+    if (!group) return true;
+
+    const candidates = listCandidates(group, true);
+    if (candidates.length === 0) return false;
+
+    const previousPosition = group.lastPosition;
+
+    for (const p of orderCandidates(group, candidates)) {
+      if (++nodes % 1000 === 0 && Date.now() > deadline) throw SEARCH_LIMIT_REACHED;
+
+      place(group, p);
+      group.lastPosition = p;
+
+      if (search()) return true;
+
+      group.lastPosition = previousPosition;
+      unplace(group, p);
+    }
+
+    return false;
+  };
+
+  let complete = false;
+  try {
+    complete = search();
+  } catch (error) {
+    if (error !== SEARCH_LIMIT_REACHED) throw error;
+  }
+
+  if (!complete) {
+    // Greedy fallback: place what fits, skip what does not
+    classBusy.fill(0);
+    teacherBusy.fill(0);
+    dailyCount.fill(0);
+    teacherDaily.fill(0);
+    groupList.forEach(group => {
+      group.positions = [];
+      group.skipped = 0;
+    });
+
+    let group = pickGroup(false);
+    while (group) {
+      const candidates = listCandidates(group, false);
+      if (candidates.length > 0) {
+        place(group, orderCandidates(group, candidates)[0]);
+      } else {
+        group.skipped++;
+      }
+      group = pickGroup(false);
+    }
+
+    // Repair: move one blocking lesson of the same teacher to free a slot
+    for (const group of groupList) {
+      while (group.skipped > 0 && repair(group)) {
+        group.skipped--;
+      }
+    }
+  }
+
+  function repair(group) {
+    for (let p = 0; p < positionCount; p++) {
+      if (classBusy[group.classIdx * positionCount + p]) continue;
+      if (teacherBlocked[group.teacherIdx * positionCount + p]) continue;
+      if (dailyCount[group.id * days.length + dayOf(p)] >= maxDailyPerSubject) continue;
+
+      // The class is free here, so only the teacher's other lesson is in the way
+      const blocker = groupList.find(g =>
+        g !== group && g.teacherIdx === group.teacherIdx && g.positions.includes(p));
+      if (!blocker) continue;
+
+      unplace(blocker, p);
+      const alternatives = listCandidates(blocker, false).filter(q => q !== p);
+      if (alternatives.length > 0) {
+        place(blocker, orderCandidates(blocker, alternatives)[0]);
+        if (canPlace(group, p)) {
+          place(group, p);
+          return true;
+        }
+      } else {
+        place(blocker, p);
+      }
+    }
+    return false;
+  }
+
+  const assignments = [];
+  const unplaced = [];
+
+  groupList.forEach(group => {
+    group.lessons.forEach((lesson, i) => {
+      if (i < group.positions.length) {
+        const p = group.positions[i];
+        assignments.push({ lesson, day: days[dayOf(p)], slot: timeSlots[p % slotCount] });
+      } else {
+        unplaced.push(lesson);
+      }
+    });
+  });
+
+  return {
+    complete: unplaced.length === 0,
+    searchedNodes: nodes,
+    assignments,
+    unplaced
+  };
+}
+
+// Helper: solveTimetable in a worker thread; resolves with its result
+function runTimetableSolver(options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'timetableSolverWorker.js'), { workerData: options });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      if (code !== 0) reject(new Error(`Timetable solver exited with code ${code}`));
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_TIME_LIMIT_MS,
+  blockKey,
+  solveTimetable,
+  runTimetableSolver
+};
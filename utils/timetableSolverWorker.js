@@ -0,0 +1,5 @@
+// Worker thread entry for runTimetableSolver (see timetableSolver.js)
+const { parentPort, workerData } = require('worker_threads');
+const { solveTimetable } = require('./timetableSolver');
+
+parentPort.postMessage(solveTimetable(workerData));
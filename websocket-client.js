@@ -21,6 +21,11 @@ class NotificationClient {
     this.onConnection = options.onConnection || console.log;
     this.onDisconnect = options.onDisconnect || console.log;
     this.onError = options.onError || console.error;
+    this.onAttendanceEvent = options.onAttendanceEvent || console.log;
+    this.attendanceToken = null;
+    this.onCheckinCode = options.onCheckinCode || console.log;
+    this.onCheckinEvent = options.onCheckinEvent || console.log;
+    this.checkinSubscription = null;
   }
 
   /**
@@ -48,6 +53,14 @@ class NotificationClient {
           studentId: this.studentId
         });
 
+        // Restore the attendance dashboard subscription after a reconnect
+        if (this.attendanceToken) {
+          this.subscribeToAttendance(this.attendanceToken);
+        }
+        if (this.checkinSubscription) {
+          this.subscribeToCheckin(this.checkinSubscription.sessionId, this.checkinSubscription.token);
+        }
+
         this.onConnection(event);
       };
 
@@ -63,6 +76,29 @@ class NotificationClient {
             case 'notification':
               this.handleNotification(data);
               break;
+            case 'subscribed':
+              if (data.channel === 'checkin') {
+                console.log(`🔢 Subscribed to check-in codes for session ${data.sessionId}`);
+              } else {
+                console.log(`📊 Subscribed to attendance events for branch ${data.branchId}`);
+              }
+              break;
+            case 'attendance_event':
+              this.onAttendanceEvent(data);
+              break;
+            case 'checkin_code':
+              this.onCheckinCode(data);
+              break;
+            case 'checkin_event':
+              this.onCheckinEvent(data);
+              break;
+            case 'checkin_closed':
+              this.checkinSubscription = null;
+              this.onCheckinEvent(data);
+              break;
+            case 'error':
+              console.error('❌ Server error:', data.error);
+              break;
             default:
               console.log('Unknown message type:', data.type);
           }
@@ -106,6 +142,31 @@ class NotificationClient {
     this.onNotification(data);
   }
 
+  /**
+   * Subscribe to live attendance events for the admin's branch (admin API token required)
+   */
+  subscribeToAttendance(token) {
+    this.attendanceToken = token;
+    this.send({
+      type: 'subscribe',
+      channel: 'attendance',
+      token
+    });
+  }
+
+  /**
+   * Show a check-in session's rotating code on the teacher's screen (teacher or admin API token required)
+   */
+  subscribeToCheckin(sessionId, token) {
+    this.checkinSubscription = { sessionId, token };
+    this.send({
+      type: 'subscribe',
+      channel: 'checkin',
+      sessionId,
+      token
+    });
+  }
+
   /**
    * Send message to server
    */